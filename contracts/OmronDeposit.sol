@@ -1,11 +1,16 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.21;
-import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {AccessControl} from "@openzeppelin/contracts/access/AccessControl.sol";
 import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import {Pausable} from "@openzeppelin/contracts/utils/Pausable.sol";
 import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {Address} from "@openzeppelin/contracts/utils/Address.sol";
 import {IOmronDeposit} from "./interfaces/IOmronDeposit.sol";
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import {IERC20Min} from "./interfaces/IERC20Min.sol";
+import {IWETH} from "./interfaces/IWETH.sol";
+import {ISignatureTransfer} from "./interfaces/ISignatureTransfer.sol";
 
 using SafeERC20 for IERC20;
 
@@ -16,7 +21,12 @@ using SafeERC20 for IERC20;
  * @notice A contract that allows users to deposit tokens and earn points based on the amount of time the tokens are held in the contract.
  * @dev Users can deposit any token that is accepted by the contract. The contract will track the amount of time the tokens are held in the contract and award points based on the amount of time the tokens are held.
  */
-contract OmronDeposit is Ownable, ReentrancyGuard, Pausable, IOmronDeposit {
+contract OmronDeposit is
+    AccessControl,
+    ReentrancyGuard,
+    Pausable,
+    IOmronDeposit
+{
     // Mappings
 
     /**
@@ -30,6 +40,42 @@ contract OmronDeposit is Ownable, ReentrancyGuard, Pausable, IOmronDeposit {
      */
     mapping(address userAddress => UserInfo userInformation) public userInfo;
 
+    /**
+     * @notice A mapping of token addresses to the number of decimals the token uses, read from the token when it is whitelisted
+     */
+    mapping(address tokenAddress => uint8 decimals) public tokenDecimals;
+
+    /**
+     * @notice A mapping of token addresses to the multiplier applied to the points earned by deposits of the token, scaled by MULTIPLIER_SCALE
+     */
+    mapping(address tokenAddress => uint256 multiplier) public tokenMultipliers;
+
+    /**
+     * @notice A mapping of token addresses to the sum of all users' balances of the token
+     */
+    mapping(address tokenAddress => uint256 amount) public totalDeposited;
+
+    /**
+     * @notice A mapping of token addresses to the most of the token all users together can have deposited, or zero if it is uncapped
+     */
+    mapping(address tokenAddress => uint256 amount) public maxTotalDeposits;
+
+    /**
+     * @notice A mapping of token addresses to the most of the token a single user can have deposited, or zero if it is uncapped
+     */
+    mapping(address tokenAddress => uint256 amount) public maxUserDeposits;
+
+    /**
+     * @notice A mapping of token addresses to the smallest amount of the token a single deposit can be, or zero if there is no minimum
+     */
+    mapping(address tokenAddress => uint256 amount) public minDepositAmounts;
+
+    /**
+     * @notice A mapping of the IDs of scheduled timelocked operations to the time from which they can be executed, or zero if they aren't scheduled
+     */
+    mapping(bytes32 operationId => uint256 readyTime)
+        public scheduledOperations;
+
     // Variables
 
     /**
@@ -42,11 +88,73 @@ contract OmronDeposit is Ownable, ReentrancyGuard, Pausable, IOmronDeposit {
      */
     uint256 public constant ONE_HOUR_IN_POINTS = 3600 * POINTS_SCALE;
 
+    /**
+     * @notice The scale of token multipliers, such that a multiplier of MULTIPLIER_SCALE earns points one to one
+     */
+    uint256 public constant MULTIPLIER_SCALE = 10 ** 18;
+
+    /**
+     * @notice The largest token or boost epoch multiplier which can be set, so points calculations can't overflow
+     */
+    uint256 public constant MAX_MULTIPLIER = 100 * MULTIPLIER_SCALE;
+
+    /**
+     * @notice The number of decimals deposits are normalized to before they earn points
+     */
+    uint8 public constant NORMALIZED_DECIMALS = 18;
+
+    /**
+     * @notice The maximum number of boost epochs, which bounds the gas used to calculate points across them
+     */
+    uint256 public constant MAX_BOOST_EPOCHS = 16;
+
+    /**
+     * @notice The maximum number of users in a claimBatch or withdrawTokensBatch call, which bounds the gas each call uses
+     */
+    uint256 public constant MAX_BATCH_SIZE = 100;
+
+    /**
+     * @notice The longest timelock delay which can be set, so timelocked operations can't be delayed indefinitely
+     */
+    uint256 public constant MAX_TIMELOCK_DELAY = 30 days;
+
+    /**
+     * @notice The role allowed to pause the contract, which can be held by a hot key to respond to incidents
+     */
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    /**
+     * @notice The role allowed to add and remove whitelisted tokens and set their multipliers
+     */
+    bytes32 public constant WHITELIST_MANAGER_ROLE =
+        keccak256("WHITELIST_MANAGER_ROLE");
+
+    /**
+     * @notice The role allowed to set the claim manager
+     */
+    bytes32 public constant CLAIM_ADMIN_ROLE = keccak256("CLAIM_ADMIN_ROLE");
+
+    /**
+     * @notice The canonical Permit2 contract, which is deployed to the same address on every chain
+     */
+    ISignatureTransfer public constant PERMIT2 =
+        ISignatureTransfer(0x000000000022D473030F116dDEE9F6B43aC78BA3);
+
+    /**
+     * @notice The address of the WETH contract, which ETH deposits are wrapped into and credited as
+     */
+    address public immutable weth;
+
     /**
      * @notice An array of addresses of all whitelisted tokens
      */
     address[] public allWhitelistedTokens;
 
+    /**
+     * @notice An array of addresses of every token which has ever been whitelisted, including tokens since removed from the whitelist, in the order they were first whitelisted
+     */
+    address[] public allAcceptedTokens;
+
     /**
      * @notice The address of the contract which is allowed to claim points on behalf of users.
      */
@@ -58,49 +166,84 @@ contract OmronDeposit is Ownable, ReentrancyGuard, Pausable, IOmronDeposit {
     uint256 public depositStopTime;
 
     /**
-     * @dev The constructor for the OmronDeposit contract.
-     * @param _initialOwner The address of the initial owner of the contract.
+     * @notice The schedule of boost epochs, ordered by start time. Each epoch's multiplier applies from its start time until the next epoch starts.
+     * Before the first epoch, points accrue at MULTIPLIER_SCALE.
+     */
+    BoostEpoch[] public boostEpochs;
+
+    /**
+     * @notice Whether users can withdraw their deposits before the deposit stop
+     */
+    bool public withdrawalsEnabled;
+
+    /**
+     * @notice The time, in seconds, a timelocked operation must wait between being scheduled and being executed.
+     * While it is zero, timelocked operations can also be called without being scheduled.
+     */
+    uint256 public timelockDelay;
+
+    /**
+     * @notice Whether emergency mode is enabled, which lets users withdraw their deposits themselves. It can't be disabled.
+     */
+    bool public emergencyMode;
+
+    /**
+     * @notice The number of unique addresses which have ever been credited with a deposit
+     */
+    uint256 public uniqueDepositors;
+
+    /**
+     * @notice The sum of every user's points per hour, before boost epochs are applied
+     */
+    uint256 public totalPointsPerHour;
+
+    /**
+     * @dev The constructor for the OmronDeposit contract. The initial admin is granted every role, and can grant them to others.
+     * @param _initialAdmin The address of the initial admin of the contract.
      * @param _whitelistedTokens An array of addresses of tokens that are accepted by the contract.
+     * @param _weth The address of the WETH contract. ETH deposits are only accepted while it is whitelisted.
      */
     constructor(
-        address _initialOwner,
-        address[] memory _whitelistedTokens
-    ) Ownable(_initialOwner) {
+        address _initialAdmin,
+        address[] memory _whitelistedTokens,
+        address _weth
+    ) {
+        if (_initialAdmin == address(0) || _weth == address(0)) {
+            revert ZeroAddress();
+        }
+        _grantRole(DEFAULT_ADMIN_ROLE, _initialAdmin);
+        _grantRole(PAUSER_ROLE, _initialAdmin);
+        _grantRole(WHITELIST_MANAGER_ROLE, _initialAdmin);
+        _grantRole(CLAIM_ADMIN_ROLE, _initialAdmin);
+        weth = _weth;
         for (uint256 i; i < _whitelistedTokens.length; ) {
-            address token = _whitelistedTokens[i];
-            if (token == address(0)) {
-                revert ZeroAddress();
-            }
-            whitelistedTokens[token] = true;
-            allWhitelistedTokens.push(token);
-
-            emit WhitelistedTokenAdded(token);
+            _addWhitelistedToken(_whitelistedTokens[i]);
             unchecked {
                 ++i;
             }
         }
     }
 
-    // Owner only methods
+    // Role restricted methods
 
     /**
      * @dev Add a new deposit token to the contract
      * @param _tokenAddress The address of the token to be added
      */
-    function addWhitelistedToken(address _tokenAddress) external onlyOwner {
-        if (_tokenAddress == address(0)) {
-            revert ZeroAddress();
-        }
-        whitelistedTokens[_tokenAddress] = true;
-        allWhitelistedTokens.push(_tokenAddress);
-        emit WhitelistedTokenAdded(_tokenAddress);
+    function addWhitelistedToken(
+        address _tokenAddress
+    ) external onlyRole(WHITELIST_MANAGER_ROLE) {
+        _addWhitelistedToken(_tokenAddress);
     }
 
     /**
-     * @dev Remove a token from the whitelist
+     * @dev Remove a token from the whitelist, which stops new deposits of it.
+     * The token stays in allAcceptedTokens, so existing balances of it are still withdrawn and keep earning points.
      * @param _tokenAddress The address of the token to be removed
      */
-    function removeWhitelistedToken(address _tokenAddress) external onlyOwner {
+    function removeWhitelistedToken(
+        address _tokenAddress
+    ) external onlyRole(WHITELIST_MANAGER_ROLE) timelocked {
         if (_tokenAddress == address(0)) {
             revert ZeroAddress();
         }
@@ -132,11 +275,119 @@ contract OmronDeposit is Ownable, ReentrancyGuard, Pausable, IOmronDeposit {
         emit WhitelistedTokenRemoved(_tokenAddress);
     }
 
+    /**
+     * @notice Set the multiplier applied to the points earned by deposits of a token, for example to weight tokens by their exchange rate
+     * @dev The multiplier only applies to future deposits, points per hour from existing deposits are unchanged
+     * @param _tokenAddress The address of the token
+     * @param _multiplier The new multiplier, scaled by MULTIPLIER_SCALE, up to MAX_MULTIPLIER
+     */
+    function setTokenMultiplier(
+        address _tokenAddress,
+        uint256 _multiplier
+    ) external onlyRole(WHITELIST_MANAGER_ROLE) {
+        if (!whitelistedTokens[_tokenAddress]) {
+            revert TokenNotWhitelisted();
+        }
+        if (_multiplier == 0) {
+            revert ZeroMultiplier();
+        }
+        if (_multiplier > MAX_MULTIPLIER) {
+            revert MultiplierTooHigh();
+        }
+        tokenMultipliers[_tokenAddress] = _multiplier;
+        emit TokenMultiplierSet(_tokenAddress, _multiplier);
+    }
+
+    /**
+     * @notice Set the deposit limits of a token, to manage the risk of holding it
+     * @dev Limits only restrict new deposits, so lowering a cap below what is already deposited never affects existing balances
+     * @param _tokenAddress The address of the token
+     * @param _maxTotalDeposits The most of the token all users together can have deposited, or zero for no cap
+     * @param _maxUserDeposits The most of the token a single user can have deposited, or zero for no cap
+     * @param _minDepositAmount The smallest amount of the token a single deposit can be, or zero for no minimum
+     */
+    function setDepositLimits(
+        address _tokenAddress,
+        uint256 _maxTotalDeposits,
+        uint256 _maxUserDeposits,
+        uint256 _minDepositAmount
+    ) external onlyRole(WHITELIST_MANAGER_ROLE) {
+        if (!whitelistedTokens[_tokenAddress]) {
+            revert TokenNotWhitelisted();
+        }
+        // A minimum above either cap would make every deposit fail
+        if (
+            _minDepositAmount > _remainingCapacity(_maxTotalDeposits, 0) ||
+            _minDepositAmount > _remainingCapacity(_maxUserDeposits, 0)
+        ) {
+            revert InvalidDepositLimits();
+        }
+        maxTotalDeposits[_tokenAddress] = _maxTotalDeposits;
+        maxUserDeposits[_tokenAddress] = _maxUserDeposits;
+        minDepositAmounts[_tokenAddress] = _minDepositAmount;
+        emit DepositLimitsSet(
+            _tokenAddress,
+            _maxTotalDeposits,
+            _maxUserDeposits,
+            _minDepositAmount
+        );
+    }
+
+    /**
+     * @notice Schedule a boost epoch, from which points accrue at the provided multiplier until the next epoch starts
+     * @dev Epochs can only be added in the future and in order, so points which have already accrued are never changed.
+     * To end a boost, schedule an epoch with a multiplier of MULTIPLIER_SCALE.
+     * @param _startTime The time the epoch starts
+     * @param _multiplier The multiplier applied to points accrued during the epoch, scaled by MULTIPLIER_SCALE, up to MAX_MULTIPLIER
+     */
+    function addBoostEpoch(
+        uint256 _startTime,
+        uint256 _multiplier
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) onlyBeforeDepositStop {
+        if (_multiplier == 0) {
+            revert ZeroMultiplier();
+        }
+        if (_multiplier > MAX_MULTIPLIER) {
+            revert MultiplierTooHigh();
+        }
+        uint256 epochCount = boostEpochs.length;
+        if (epochCount == MAX_BOOST_EPOCHS) {
+            revert TooManyBoostEpochs();
+        }
+        if (
+            _startTime <= block.timestamp ||
+            (epochCount != 0 &&
+                _startTime <= boostEpochs[epochCount - 1].startTime)
+        ) {
+            revert InvalidBoostEpochStartTime();
+        }
+        boostEpochs.push(BoostEpoch(_startTime, _multiplier));
+        emit BoostEpochAdded(_startTime, _multiplier);
+    }
+
+    /**
+     * @notice Remove the last scheduled boost epoch, as long as it hasn't started
+     */
+    function removeLastBoostEpoch() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        uint256 epochCount = boostEpochs.length;
+        if (epochCount == 0) {
+            revert NoBoostEpochs();
+        }
+        uint256 startTime = boostEpochs[epochCount - 1].startTime;
+        if (startTime <= block.timestamp) {
+            revert BoostEpochStarted();
+        }
+        boostEpochs.pop();
+        emit BoostEpochRemoved(startTime);
+    }
+
     /**
      * @dev Set the address of the contract which is allowed to claim points on behalf of users. Can be set to the null address to disable claims.
      * @param _newClaimManager The address of the contract which is allowed to claim points on behalf of users.
      */
-    function setClaimManager(address _newClaimManager) external onlyOwner {
+    function setClaimManager(
+        address _newClaimManager
+    ) external onlyRole(CLAIM_ADMIN_ROLE) timelocked {
         if (_newClaimManager == address(0)) {
             revert ZeroAddress();
         }
@@ -146,6 +397,17 @@ contract OmronDeposit is Ownable, ReentrancyGuard, Pausable, IOmronDeposit {
         emit ClaimManagerSet(_newClaimManager);
     }
 
+    /**
+     * @notice Enable or disable withdrawals by users before the deposit stop
+     * @param _enabled Whether withdrawals are enabled
+     */
+    function setWithdrawalsEnabled(
+        bool _enabled
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        withdrawalsEnabled = _enabled;
+        emit WithdrawalsEnabled(_enabled);
+    }
+
     /**
      * @notice Ends the deposit period
      * @dev This will:
@@ -157,7 +419,7 @@ contract OmronDeposit is Ownable, ReentrancyGuard, Pausable, IOmronDeposit {
      * Withdrawals will be enabled
      * Points accrual will no longer take place
      */
-    function stopDeposits() external onlyOwner {
+    function stopDeposits() external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
         if (depositStopTime != 0) {
             revert DepositsAlreadyStopped();
         }
@@ -165,17 +427,116 @@ contract OmronDeposit is Ownable, ReentrancyGuard, Pausable, IOmronDeposit {
         emit DepositStopTimeSet(block.timestamp);
     }
 
+    /**
+     * @notice Set the time timelocked operations must wait between being scheduled and being executed
+     * @dev This is timelocked itself, so the delay can't be shortened without waiting out the current one
+     * @param _delay The new delay, in seconds
+     */
+    function setTimelockDelay(
+        uint256 _delay
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) timelocked {
+        if (_delay > MAX_TIMELOCK_DELAY) {
+            revert TimelockDelayTooLong();
+        }
+        timelockDelay = _delay;
+        emit TimelockDelaySet(_delay);
+    }
+
+    /**
+     * @notice Schedule a timelocked operation, which can be executed by calling it with the same arguments once the timelock delay has passed
+     * @dev The sender needs the role the operation itself needs
+     * @param _data The calldata of the operation, such as an encoded setClaimManager call
+     * @return operationId The ID of the operation, which is the keccak256 hash of its calldata
+     */
+    function scheduleOperation(
+        bytes calldata _data
+    ) external returns (bytes32 operationId) {
+        _checkRole(_getTimelockedRole(_data));
+        operationId = keccak256(_data);
+        if (scheduledOperations[operationId] != 0) {
+            revert OperationAlreadyScheduled();
+        }
+        uint256 readyTime = block.timestamp + timelockDelay;
+        scheduledOperations[operationId] = readyTime;
+        emit OperationScheduled(operationId, _data, readyTime);
+    }
+
+    /**
+     * @notice Cancel a scheduled timelocked operation before it is executed
+     * @dev The sender needs the role the operation needs, or the admin role
+     * @param _data The calldata the operation was scheduled with
+     */
+    function cancelOperation(bytes calldata _data) external {
+        bytes32 role = _getTimelockedRole(_data);
+        if (!hasRole(DEFAULT_ADMIN_ROLE, msg.sender)) {
+            _checkRole(role);
+        }
+        bytes32 operationId = keccak256(_data);
+        if (scheduledOperations[operationId] == 0) {
+            revert OperationNotScheduled();
+        }
+        delete scheduledOperations[operationId];
+        emit OperationCancelled(operationId);
+    }
+
+    /**
+     * @notice Irreversibly enable emergency mode, for when deposits can't be returned through the claim manager
+     * @dev This stops deposits if they haven't been stopped already, so points freeze at the current time.
+     * Users can then withdraw their balances with emergencyWithdraw, even while the contract is paused.
+     * It isn't timelocked, so it intentionally bypasses the stopDeposits timelock: an emergency can't wait out the delay.
+     * Monitoring sees it through the DepositStopTimeSet and EmergencyModeEnabled events instead.
+     */
+    function enableEmergencyMode() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (emergencyMode) {
+            revert EmergencyModeActive();
+        }
+        emergencyMode = true;
+        if (depositStopTime == 0) {
+            depositStopTime = block.timestamp;
+            emit DepositStopTimeSet(block.timestamp);
+        }
+        emit EmergencyModeEnabled();
+    }
+
+    /**
+     * @notice Recover tokens sent to the contract by mistake, whether a token that was never deposited or extra of a deposited one
+     * @dev Only the surplus above totalDeposited can be moved, so users' deposits are never touched
+     * @param _tokenAddress The address of the token to recover
+     * @param _to The address to send the tokens to
+     * @param _amount The amount of the token to send
+     */
+    function rescueTokens(
+        address _tokenAddress,
+        address _to,
+        uint256 _amount
+    ) external nonReentrant onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_to == address(0)) {
+            revert ZeroAddress();
+        }
+        if (_amount == 0) {
+            revert ZeroAmount();
+        }
+        // The balance can fall below the deposits of a token with a negative rebase, which leaves no surplus
+        uint256 balance = IERC20(_tokenAddress).balanceOf(address(this));
+        uint256 deposited = totalDeposited[_tokenAddress];
+        if (balance < deposited || _amount > balance - deposited) {
+            revert InsufficientSurplus();
+        }
+        IERC20(_tokenAddress).safeTransfer(_to, _amount);
+        emit TokensRescued(_tokenAddress, _to, _amount);
+    }
+
     /**
      * @dev Pause the contract
      */
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
 
     /**
-     * @dev Unpause the contract
+     * @dev Unpause the contract. This needs the admin role rather than the pauser role, so a hot key can't undo a pause made during an incident.
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
         _unpause();
     }
 
@@ -194,6 +555,14 @@ contract OmronDeposit is Ownable, ReentrancyGuard, Pausable, IOmronDeposit {
         _;
     }
 
+    /**
+     * @dev A modifier that only lets a timelocked operation through once it has been scheduled and its delay has passed
+     */
+    modifier timelocked() {
+        _executeScheduledOperation();
+        _;
+    }
+
     /**
      * @dev A modifier that checks whether the deposit stop time hasn't been set.
      * If the deposit stop time has not been set, then the function will revert.
@@ -221,7 +590,7 @@ contract OmronDeposit is Ownable, ReentrancyGuard, Pausable, IOmronDeposit {
     /**
      * @notice A view method that returns point information about the provided address
      * @param _userAddress The address of the user to check the point information for.
-     * @return pointsPerHour The number of points earned per hour by the user.
+     * @return pointsPerHour The number of points earned per hour by the user, normalized for the decimals and multipliers of the tokens they deposited.
      * @return lastUpdated The timestamp of the last time the user's points were updated.
      * @return pointBalance The total number of points earned by the user.
      */
@@ -254,6 +623,30 @@ contract OmronDeposit is Ownable, ReentrancyGuard, Pausable, IOmronDeposit {
         _allWhitelistedTokens = allWhitelistedTokens;
     }
 
+    /**
+     * @notice A view method that returns every token which has ever been whitelisted, including tokens since removed from the whitelist.
+     * @return _allAcceptedTokens An array of addresses of all accepted tokens, in the order they were first whitelisted.
+     */
+    function getAllAcceptedTokens()
+        external
+        view
+        returns (address[] memory _allAcceptedTokens)
+    {
+        _allAcceptedTokens = allAcceptedTokens;
+    }
+
+    /**
+     * @notice A view method that returns the schedule of boost epochs.
+     * @return _boostEpochs An array of all boost epochs, ordered by start time.
+     */
+    function getBoostEpochs()
+        external
+        view
+        returns (BoostEpoch[] memory _boostEpochs)
+    {
+        _boostEpochs = boostEpochs;
+    }
+
     /**
      * @notice A view method that calculates the points earned by a user.
      * @param _userAddress The address of the user to calculate the points for.
@@ -266,6 +659,19 @@ contract OmronDeposit is Ownable, ReentrancyGuard, Pausable, IOmronDeposit {
         currentPointsBalance = user.pointBalance + _calculatePointsDiff(user);
     }
 
+    /**
+     * @notice A view method that calculates the points per hour a deposit of a token would earn.
+     * @param _tokenAddress The address of the token.
+     * @param _amount The amount of the token, in the token's own decimals.
+     * @return pointsPerHour The points per hour the deposit would earn, normalized for the token's decimals and multiplier.
+     */
+    function calculatePointsPerHour(
+        address _tokenAddress,
+        uint256 _amount
+    ) external view returns (uint256 pointsPerHour) {
+        pointsPerHour = _calculatePointsPerHour(_tokenAddress, _amount);
+    }
+
     /**
      * @notice A view method that returns the token balance for a user.
      * @param _userAddress The address of the user to check the token balance for.
@@ -280,6 +686,87 @@ contract OmronDeposit is Ownable, ReentrancyGuard, Pausable, IOmronDeposit {
         balance = user.tokenBalances[_tokenAddress];
     }
 
+    /**
+     * @notice A view method that returns the points per hour a user earns from their deposits of a token.
+     * @param _userAddress The address of the user.
+     * @param _tokenAddress The address of the token.
+     * @return pointsPerHour The points per hour earned by the user's balance of the token, normalized for the token's decimals and the multipliers it was deposited at.
+     */
+    function tokenPointsPerHour(
+        address _userAddress,
+        address _tokenAddress
+    ) external view returns (uint256 pointsPerHour) {
+        UserInfo storage user = userInfo[_userAddress];
+        pointsPerHour = user.tokenPointsPerHour[_tokenAddress];
+    }
+
+    /**
+     * @notice A view method that returns protocol-wide totals, so TVL and the global points rate can be read in a single call.
+     * @dev Totals only count user deposits, not tokens sent to the contract directly.
+     * @return tokens Every accepted token, including tokens since removed from the whitelist, in the order of getAllAcceptedTokens.
+     * @return totals The total deposited of each token, in the token's own decimals.
+     * @return depositors The number of unique addresses which have ever been credited with a deposit.
+     * @return pointsPerHour The points per hour earned by all users together, before boost epochs are applied. Points stop accruing at the deposit stop time.
+     */
+    function getProtocolStats()
+        external
+        view
+        returns (
+            address[] memory tokens,
+            uint256[] memory totals,
+            uint256 depositors,
+            uint256 pointsPerHour
+        )
+    {
+        tokens = allAcceptedTokens;
+        totals = new uint256[](tokens.length);
+        for (uint256 i; i < tokens.length; ) {
+            totals[i] = totalDeposited[tokens[i]];
+            unchecked {
+                ++i;
+            }
+        }
+        depositors = uniqueDepositors;
+        pointsPerHour = totalPointsPerHour;
+    }
+
+    /**
+     * @notice A view method that returns how much more of a token can be deposited before its total deposit cap is reached.
+     * @param _tokenAddress The address of the token.
+     * @return capacity The amount of the token which can still be deposited, or the maximum uint256 if the token is uncapped.
+     */
+    function remainingDepositCapacity(
+        address _tokenAddress
+    ) external view returns (uint256 capacity) {
+        capacity = _remainingCapacity(
+            maxTotalDeposits[_tokenAddress],
+            totalDeposited[_tokenAddress]
+        );
+    }
+
+    /**
+     * @notice A view method that returns how much more of a token a user can deposit, within both the per-user and the total deposit caps.
+     * @param _userAddress The address of the user.
+     * @param _tokenAddress The address of the token.
+     * @return capacity The amount of the token the user can still deposit, or the maximum uint256 if neither cap applies.
+     */
+    function remainingUserDepositCapacity(
+        address _userAddress,
+        address _tokenAddress
+    ) external view returns (uint256 capacity) {
+        capacity = _remainingCapacity(
+            maxUserDeposits[_tokenAddress],
+            userInfo[_userAddress].tokenBalances[_tokenAddress]
+        );
+        uint256 totalCapacity = _remainingCapacity(
+            maxTotalDeposits[_tokenAddress],
+            totalDeposited[_tokenAddress]
+        );
+        if (totalCapacity < capacity) {
+            capacity = totalCapacity;
+        }
+    }
+
     // External methods
 
     /**
@@ -291,77 +778,346 @@ contract OmronDeposit is Ownable, ReentrancyGuard, Pausable, IOmronDeposit {
         address _tokenAddress,
         uint256 _amount
     ) external nonReentrant whenNotPaused onlyBeforeDepositStop {
-        if (_amount == 0) {
-            revert ZeroAmount();
-        }
-
-        if (!whitelistedTokens[_tokenAddress]) {
-            revert TokenNotWhitelisted();
-        }
-
-        IERC20 token = IERC20(_tokenAddress);
-
-        UserInfo storage user = userInfo[msg.sender];
-
-        _updatePoints(user);
+        _creditDeposit(msg.sender, _tokenAddress, _amount);
 
-        user.pointsPerHour += _amount;
-        user.tokenBalances[_tokenAddress] += _amount;
-
-        token.safeTransferFrom(msg.sender, address(this), _amount);
+        IERC20(_tokenAddress).safeTransferFrom(
+            msg.sender,
+            address(this),
+            _amount
+        );
 
         emit Deposit(msg.sender, _tokenAddress, _amount);
     }
 
     /**
-     * @notice Withdraw tokens from the contract
-     * @dev Called by the claim manager to withdraw tokens on a user's behalf
-     * @param _userAddress The address of the user to withdraw the tokens from
-     * @return withdrawnAmounts An array of the amounts of the tokens that were withdrawn
+     * @notice Deposit several tokens in one transaction
+     * @dev Points are settled once for the whole batch, and one Deposit event is emitted per token.
+     * If any token isn't whitelisted or any transfer fails, the whole batch reverts.
+     * @param _tokenAddresses The addresses of the tokens to be deposited
+     * @param _amounts The amount of each token to be deposited, in the same order
      */
-    function withdrawTokens(
-        address _userAddress
-    )
-        external
-        nonReentrant
-        whenNotPaused
-        onlyClaimManager
-        onlyAfterDepositStop
-        returns (uint256[] memory withdrawnAmounts)
-    {
-        if (_userAddress == address(0)) {
-            revert ZeroAddress();
+    function depositMany(
+        address[] calldata _tokenAddresses,
+        uint256[] calldata _amounts
+    ) external nonReentrant whenNotPaused onlyBeforeDepositStop {
+        if (_tokenAddresses.length != _amounts.length) {
+            revert ArrayLengthMismatch();
+        }
+        if (_tokenAddresses.length == 0) {
+            revert EmptyBatch();
         }
 
-        UserInfo storage user = userInfo[_userAddress];
-        _updatePoints(user);
+        UserInfo storage user = userInfo[msg.sender];
+        _updateDepositorPoints(user);
 
-        withdrawnAmounts = new uint256[](allWhitelistedTokens.length);
+        for (uint256 i; i < _tokenAddresses.length; ) {
+            _addDeposit(user, _tokenAddresses[i], _amounts[i]);
 
-        for (uint256 i; i < allWhitelistedTokens.length; ) {
-            uint256 userBalance = user.tokenBalances[allWhitelistedTokens[i]];
+            IERC20(_tokenAddresses[i]).safeTransferFrom(
+                msg.sender,
+                address(this),
+                _amounts[i]
+            );
 
-            if (userBalance == 0) {
-                unchecked {
-                    ++i;
+            emit Deposit(msg.sender, _tokenAddresses[i], _amounts[i]);
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @notice Deposit a token on behalf of another address, optionally attributing it to a referrer
+     * @dev The tokens are taken from the sender, while the balance and points are credited to the beneficiary.
+     * A Deposit event is emitted for the beneficiary, followed by a DepositFor event recording the sender and referrer.
+     * @param _beneficiary The address to credit the deposit to
+     * @param _tokenAddress The address of the token to be deposited
+     * @param _amount The amount of the token to be deposited
+     * @param _referrer The address which referred the deposit, or the zero address if there is none
+     */
+    function depositFor(
+        address _beneficiary,
+        address _tokenAddress,
+        uint256 _amount,
+        address _referrer
+    ) external nonReentrant whenNotPaused onlyBeforeDepositStop {
+        if (_beneficiary == address(0)) {
+            revert ZeroAddress();
+        }
+        _creditDeposit(_beneficiary, _tokenAddress, _amount);
+
+        IERC20(_tokenAddress).safeTransferFrom(
+            msg.sender,
+            address(this),
+            _amount
+        );
+
+        emit Deposit(_beneficiary, _tokenAddress, _amount);
+        emit DepositFor(
+            msg.sender,
+            _beneficiary,
+            _referrer,
+            _tokenAddress,
+            _amount
+        );
+    }
+
+    /**
+     * @notice Deposit a token using an EIP-2612 permit signature instead of a separate approval
+     * @dev The permit is attempted but allowed to fail, since anyone can submit a signed permit first to make this call revert.
+     * If it fails, the deposit goes ahead as long as the allowance is already sufficient.
+     * @param _tokenAddress The address of the token to be deposited
+     * @param _amount The amount of the token to be deposited, which is also the value permitted
+     * @param _deadline The deadline of the permit
+     * @param _v The recovery byte of the permit signature
+     * @param _r Half of the ECDSA signature pair
+     * @param _s Half of the ECDSA signature pair
+     */
+    function depositWithPermit(
+        address _tokenAddress,
+        uint256 _amount,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external nonReentrant whenNotPaused onlyBeforeDepositStop {
+        _creditDeposit(msg.sender, _tokenAddress, _amount);
+
+        try
+            IERC20Permit(_tokenAddress).permit(
+                msg.sender,
+                address(this),
+                _amount,
+                _deadline,
+                _v,
+                _r,
+                _s
+            )
+        {} catch {}
+
+        IERC20(_tokenAddress).safeTransferFrom(
+            msg.sender,
+            address(this),
+            _amount
+        );
+
+        emit Deposit(msg.sender, _tokenAddress, _amount);
+    }
+
+    /**
+     * @notice Deposit a token using a Permit2 signature transfer, for tokens without native permits
+     * @dev The sender must have approved Permit2 to spend the token, and signed a PermitTransferFrom with this contract as the spender
+     * @param _tokenAddress The address of the token to be deposited
+     * @param _amount The amount of the token to be deposited, which is also the amount permitted
+     * @param _nonce The Permit2 nonce of the signature
+     * @param _deadline The deadline of the signature
+     * @param _signature The signature of the PermitTransferFrom message
+     */
+    function depositWithPermit2(
+        address _tokenAddress,
+        uint256 _amount,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external nonReentrant whenNotPaused onlyBeforeDepositStop {
+        _creditDeposit(msg.sender, _tokenAddress, _amount);
+
+        PERMIT2.permitTransferFrom(
+            ISignatureTransfer.PermitTransferFrom({
+                permitted: ISignatureTransfer.TokenPermissions({
+                    token: _tokenAddress,
+                    amount: _amount
+                }),
+                nonce: _nonce,
+                deadline: _deadline
+            }),
+            ISignatureTransfer.SignatureTransferDetails({
+                to: address(this),
+                requestedAmount: _amount
+            }),
+            msg.sender,
+            _signature
+        );
+
+        emit Deposit(msg.sender, _tokenAddress, _amount);
+    }
+
+    /**
+     * @notice Deposit ETH into the contract, which is wrapped into WETH and credited as a WETH deposit
+     * @dev WETH must be whitelisted. withdrawETH and emergencyWithdraw unwrap the deposit again, while withdrawTokens returns it to the claim manager as WETH.
+     */
+    function depositETH()
+        external
+        payable
+        nonReentrant
+        whenNotPaused
+        onlyBeforeDepositStop
+    {
+        _creditDeposit(msg.sender, weth, msg.value);
+
+        IWETH(weth).deposit{value: msg.value}();
+
+        emit Deposit(msg.sender, weth, msg.value);
+    }
+
+    /**
+     * @notice Withdraw some of a deposited token before the deposit stop, while withdrawals are enabled
+     * @dev Points are settled first, then the points per hour earned by the token are reduced in proportion to the amount withdrawn.
+     * Tokens removed from the whitelist can still be withdrawn.
+     * @param _tokenAddress The address of the token to withdraw
+     * @param _amount The amount of the token to withdraw
+     */
+    function withdraw(
+        address _tokenAddress,
+        uint256 _amount
+    ) external nonReentrant whenNotPaused onlyBeforeDepositStop {
+        _debitWithdrawal(_tokenAddress, _amount);
+
+        IERC20(_tokenAddress).safeTransfer(msg.sender, _amount);
+
+        emit Withdrawal(msg.sender, _tokenAddress, _amount);
+    }
+
+    /**
+     * @notice Withdraw some of a WETH deposit as ETH, before the deposit stop and while withdrawals are enabled
+     * @dev This is the same as withdrawing WETH, except the WETH is unwrapped before it is sent
+     * @param _amount The amount of WETH to unwrap and withdraw
+     */
+    function withdrawETH(
+        uint256 _amount
+    ) external nonReentrant whenNotPaused onlyBeforeDepositStop {
+        _debitWithdrawal(weth, _amount);
+
+        IWETH(weth).withdraw(_amount);
+        Address.sendValue(payable(msg.sender), _amount);
+
+        emit Withdrawal(msg.sender, weth, _amount);
+    }
+
+    /**
+     * @notice Withdraw the sender's whole balance of every accepted token, once emergency mode is enabled
+     * @dev This works while the contract is paused, and includes tokens which have been removed from the whitelist.
+     * Points stopped accruing when deposits were stopped, and the sender keeps the points they earned until then.
+     * If calculating those points reverts, the points earned since the sender was last updated are forfeited rather than blocking the withdrawal.
+     * A WETH balance, including ETH deposited with depositETH, is unwrapped and sent as ETH, or as WETH if the sender can't receive ETH.
+     * @return withdrawnAmounts The amount of each accepted token withdrawn, in the order of getAllAcceptedTokens
+     */
+    function emergencyWithdraw()
+        external
+        nonReentrant
+        returns (uint256[] memory withdrawnAmounts)
+    {
+        if (!emergencyMode) {
+            revert EmergencyModeNotActive();
+        }
+        UserInfo storage user = userInfo[msg.sender];
+        // Settle points through an external call, so a calculation which reverts can't stop the sender getting their tokens back
+        try this.calculatePoints(msg.sender) returns (uint256 points) {
+            user.pointBalance = points;
+        } catch {}
+        user.lastUpdated = block.timestamp;
+        totalPointsPerHour -= user.pointsPerHour;
+        user.pointsPerHour = 0;
+
+        bool withdrawn;
+        withdrawnAmounts = new uint256[](allAcceptedTokens.length);
+        for (uint256 i; i < allAcceptedTokens.length; ) {
+            address tokenAddress = allAcceptedTokens[i];
+            uint256 userBalance = user.tokenBalances[tokenAddress];
+            if (userBalance != 0) {
+                withdrawnAmounts[i] = userBalance;
+                withdrawn = true;
+                user.tokenBalances[tokenAddress] = 0;
+                user.tokenPointsPerHour[tokenAddress] = 0;
+                totalDeposited[tokenAddress] -= userBalance;
+                if (tokenAddress == weth) {
+                    _sendUnwrappedWETH(userBalance);
+                } else {
+                    IERC20(tokenAddress).safeTransfer(msg.sender, userBalance);
                 }
-                continue;
+                emit EmergencyWithdrawal(msg.sender, tokenAddress, userBalance);
             }
+            unchecked {
+                ++i;
+            }
+        }
+        if (!withdrawn) {
+            revert ZeroAmount();
+        }
+    }
 
-            withdrawnAmounts[i] = userBalance;
+    /**
+     * @notice Only accepts ETH from WETH when unwrapping, ETH should be deposited with depositETH
+     */
+    receive() external payable {
+        if (msg.sender != weth) {
+            revert ETHNotAccepted();
+        }
+    }
+
+    /**
+     * @notice Withdraw tokens from the contract
+     * @dev Called by the claim manager to withdraw tokens on a user's behalf, including tokens since removed from the whitelist
+     * @param _userAddress The address of the user to withdraw the tokens from
+     * @return withdrawnAmounts The amount of each accepted token withdrawn, in the order of getAllAcceptedTokens
+     */
+    function withdrawTokens(
+        address _userAddress
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        onlyClaimManager
+        onlyAfterDepositStop
+        returns (uint256[] memory withdrawnAmounts)
+    {
+        if (_userAddress == address(0)) {
+            revert ZeroAddress();
+        }
+
+        (withdrawnAmounts, ) = _withdrawUserTokens(_userAddress, false);
+        _transferToClaimManager(withdrawnAmounts);
+    }
 
-            user.tokenBalances[allWhitelistedTokens[i]] = 0;
+    /**
+     * @notice Withdraw tokens from the contract for several users
+     * @dev Called by the claim manager to withdraw tokens on behalf of up to MAX_BATCH_SIZE users.
+     * Users with no balances are skipped without emitting an event, and each token is transferred to the claim manager once for the whole batch.
+     * @param _userAddresses The addresses of the users to withdraw the tokens from
+     * @return withdrawnAmounts The amounts of each accepted token withdrawn for each user, in the same order as the users
+     */
+    function withdrawTokensBatch(
+        address[] calldata _userAddresses
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        onlyClaimManager
+        onlyAfterDepositStop
+        returns (uint256[][] memory withdrawnAmounts)
+    {
+        _checkBatchSize(_userAddresses.length);
 
-            IERC20 token = IERC20(allWhitelistedTokens[i]);
-            token.safeTransfer(claimManager, userBalance);
+        withdrawnAmounts = new uint256[][](_userAddresses.length);
+        uint256[] memory totalAmounts = new uint256[](allAcceptedTokens.length);
 
+        for (uint256 i; i < _userAddresses.length; ) {
+            (withdrawnAmounts[i], ) = _withdrawUserTokens(
+                _userAddresses[i],
+                true
+            );
+            for (uint256 j; j < totalAmounts.length; ) {
+                totalAmounts[j] += withdrawnAmounts[i][j];
+                unchecked {
+                    ++j;
+                }
+            }
             unchecked {
                 ++i;
             }
         }
-        user.pointsPerHour = 0;
-        emit WithdrawTokens(_userAddress, withdrawnAmounts);
-        return withdrawnAmounts;
+
+        _transferToClaimManager(totalAmounts);
     }
 
     /**
@@ -395,8 +1151,340 @@ contract OmronDeposit is Ownable, ReentrancyGuard, Pausable, IOmronDeposit {
         emit ClaimPoints(_userAddress, pointsClaimed);
     }
 
+    /**
+     * @notice Claim all points for several users
+     * @dev Called by the claim manager to claim for up to MAX_BATCH_SIZE users.
+     * Users with no points are skipped without emitting an event, and their claimed points are returned as zero.
+     * @param _userAddresses The addresses of the users to claim for
+     * @return pointsClaimed The number of points claimed by each user, in the same order as the users
+     */
+    function claimBatch(
+        address[] calldata _userAddresses
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        onlyClaimManager
+        onlyAfterDepositStop
+        returns (uint256[] memory pointsClaimed)
+    {
+        _checkBatchSize(_userAddresses.length);
+
+        pointsClaimed = new uint256[](_userAddresses.length);
+
+        for (uint256 i; i < _userAddresses.length; ) {
+            UserInfo storage user = userInfo[_userAddresses[i]];
+
+            // A user with no points per hour has nothing left to accrue, so there's no need to settle them
+            if (user.pointBalance == 0 && user.pointsPerHour == 0) {
+                unchecked {
+                    ++i;
+                }
+                continue;
+            }
+
+            _updatePoints(user);
+            pointsClaimed[i] = user.pointBalance;
+
+            if (pointsClaimed[i] != 0) {
+                user.pointBalance = 0;
+                emit ClaimPoints(_userAddresses[i], pointsClaimed[i]);
+            }
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
     // Private functions
 
+    /**
+     * @dev Credit a deposit to a user, settling their points first
+     * @param _userAddress The address of the user to credit
+     * @param _tokenAddress The address of the deposited token
+     * @param _amount The amount deposited
+     */
+    function _creditDeposit(
+        address _userAddress,
+        address _tokenAddress,
+        uint256 _amount
+    ) private {
+        UserInfo storage user = userInfo[_userAddress];
+
+        _updateDepositorPoints(user);
+        _addDeposit(user, _tokenAddress, _amount);
+    }
+
+    /**
+     * @dev Zero a user's balances of every accepted token and their points per hour, settling their points first, ahead of the tokens being sent to the claim manager.
+     * Tokens removed from the whitelist are included, so removing a token never strands deposits of it.
+     * @param _userAddress The address of the user to withdraw the tokens from
+     * @param _skipEmpty Whether to leave a user with no balances untouched, rather than settling their points and emitting a WithdrawTokens event
+     * @return withdrawnAmounts An array of the amounts of each accepted token withdrawn, in the order of allAcceptedTokens
+     * @return withdrawn Whether any tokens were withdrawn
+     */
+    function _withdrawUserTokens(
+        address _userAddress,
+        bool _skipEmpty
+    ) private returns (uint256[] memory withdrawnAmounts, bool withdrawn) {
+        UserInfo storage user = userInfo[_userAddress];
+        withdrawnAmounts = new uint256[](allAcceptedTokens.length);
+
+        for (uint256 i; i < allAcceptedTokens.length; ) {
+            uint256 userBalance = user.tokenBalances[allAcceptedTokens[i]];
+
+            if (userBalance == 0) {
+                unchecked {
+                    ++i;
+                }
+                continue;
+            }
+
+            withdrawnAmounts[i] = userBalance;
+            withdrawn = true;
+
+            user.tokenBalances[allAcceptedTokens[i]] = 0;
+            user.tokenPointsPerHour[allAcceptedTokens[i]] = 0;
+            totalDeposited[allAcceptedTokens[i]] -= userBalance;
+
+            unchecked {
+                ++i;
+            }
+        }
+
+        if (!withdrawn && _skipEmpty) {
+            return (withdrawnAmounts, withdrawn);
+        }
+
+        // Settling only reads the total points per hour, so it can happen after the token balances are cleared
+        _updatePoints(user);
+        totalPointsPerHour -= user.pointsPerHour;
+        user.pointsPerHour = 0;
+        emit WithdrawTokens(_userAddress, withdrawnAmounts);
+    }
+
+    /**
+     * @dev Transfer amounts of each accepted token to the claim manager, skipping zero amounts
+     * @param _amounts The amount of each accepted token, in the order of allAcceptedTokens
+     */
+    function _transferToClaimManager(uint256[] memory _amounts) private {
+        for (uint256 i; i < _amounts.length; ) {
+            if (_amounts[i] != 0) {
+                IERC20(allAcceptedTokens[i]).safeTransfer(
+                    claimManager,
+                    _amounts[i]
+                );
+            }
+            unchecked {
+                ++i;
+            }
+        }
+    }
+
+    /**
+     * @dev Consume the scheduled operation matching the call's calldata, reverting unless it is ready.
+     * While the timelock delay is zero, calls go ahead whether or not they were scheduled, consuming any matching operation
+     * which was scheduled under an earlier delay, even if it isn't ready yet.
+     */
+    function _executeScheduledOperation() private {
+        bytes32 operationId = keccak256(msg.data);
+        uint256 readyTime = scheduledOperations[operationId];
+        if (readyTime == 0) {
+            if (timelockDelay != 0) {
+                revert OperationNotScheduled();
+            }
+        } else {
+            if (block.timestamp < readyTime && timelockDelay != 0) {
+                revert OperationNotReady();
+            }
+            delete scheduledOperations[operationId];
+            emit OperationExecuted(operationId);
+        }
+    }
+
+    /**
+     * @dev Get the role needed to schedule a timelocked operation, reverting if the calldata isn't for a timelocked operation
+     * @param _data The calldata of the operation
+     * @return role The role the operation needs
+     */
+    function _getTimelockedRole(
+        bytes calldata _data
+    ) private pure returns (bytes32 role) {
+        if (_data.length < 4) {
+            revert NotTimelocked();
+        }
+        bytes4 selector = bytes4(_data[:4]);
+        if (selector == IOmronDeposit.setClaimManager.selector) {
+            return CLAIM_ADMIN_ROLE;
+        }
+        if (selector == IOmronDeposit.removeWhitelistedToken.selector) {
+            return WHITELIST_MANAGER_ROLE;
+        }
+        if (
+            selector == IOmronDeposit.stopDeposits.selector ||
+            selector == IOmronDeposit.setTimelockDelay.selector
+        ) {
+            return DEFAULT_ADMIN_ROLE;
+        }
+        revert NotTimelocked();
+    }
+
+    /**
+     * @dev Revert unless a batch has between one and MAX_BATCH_SIZE items
+     * @param _size The number of items in the batch
+     */
+    function _checkBatchSize(uint256 _size) private pure {
+        if (_size == 0) {
+            revert EmptyBatch();
+        }
+        if (_size > MAX_BATCH_SIZE) {
+            revert BatchTooLarge();
+        }
+    }
+
+    /**
+     * @dev Add a deposit to a user's balance and points per hour, and to the protocol's totals, enforcing the token's deposit limits. The user's points must already be settled.
+     * @param _user The user to add the deposit to
+     * @param _tokenAddress The address of the deposited token
+     * @param _amount The amount deposited
+     */
+    function _addDeposit(
+        UserInfo storage _user,
+        address _tokenAddress,
+        uint256 _amount
+    ) private {
+        if (_amount == 0) {
+            revert ZeroAmount();
+        }
+
+        if (!whitelistedTokens[_tokenAddress]) {
+            revert TokenNotWhitelisted();
+        }
+
+        if (_amount < minDepositAmounts[_tokenAddress]) {
+            revert DepositBelowMinimum();
+        }
+        if (
+            _amount >
+            _remainingCapacity(
+                maxTotalDeposits[_tokenAddress],
+                totalDeposited[_tokenAddress]
+            )
+        ) {
+            revert TotalDepositCapExceeded();
+        }
+        if (
+            _amount >
+            _remainingCapacity(
+                maxUserDeposits[_tokenAddress],
+                _user.tokenBalances[_tokenAddress]
+            )
+        ) {
+            revert UserDepositCapExceeded();
+        }
+        totalDeposited[_tokenAddress] += _amount;
+
+        uint256 pointsPerHour = _calculatePointsPerHour(_tokenAddress, _amount);
+        totalPointsPerHour += pointsPerHour;
+        _user.pointsPerHour += pointsPerHour;
+        _user.tokenPointsPerHour[_tokenAddress] += pointsPerHour;
+        _user.tokenBalances[_tokenAddress] += _amount;
+    }
+
+    /**
+     * @dev Debit a withdrawal from the sender, settling their points first and reducing the points per hour earned by the token in proportion to the amount withdrawn
+     * @param _tokenAddress The address of the token being withdrawn
+     * @param _amount The amount being withdrawn
+     */
+    function _debitWithdrawal(address _tokenAddress, uint256 _amount) private {
+        if (!withdrawalsEnabled) {
+            revert WithdrawalsDisabled();
+        }
+        if (_amount == 0) {
+            revert ZeroAmount();
+        }
+
+        UserInfo storage user = userInfo[msg.sender];
+        uint256 balance = user.tokenBalances[_tokenAddress];
+        if (_amount > balance) {
+            revert InsufficientDepositBalance();
+        }
+
+        _updatePoints(user);
+
+        // Round the remaining points per hour down, so a withdrawal never leaves more than a proportional share
+        uint256 tokenPointsPerHourBefore = user.tokenPointsPerHour[
+            _tokenAddress
+        ];
+        uint256 remainingBalance = balance - _amount;
+        uint256 remainingPointsPerHour = (tokenPointsPerHourBefore *
+            remainingBalance) / balance;
+        uint256 pointsPerHourWithdrawn = tokenPointsPerHourBefore -
+            remainingPointsPerHour;
+        user.pointsPerHour -= pointsPerHourWithdrawn;
+        totalPointsPerHour -= pointsPerHourWithdrawn;
+        user.tokenPointsPerHour[_tokenAddress] = remainingPointsPerHour;
+        user.tokenBalances[_tokenAddress] = remainingBalance;
+        totalDeposited[_tokenAddress] -= _amount;
+    }
+
+    /**
+     * @dev Get how much more can be added to an amount before it reaches a cap
+     * @param _cap The cap, or zero if there is none
+     * @param _amount The amount already counted against the cap
+     * @return capacity The room left under the cap, which is zero if the cap has been lowered below the amount, or the maximum uint256 if there is no cap
+     */
+    function _remainingCapacity(
+        uint256 _cap,
+        uint256 _amount
+    ) private pure returns (uint256 capacity) {
+        if (_cap == 0) {
+            return type(uint256).max;
+        }
+        if (_amount < _cap) {
+            capacity = _cap - _amount;
+        }
+    }
+
+    /**
+     * @dev Add a token to the whitelist, recording its decimals. A token which has never been accepted before is given the default multiplier and added to allAcceptedTokens.
+     * @param _tokenAddress The address of the token to be added
+     */
+    function _addWhitelistedToken(address _tokenAddress) private {
+        if (_tokenAddress == address(0)) {
+            revert ZeroAddress();
+        }
+        if (whitelistedTokens[_tokenAddress]) {
+            revert TokenAlreadyWhitelisted();
+        }
+        whitelistedTokens[_tokenAddress] = true;
+        allWhitelistedTokens.push(_tokenAddress);
+        tokenDecimals[_tokenAddress] = IERC20Min(_tokenAddress).decimals();
+        // A token which is whitelisted again keeps the multiplier it had before it was removed
+        // Multipliers can't be set to zero, so a token without one has never been accepted before
+        uint256 multiplier = tokenMultipliers[_tokenAddress];
+        if (multiplier == 0) {
+            multiplier = MULTIPLIER_SCALE;
+            tokenMultipliers[_tokenAddress] = multiplier;
+            allAcceptedTokens.push(_tokenAddress);
+        }
+        emit WhitelistedTokenAdded(_tokenAddress);
+        emit TokenMultiplierSet(_tokenAddress, multiplier);
+    }
+
+    /**
+     * @dev Unwrap WETH and send it to the sender as ETH. If the sender can't receive ETH, it is wrapped again and sent as WETH, so the transfer can't block their exit.
+     * @param _amount The amount of WETH to send
+     */
+    function _sendUnwrappedWETH(uint256 _amount) private {
+        IWETH(weth).withdraw(_amount);
+        (bool sent, ) = payable(msg.sender).call{value: _amount}("");
+        if (!sent) {
+            IWETH(weth).deposit{value: _amount}();
+            IERC20(weth).safeTransfer(msg.sender, _amount);
+        }
+    }
+
     /**
      * @dev Update points information for a user
      * @param _user The user to update the points for
@@ -408,8 +1496,45 @@ contract OmronDeposit is Ownable, ReentrancyGuard, Pausable, IOmronDeposit {
         _user.lastUpdated = block.timestamp;
     }
 
+    /**
+     * @dev Update points information for a user who is about to be credited with a deposit, counting them as a unique depositor if it is their first.
+     * A user's points are first updated by a deposit, since they can't withdraw without a balance and are only claimed for after deposits stop.
+     * @param _user The user to update the points for
+     */
+    function _updateDepositorPoints(UserInfo storage _user) private {
+        if (_user.lastUpdated == 0) {
+            ++uniqueDepositors;
+        }
+        _updatePoints(_user);
+    }
+
     // Private View Methods
 
+    /**
+     * @notice Calculate the points per hour earned by a deposit of a token
+     * @dev The amount is scaled from the token's decimals to NORMALIZED_DECIMALS, then weighted by the token's multiplier.
+     * Multiplication happens before division so tokens with more than NORMALIZED_DECIMALS decimals keep their precision.
+     * @param _tokenAddress The address of the deposited token
+     * @param _amount The amount deposited, in the token's own decimals
+     * @return pointsPerHour The points per hour earned by the deposit
+     */
+    function _calculatePointsPerHour(
+        address _tokenAddress,
+        uint256 _amount
+    ) private view returns (uint256 pointsPerHour) {
+        uint8 decimals = tokenDecimals[_tokenAddress];
+        uint256 weightedAmount = _amount * tokenMultipliers[_tokenAddress];
+        if (decimals <= NORMALIZED_DECIMALS) {
+            pointsPerHour =
+                (weightedAmount * 10 ** (NORMALIZED_DECIMALS - decimals)) /
+                MULTIPLIER_SCALE;
+        } else {
+            pointsPerHour =
+                weightedAmount /
+                (MULTIPLIER_SCALE * 10 ** (decimals - NORMALIZED_DECIMALS));
+        }
+    }
+
     /**
      * @notice Calculate the points earned by a user between their last updated timestamp and the current block timestamp, or the deposit stop time, whichever comes first.
      * @dev Will return zero if a user hasn't deposited, the user is not earning any points per hour, or the last updated timestamp is later than the deposit stop time as long as it's non-zero.
@@ -429,15 +1554,52 @@ contract OmronDeposit is Ownable, ReentrancyGuard, Pausable, IOmronDeposit {
         ) {
             return 0;
         }
-        uint256 timeElapsed = block.timestamp - _user.lastUpdated;
         // If the current time is after the depositStopTime and it is non-zero, then use it to determine time elapsed,
         // since no points are being accrued after deposit stop
-        // timeElapsed will always be >= 0 due to checks above
-        if (depositStopTime != 0) {
-            timeElapsed = depositStopTime - _user.lastUpdated;
-        }
+        // The accrual period will always be non-negative due to checks above
+        uint256 accrualEnd = depositStopTime != 0
+            ? depositStopTime
+            : block.timestamp;
+        uint256 boostedTimeElapsed = _calculateBoostedTime(
+            _user.lastUpdated,
+            accrualEnd
+        );
         calculatedPoints =
-            (timeElapsed * _user.pointsPerHour * POINTS_SCALE) /
-            ONE_HOUR_IN_POINTS;
+            (boostedTimeElapsed * _user.pointsPerHour) /
+            (1 hours * MULTIPLIER_SCALE);
+    }
+
+    /**
+     * @notice Calculate the time between two timestamps, weighted by the multiplier of each boost epoch it overlaps
+     * @dev Time before the first epoch is weighted by MULTIPLIER_SCALE, so with no epochs this is the time elapsed scaled by MULTIPLIER_SCALE
+     * @param _from The start of the period
+     * @param _to The end of the period
+     * @return boostedTime The sum of each part of the period multiplied by the multiplier in effect during it
+     */
+    function _calculateBoostedTime(
+        uint256 _from,
+        uint256 _to
+    ) private view returns (uint256 boostedTime) {
+        uint256 cursor = _from;
+        uint256 multiplier = MULTIPLIER_SCALE;
+        uint256 epochCount = boostEpochs.length;
+        for (uint256 i; i < epochCount && cursor < _to; ) {
+            BoostEpoch storage epoch = boostEpochs[i];
+            // Accrue at the current multiplier up to the start of this epoch, or the end of the period if it comes first
+            if (epoch.startTime > cursor) {
+                uint256 segmentEnd = epoch.startTime < _to
+                    ? epoch.startTime
+                    : _to;
+                boostedTime += (segmentEnd - cursor) * multiplier;
+                cursor = segmentEnd;
+            }
+            multiplier = epoch.multiplier;
+            unchecked {
+                ++i;
+            }
+        }
+        if (cursor < _to) {
+            boostedTime += (_to - cursor) * multiplier;
+        }
     }
 }
@@ -11,4 +11,8 @@ interface IClaimManager {
     ) external;
 
     function claimPoints(address _user) external;
+
+    function claimPointsBatch(address[] calldata _users) external;
+
+    function withdrawTokensBatch(address[] calldata _users) external;
 }
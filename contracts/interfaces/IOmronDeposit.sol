@@ -16,11 +16,20 @@ interface IOmronDeposit {
      */
     struct UserInfo {
         mapping(address tokenAddress => uint256 balanceAmount) tokenBalances;
+        mapping(address tokenAddress => uint256 pointsPerHour) tokenPointsPerHour;
         uint256 pointBalance;
         uint256 pointsPerHour;
         uint256 lastUpdated;
     }
 
+    /**
+     * @notice A period from which points accrue at a multiplier, until the next epoch starts
+     */
+    struct BoostEpoch {
+        uint256 startTime;
+        uint256 multiplier;
+    }
+
     // Custom Errors
     error ZeroAddress();
     error TokenNotWhitelisted();
@@ -30,6 +39,31 @@ interface IOmronDeposit {
     error DepositsAlreadyStopped();
     error DepositsNotStopped();
     error DepositsStopped();
+    error ZeroMultiplier();
+    error InvalidBoostEpochStartTime();
+    error TooManyBoostEpochs();
+    error NoBoostEpochs();
+    error BoostEpochStarted();
+    error WithdrawalsDisabled();
+    error InsufficientDepositBalance();
+    error ETHNotAccepted();
+    error ArrayLengthMismatch();
+    error EmptyBatch();
+    error BatchTooLarge();
+    error NotTimelocked();
+    error OperationAlreadyScheduled();
+    error OperationNotScheduled();
+    error OperationNotReady();
+    error TimelockDelayTooLong();
+    error EmergencyModeActive();
+    error EmergencyModeNotActive();
+    error InvalidDepositLimits();
+    error DepositBelowMinimum();
+    error TotalDepositCapExceeded();
+    error UserDepositCapExceeded();
+    error InsufficientSurplus();
+    error MultiplierTooHigh();
+    error TokenAlreadyWhitelisted();
 
     // Events
 
@@ -45,6 +79,22 @@ interface IOmronDeposit {
         uint256 amount
     );
 
+    /**
+     * Emitted after the Deposit event when tokens are deposited on behalf of another address
+     * @param _depositor The address the tokens were taken from
+     * @param _beneficiary The address the deposit was credited to
+     * @param _referrer The address which referred the deposit, or the zero address if there is none
+     * @param _tokenAddress The address of the token that was deposited
+     * @param _amount The amount of the token that was deposited
+     */
+    event DepositFor(
+        address indexed _depositor,
+        address indexed _beneficiary,
+        address indexed _referrer,
+        address _tokenAddress,
+        uint256 _amount
+    );
+
     /**
      * Emitted when a user claims their points via the claim contract
      * @param user The address of the user that claimed
@@ -64,6 +114,43 @@ interface IOmronDeposit {
      */
     event WhitelistedTokenRemoved(address indexed _tokenAddress);
 
+    /**
+     * Emitted when a token's points multiplier is set, including when the token is whitelisted
+     * @param _tokenAddress The address of the token
+     * @param _multiplier The new multiplier, scaled by MULTIPLIER_SCALE
+     */
+    event TokenMultiplierSet(
+        address indexed _tokenAddress,
+        uint256 _multiplier
+    );
+
+    /**
+     * Emitted when a token's deposit limits are set
+     * @param _tokenAddress The address of the token
+     * @param _maxTotalDeposits The most of the token all users together can have deposited, or zero for no cap
+     * @param _maxUserDeposits The most of the token a single user can have deposited, or zero for no cap
+     * @param _minDepositAmount The smallest amount of the token a single deposit can be, or zero for no minimum
+     */
+    event DepositLimitsSet(
+        address indexed _tokenAddress,
+        uint256 _maxTotalDeposits,
+        uint256 _maxUserDeposits,
+        uint256 _minDepositAmount
+    );
+
+    /**
+     * Emitted when a boost epoch is scheduled
+     * @param _startTime The time the epoch starts
+     * @param _multiplier The multiplier applied to points accrued during the epoch, scaled by MULTIPLIER_SCALE
+     */
+    event BoostEpochAdded(uint256 indexed _startTime, uint256 _multiplier);
+
+    /**
+     * Emitted when a scheduled boost epoch is removed before it starts
+     * @param _startTime The time the removed epoch would have started
+     */
+    event BoostEpochRemoved(uint256 indexed _startTime);
+
     /**
      * Emitted when the claim manager contract is set
      * @param _claimManager The address of the new claim manager contract
@@ -79,14 +166,91 @@ interface IOmronDeposit {
     /**
      * Emitted when tokens are withdrawn from the contract
      * @param _userAddress The address of the user that withdrawn the tokens
-     * @param _withdrawnAmounts An array of the amounts of the tokens that were withdrawn
+     * @param _withdrawnAmounts The amount of each accepted token withdrawn, in the order of getAllAcceptedTokens
      */
     event WithdrawTokens(
         address indexed _userAddress,
         uint256[] _withdrawnAmounts
     );
 
-    // Owner only methods
+    /**
+     * Emitted when a user withdraws some of their deposited tokens before the deposit stop
+     * @param _userAddress The address of the user that withdrew the tokens
+     * @param _tokenAddress The address of the token that was withdrawn
+     * @param _amount The amount of the token that was withdrawn
+     */
+    event Withdrawal(
+        address indexed _userAddress,
+        address indexed _tokenAddress,
+        uint256 _amount
+    );
+
+    /**
+     * Emitted when the admin enables or disables withdrawals
+     * @param _enabled Whether withdrawals are enabled
+     */
+    event WithdrawalsEnabled(bool _enabled);
+
+    /**
+     * Emitted when a timelocked operation is scheduled, so it can be reviewed before it can be executed
+     * @param _operationId The ID of the operation, which is the keccak256 hash of its calldata
+     * @param _data The calldata of the operation
+     * @param _readyTime The time from which the operation can be executed
+     */
+    event OperationScheduled(
+        bytes32 indexed _operationId,
+        bytes _data,
+        uint256 _readyTime
+    );
+
+    /**
+     * Emitted when a scheduled operation is cancelled
+     * @param _operationId The ID of the cancelled operation
+     */
+    event OperationCancelled(bytes32 indexed _operationId);
+
+    /**
+     * Emitted when a scheduled operation is executed, before the events of the operation itself
+     * @param _operationId The ID of the executed operation
+     */
+    event OperationExecuted(bytes32 indexed _operationId);
+
+    /**
+     * Emitted when emergency mode is enabled, after DepositStopTimeSet if deposits hadn't been stopped yet
+     */
+    event EmergencyModeEnabled();
+
+    /**
+     * Emitted for each token a user withdraws in emergency mode
+     * @param _userAddress The address of the user that withdrew the tokens
+     * @param _tokenAddress The address of the token that was withdrawn
+     * @param _amount The amount of the token that was withdrawn, which is the user's whole balance of it
+     */
+    event EmergencyWithdrawal(
+        address indexed _userAddress,
+        address indexed _tokenAddress,
+        uint256 _amount
+    );
+
+    /**
+     * Emitted when the timelock delay is set
+     * @param _delay The new delay, in seconds
+     */
+    event TimelockDelaySet(uint256 _delay);
+
+    /**
+     * Emitted when tokens sent to the contract by mistake are recovered
+     * @param _tokenAddress The address of the recovered token
+     * @param _to The address the tokens were sent to
+     * @param _amount The amount of the token recovered
+     */
+    event TokensRescued(
+        address indexed _tokenAddress,
+        address indexed _to,
+        uint256 _amount
+    );
+
+    // Role restricted methods
 
     /**
      * @dev Add a new deposit token to the contract
@@ -94,12 +258,64 @@ interface IOmronDeposit {
      */
     function addWhitelistedToken(address _tokenAddress) external;
 
+    /**
+     * @dev Remove a token from the whitelist, which stops new deposits of it. Existing balances of it are still withdrawn.
+     * @param _tokenAddress The address of the token to be removed
+     */
+    function removeWhitelistedToken(address _tokenAddress) external;
+
+    /**
+     * @notice Set the multiplier applied to the points earned by deposits of a token, for example to weight tokens by their exchange rate
+     * @dev The multiplier only applies to future deposits, points per hour from existing deposits are unchanged
+     * @param _tokenAddress The address of the token
+     * @param _multiplier The new multiplier, scaled by MULTIPLIER_SCALE, up to MAX_MULTIPLIER
+     */
+    function setTokenMultiplier(
+        address _tokenAddress,
+        uint256 _multiplier
+    ) external;
+
+    /**
+     * @notice Set the deposit limits of a token, to manage the risk of holding it
+     * @dev Limits only restrict new deposits, so lowering a cap below what is already deposited never affects existing balances
+     * @param _tokenAddress The address of the token
+     * @param _maxTotalDeposits The most of the token all users together can have deposited, or zero for no cap
+     * @param _maxUserDeposits The most of the token a single user can have deposited, or zero for no cap
+     * @param _minDepositAmount The smallest amount of the token a single deposit can be, or zero for no minimum
+     */
+    function setDepositLimits(
+        address _tokenAddress,
+        uint256 _maxTotalDeposits,
+        uint256 _maxUserDeposits,
+        uint256 _minDepositAmount
+    ) external;
+
+    /**
+     * @notice Schedule a boost epoch, from which points accrue at the provided multiplier until the next epoch starts
+     * @dev Epochs can only be added in the future and in order, so points which have already accrued are never changed.
+     * To end a boost, schedule an epoch with a multiplier of MULTIPLIER_SCALE.
+     * @param _startTime The time the epoch starts
+     * @param _multiplier The multiplier applied to points accrued during the epoch, scaled by MULTIPLIER_SCALE, up to MAX_MULTIPLIER
+     */
+    function addBoostEpoch(uint256 _startTime, uint256 _multiplier) external;
+
+    /**
+     * @notice Remove the last scheduled boost epoch, as long as it hasn't started
+     */
+    function removeLastBoostEpoch() external;
+
     /**
      * @dev Set the address of the contract which is allowed to claim points on behalf of users. Can be set to the null address to disable claims.
      * @param _newClaimManager The address of the contract which is allowed to claim points on behalf of users.
      */
     function setClaimManager(address _newClaimManager) external;
 
+    /**
+     * @notice Enable or disable withdrawals by users before the deposit stop
+     * @param _enabled Whether withdrawals are enabled
+     */
+    function setWithdrawalsEnabled(bool _enabled) external;
+
     /**
      * @notice Ends the deposit period
      * @dev This will:
@@ -113,6 +329,52 @@ interface IOmronDeposit {
      */
     function stopDeposits() external;
 
+    /**
+     * @notice Set the time timelocked operations must wait between being scheduled and being executed
+     * @dev This is timelocked itself, so the delay can't be shortened without waiting out the current one
+     * @param _delay The new delay, in seconds
+     */
+    function setTimelockDelay(uint256 _delay) external;
+
+    /**
+     * @notice Schedule a timelocked operation, which can be executed by calling it with the same arguments once the timelock delay has passed
+     * @dev setClaimManager, removeWhitelistedToken, stopDeposits and setTimelockDelay are timelocked. The sender needs the role the operation itself needs.
+     * @param _data The calldata of the operation, such as an encoded setClaimManager call
+     * @return operationId The ID of the operation, which is the keccak256 hash of its calldata
+     */
+    function scheduleOperation(
+        bytes calldata _data
+    ) external returns (bytes32 operationId);
+
+    /**
+     * @notice Cancel a scheduled timelocked operation before it is executed
+     * @dev The sender needs the role the operation needs, or the admin role
+     * @param _data The calldata the operation was scheduled with
+     */
+    function cancelOperation(bytes calldata _data) external;
+
+    /**
+     * @notice Irreversibly enable emergency mode, for when deposits can't be returned through the claim manager
+     * @dev This stops deposits if they haven't been stopped already, so points freeze at the current time.
+     * Users can then withdraw their balances with emergencyWithdraw, even while the contract is paused.
+     * It isn't timelocked, so it intentionally bypasses the stopDeposits timelock: an emergency can't wait out the delay.
+     * Monitoring sees it through the DepositStopTimeSet and EmergencyModeEnabled events instead.
+     */
+    function enableEmergencyMode() external;
+
+    /**
+     * @notice Recover tokens sent to the contract by mistake, whether a token that was never deposited or extra of a deposited one
+     * @dev Only the surplus above totalDeposited can be moved, so users' deposits are never touched
+     * @param _tokenAddress The address of the token to recover
+     * @param _to The address to send the tokens to
+     * @param _amount The amount of the token to send
+     */
+    function rescueTokens(
+        address _tokenAddress,
+        address _to,
+        uint256 _amount
+    ) external;
+
     /**
      * @dev Pause the contract
      */
@@ -128,7 +390,7 @@ interface IOmronDeposit {
     /**
      * @notice A view method that returns point information about the provided address
      * @param _userAddress The address of the user to check the point information for.
-     * @return pointsPerHour The number of points earned per hour by the user.
+     * @return pointsPerHour The number of points earned per hour by the user, normalized for the decimals and multipliers of the tokens they deposited.
      * @return lastUpdated The timestamp of the last time the user's points were updated.
      * @return pointBalance The total number of points earned by the user.
      */
@@ -152,6 +414,24 @@ interface IOmronDeposit {
         view
         returns (address[] memory _allWhitelistedTokens);
 
+    /**
+     * @notice A view method that returns every token which has ever been whitelisted, including tokens since removed from the whitelist.
+     * @return _allAcceptedTokens An array of addresses of all accepted tokens, in the order they were first whitelisted.
+     */
+    function getAllAcceptedTokens()
+        external
+        view
+        returns (address[] memory _allAcceptedTokens);
+
+    /**
+     * @notice A view method that returns the schedule of boost epochs.
+     * @return _boostEpochs An array of all boost epochs, ordered by start time.
+     */
+    function getBoostEpochs()
+        external
+        view
+        returns (BoostEpoch[] memory _boostEpochs);
+
     /**
      * @notice A view method that calculates the points earned by a user.
      * @param _userAddress The address of the user to calculate the points for.
@@ -161,6 +441,17 @@ interface IOmronDeposit {
         address _userAddress
     ) external view returns (uint256 currentPointsBalance);
 
+    /**
+     * @notice A view method that calculates the points per hour a deposit of a token would earn.
+     * @param _tokenAddress The address of the token.
+     * @param _amount The amount of the token, in the token's own decimals.
+     * @return pointsPerHour The points per hour the deposit would earn, normalized for the token's decimals and multiplier.
+     */
+    function calculatePointsPerHour(
+        address _tokenAddress,
+        uint256 _amount
+    ) external view returns (uint256 pointsPerHour);
+
     /**
      * @notice A view method that returns the token balance for a user.
      * @param _userAddress The address of the user to check the token balance for.
@@ -172,6 +463,55 @@ interface IOmronDeposit {
         address _tokenAddress
     ) external view returns (uint256 balance);
 
+    /**
+     * @notice A view method that returns the points per hour a user earns from their deposits of a token.
+     * @param _userAddress The address of the user.
+     * @param _tokenAddress The address of the token.
+     * @return pointsPerHour The points per hour earned by the user's balance of the token, normalized for the token's decimals and the multipliers it was deposited at.
+     */
+    function tokenPointsPerHour(
+        address _userAddress,
+        address _tokenAddress
+    ) external view returns (uint256 pointsPerHour);
+
+    /**
+     * @notice A view method that returns protocol-wide totals, so TVL and the global points rate can be read in a single call.
+     * @dev Totals only count user deposits, not tokens sent to the contract directly.
+     * @return tokens Every accepted token, including tokens since removed from the whitelist, in the order of getAllAcceptedTokens.
+     * @return totals The total deposited of each token, in the token's own decimals.
+     * @return depositors The number of unique addresses which have ever been credited with a deposit.
+     * @return pointsPerHour The points per hour earned by all users together, before boost epochs are applied. Points stop accruing at the deposit stop time.
+     */
+    function getProtocolStats()
+        external
+        view
+        returns (
+            address[] memory tokens,
+            uint256[] memory totals,
+            uint256 depositors,
+            uint256 pointsPerHour
+        );
+
+    /**
+     * @notice A view method that returns how much more of a token can be deposited before its total deposit cap is reached.
+     * @param _tokenAddress The address of the token.
+     * @return capacity The amount of the token which can still be deposited, or the maximum uint256 if the token is uncapped.
+     */
+    function remainingDepositCapacity(
+        address _tokenAddress
+    ) external view returns (uint256 capacity);
+
+    /**
+     * @notice A view method that returns how much more of a token a user can deposit, within both the per-user and the total deposit caps.
+     * @param _userAddress The address of the user.
+     * @param _tokenAddress The address of the token.
+     * @return capacity The amount of the token the user can still deposit, or the maximum uint256 if neither cap applies.
+     */
+    function remainingUserDepositCapacity(
+        address _userAddress,
+        address _tokenAddress
+    ) external view returns (uint256 capacity);
+
     // External methods
 
     /**
@@ -181,16 +521,125 @@ interface IOmronDeposit {
      */
     function deposit(address _tokenAddress, uint256 _amount) external;
 
+    /**
+     * @notice Deposit several tokens in one transaction
+     * @dev Points are settled once for the whole batch, and one Deposit event is emitted per token.
+     * If any token isn't whitelisted or any transfer fails, the whole batch reverts.
+     * @param _tokenAddresses The addresses of the tokens to be deposited
+     * @param _amounts The amount of each token to be deposited, in the same order
+     */
+    function depositMany(
+        address[] calldata _tokenAddresses,
+        uint256[] calldata _amounts
+    ) external;
+
+    /**
+     * @notice Deposit a token on behalf of another address, optionally attributing it to a referrer
+     * @dev The tokens are taken from the sender, while the balance and points are credited to the beneficiary.
+     * A Deposit event is emitted for the beneficiary, followed by a DepositFor event recording the sender and referrer.
+     * @param _beneficiary The address to credit the deposit to
+     * @param _tokenAddress The address of the token to be deposited
+     * @param _amount The amount of the token to be deposited
+     * @param _referrer The address which referred the deposit, or the zero address if there is none
+     */
+    function depositFor(
+        address _beneficiary,
+        address _tokenAddress,
+        uint256 _amount,
+        address _referrer
+    ) external;
+
+    /**
+     * @notice Deposit a token using an EIP-2612 permit signature instead of a separate approval
+     * @dev The permit is attempted but allowed to fail, since anyone can submit a signed permit first to make this call revert.
+     * If it fails, the deposit goes ahead as long as the allowance is already sufficient.
+     * @param _tokenAddress The address of the token to be deposited
+     * @param _amount The amount of the token to be deposited, which is also the value permitted
+     * @param _deadline The deadline of the permit
+     * @param _v The recovery byte of the permit signature
+     * @param _r Half of the ECDSA signature pair
+     * @param _s Half of the ECDSA signature pair
+     */
+    function depositWithPermit(
+        address _tokenAddress,
+        uint256 _amount,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external;
+
+    /**
+     * @notice Deposit a token using a Permit2 signature transfer, for tokens without native permits
+     * @dev The sender must have approved Permit2 to spend the token, and signed a PermitTransferFrom with this contract as the spender
+     * @param _tokenAddress The address of the token to be deposited
+     * @param _amount The amount of the token to be deposited, which is also the amount permitted
+     * @param _nonce The Permit2 nonce of the signature
+     * @param _deadline The deadline of the signature
+     * @param _signature The signature of the PermitTransferFrom message
+     */
+    function depositWithPermit2(
+        address _tokenAddress,
+        uint256 _amount,
+        uint256 _nonce,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external;
+
+    /**
+     * @notice Deposit ETH into the contract, which is wrapped into WETH and credited as a WETH deposit
+     * @dev WETH must be whitelisted. withdrawETH and emergencyWithdraw unwrap the deposit again, while withdrawTokens returns it to the claim manager as WETH.
+     */
+    function depositETH() external payable;
+
+    /**
+     * @notice Withdraw some of a deposited token before the deposit stop, while withdrawals are enabled
+     * @dev Points are settled first, then the points per hour earned by the token are reduced in proportion to the amount withdrawn
+     * @param _tokenAddress The address of the token to withdraw
+     * @param _amount The amount of the token to withdraw
+     */
+    function withdraw(address _tokenAddress, uint256 _amount) external;
+
+    /**
+     * @notice Withdraw some of a WETH deposit as ETH, before the deposit stop and while withdrawals are enabled
+     * @dev This is the same as withdrawing WETH, except the WETH is unwrapped before it is sent
+     * @param _amount The amount of WETH to unwrap and withdraw
+     */
+    function withdrawETH(uint256 _amount) external;
+
+    /**
+     * @notice Withdraw the sender's whole balance of every accepted token, once emergency mode is enabled
+     * @dev This works while the contract is paused, and includes tokens which have been removed from the whitelist.
+     * Points stopped accruing when deposits were stopped, and the sender keeps the points they earned until then.
+     * If calculating those points reverts, the points earned since the sender was last updated are forfeited rather than blocking the withdrawal.
+     * A WETH balance, including ETH deposited with depositETH, is unwrapped and sent as ETH, or as WETH if the sender can't receive ETH.
+     * @return withdrawnAmounts The amount of each accepted token withdrawn, in the order of getAllAcceptedTokens
+     */
+    function emergencyWithdraw()
+        external
+        returns (uint256[] memory withdrawnAmounts);
+
     /**
      * @notice Withdraw tokens from the contract
-     * @dev Called by the claim manager to withdraw tokens on a user's behalf
+     * @dev Called by the claim manager to withdraw tokens on a user's behalf, including tokens since removed from the whitelist
      * @param _userAddress The address of the user to withdraw the tokens from
-     * @return withdrawnAmounts An array of the amounts of the tokens that were withdrawn
+     * @return withdrawnAmounts The amount of each accepted token withdrawn, in the order of getAllAcceptedTokens
      */
     function withdrawTokens(
         address _userAddress
     ) external returns (uint256[] memory withdrawnAmounts);
 
+    /**
+     * @notice Withdraw tokens from the contract for several users
+     * @dev Called by the claim manager to withdraw tokens on behalf of up to MAX_BATCH_SIZE users.
+     * Users with no balances are skipped without emitting an event, and each token is transferred to the claim manager once for the whole batch.
+     * @param _userAddresses The addresses of the users to withdraw the tokens from
+     * @return withdrawnAmounts The amounts of each accepted token withdrawn for each user, in the same order as the users
+     */
+    function withdrawTokensBatch(
+        address[] calldata _userAddresses
+    ) external returns (uint256[][] memory withdrawnAmounts);
+
     /**
      * @dev Called by the claim manager to claim all points for the user
      * @param _userAddress The address of the user to claim for
@@ -199,4 +648,15 @@ interface IOmronDeposit {
     function claim(
         address _userAddress
     ) external returns (uint256 pointsClaimed);
+
+    /**
+     * @notice Claim all points for several users
+     * @dev Called by the claim manager to claim for up to MAX_BATCH_SIZE users.
+     * Users with no points are skipped without emitting an event, and their claimed points are returned as zero.
+     * @param _userAddresses The addresses of the users to claim for
+     * @return pointsClaimed The number of points claimed by each user, in the same order as the users
+     */
+    function claimBatch(
+        address[] calldata _userAddresses
+    ) external returns (uint256[] memory pointsClaimed);
 }
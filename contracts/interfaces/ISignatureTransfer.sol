@@ -0,0 +1,49 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.21;
+
+/**
+ * @title Minimal Interface for Permit2 Signature Transfers
+ * @author Inference Labs
+ * @custom:security-contact whitehat@inferencelabs.com
+ * @notice The subset of Uniswap's Permit2 ISignatureTransfer used by OmronDeposit
+ */
+interface ISignatureTransfer {
+    /**
+     * @notice The token and amount details for a transfer signed in the permit transfer signature
+     */
+    struct TokenPermissions {
+        address token;
+        uint256 amount;
+    }
+
+    /**
+     * @notice The signed permit message for a single token transfer
+     */
+    struct PermitTransferFrom {
+        TokenPermissions permitted;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    /**
+     * @notice Specifies the recipient address and amount for a transfer
+     */
+    struct SignatureTransferDetails {
+        address to;
+        uint256 requestedAmount;
+    }
+
+    /**
+     * @dev Transfers a token using a signed permit message. The spender in the signed message is the caller.
+     * @param permit The permit data signed over by the owner
+     * @param transferDetails The spender's requested transfer details for the permitted token
+     * @param owner The owner of the tokens to transfer
+     * @param signature The signature to verify
+     */
+    function permitTransferFrom(
+        PermitTransferFrom memory permit,
+        SignatureTransferDetails calldata transferDetails,
+        address owner,
+        bytes calldata signature
+    ) external;
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.21;
+
+/**
+ * @title Minimal Interface for Wrapped Ether
+ * @author Inference Labs
+ * @custom:security-contact whitehat@inferencelabs.com
+ * @notice Minimal Interface for Wrapped Ether
+ */
+interface IWETH {
+    /**
+     * @dev Wraps the sent ETH, minting the same amount of WETH to the sender.
+     */
+    function deposit() external payable;
+
+    /**
+     * @dev Burns `wad` WETH from the sender and sends them the same amount of ETH.
+     */
+    function withdraw(uint256 wad) external;
+}
@@ -2,6 +2,7 @@
 pragma solidity ^0.8.0;
 
 import {OmronDeposit} from "../OmronDeposit.sol";
+import {WETH9} from "./WETH9.sol";
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 
 contract MockToken is ERC20 {
@@ -14,7 +15,9 @@ contract OmronDepositTest is OmronDeposit {
     MockToken public token;
     bool private initialized = false;
 
-    constructor() OmronDeposit(msg.sender, new address[](0)) {}
+    constructor()
+        OmronDeposit(msg.sender, new address[](0), address(new WETH9()))
+    {}
 
     function echidna_points_decimals_18() public returns (bool) {
         return (POINTS_SCALE == 10 ** 18);
@@ -28,4 +28,23 @@ contract MockClaim is IClaimManager, Ownable {
         uint256 pointsClaimed = depositContract.claim(_addressToClaimFor);
         emit PointsClaimed(_addressToClaimFor, pointsClaimed);
     }
+
+    function claimPointsBatch(
+        address[] calldata _addressesToClaimFor
+    ) external {
+        uint256[] memory pointsClaimed = depositContract.claimBatch(
+            _addressesToClaimFor
+        );
+        for (uint256 i; i < _addressesToClaimFor.length; ++i) {
+            if (pointsClaimed[i] != 0) {
+                emit PointsClaimed(_addressesToClaimFor[i], pointsClaimed[i]);
+            }
+        }
+    }
+
+    function withdrawTokensBatch(
+        address[] calldata _addressesToWithdrawFor
+    ) external {
+        depositContract.withdrawTokensBatch(_addressesToWithdrawFor);
+    }
 }
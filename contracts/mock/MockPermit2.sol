@@ -0,0 +1,94 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import {ISignatureTransfer} from "../interfaces/ISignatureTransfer.sol";
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title MockPermit2
+ * @notice The signature transfer half of Uniswap's Permit2, for tests. Its runtime code is placed at the canonical Permit2 address.
+ * @dev Signatures are hashed exactly as Permit2 hashes them. Nonces are tracked individually rather than in bitmaps,
+ * and no state is set in the constructor, since only the runtime code is copied.
+ */
+contract MockPermit2 is ISignatureTransfer {
+    using SafeERC20 for IERC20;
+
+    bytes32 private constant EIP712_DOMAIN_TYPEHASH =
+        keccak256(
+            "EIP712Domain(string name,uint256 chainId,address verifyingContract)"
+        );
+    bytes32 private constant TOKEN_PERMISSIONS_TYPEHASH =
+        keccak256("TokenPermissions(address token,uint256 amount)");
+    bytes32 private constant PERMIT_TRANSFER_FROM_TYPEHASH =
+        keccak256(
+            "PermitTransferFrom(TokenPermissions permitted,address spender,uint256 nonce,uint256 deadline)TokenPermissions(address token,uint256 amount)"
+        );
+
+    mapping(address owner => mapping(uint256 nonce => bool used))
+        public usedNonces;
+
+    error SignatureExpired(uint256 signatureDeadline);
+    error InvalidNonce();
+    error InvalidSigner();
+    error InvalidAmount(uint256 maxAmount);
+
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    EIP712_DOMAIN_TYPEHASH,
+                    keccak256("Permit2"),
+                    block.chainid,
+                    address(this)
+                )
+            );
+    }
+
+    function permitTransferFrom(
+        PermitTransferFrom memory permit,
+        SignatureTransferDetails calldata transferDetails,
+        address owner,
+        bytes calldata signature
+    ) external {
+        if (block.timestamp > permit.deadline) {
+            revert SignatureExpired(permit.deadline);
+        }
+        if (transferDetails.requestedAmount > permit.permitted.amount) {
+            revert InvalidAmount(permit.permitted.amount);
+        }
+        if (usedNonces[owner][permit.nonce]) {
+            revert InvalidNonce();
+        }
+        usedNonces[owner][permit.nonce] = true;
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                PERMIT_TRANSFER_FROM_TYPEHASH,
+                keccak256(
+                    abi.encode(
+                        TOKEN_PERMISSIONS_TYPEHASH,
+                        permit.permitted.token,
+                        permit.permitted.amount
+                    )
+                ),
+                msg.sender,
+                permit.nonce,
+                permit.deadline
+            )
+        );
+        bytes32 digest = keccak256(
+            abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash)
+        );
+        if (ECDSA.recover(digest, signature) != owner) {
+            revert InvalidSigner();
+        }
+
+        IERC20(permit.permitted.token).safeTransferFrom(
+            owner,
+            transferDetails.to,
+            transferDetails.requestedAmount
+        );
+    }
+}
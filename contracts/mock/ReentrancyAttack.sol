@@ -15,52 +15,61 @@ contract ReentrancyAttack is ReentrancyGuard {
     }
 
     function deposit(uint256 amount) external payable {
-        // Deposit Ether into the target contract
-        (bool success, ) = targetContract.call{value: amount}("");
-        if (!success) revert DepositFailed();
+        // Deposit Ether into the target contract, which wraps it into WETH
+        (bool success, bytes memory data) = targetContract.call{value: amount}(
+            abi.encodeWithSignature("depositETH()")
+        );
+        if (!success) _bubble(data, DepositFailed.selector);
     }
 
+    // The call made back into the target while it is sending ETH, if any
+    bytes private reentryCall;
+
     // Fallback function to receive Ether
     receive() external payable {
-        uint256 targetBalance = address(targetContract).balance;
-        if (targetBalance > 0) {
-            // Attempt to withdraw the remaining balance from the target contract
-            (bool success, ) = targetContract.call{value: 0}(
-                abi.encodeWithSignature("withdrawEther(uint256)", targetBalance)
-            );
-            // Note: In a real attack, you might choose a smaller amount to ensure
-            // the call succeeds and doesn't run out of gas, depending on the target's logic.
-            if (!success) revert RecursiveAttackFailed();
-        }
-    }
-
-    function recursiveAttack(uint256 amount) external nonReentrant {
-        /// Withdraw Ether from the target contract
-        (bool success, ) = targetContract.call(
-            abi.encodeWithSignature("withdrawEther(uint256)", amount)
-        );
-        if (!success) revert RecursiveAttackFailed();
+        if (msg.sender != targetContract || reentryCall.length == 0) return;
+        // Attempt to withdraw again while the target is still sending the first withdrawal
+        (bool success, bytes memory data) = targetContract.call(reentryCall);
+        if (!success) _bubble(data, RecursiveAttackFailed.selector);
     }
 
     // Attack function to initiate reentrancy
     function attack(uint256 _amount) external nonReentrant {
-        // Ensure the contract has enough Ether to perform the attack
-        require(
-            address(this).balance >= _amount,
-            "Insufficient balance for attack"
+        reentryCall = abi.encodeWithSignature("withdrawETH(uint256)", _amount);
+        (bool success, bytes memory data) = targetContract.call(
+            abi.encodeWithSignature("withdrawETH(uint256)", _amount)
         );
+        if (!success) _bubble(data, AttackFailed.selector);
+    }
 
-        // Cast the target contract to an interface that includes the function to be reentranced
-        (bool success, ) = targetContract.call{value: _amount}(
-            abi.encodeWithSignature("withdrawEther(uint256)", _amount)
+    // Withdraw in emergency mode, optionally attempting to withdraw again from receive
+    function emergencyWithdraw(bool _reenter) external nonReentrant {
+        if (_reenter) {
+            reentryCall = abi.encodeWithSignature("emergencyWithdraw()");
+        } else {
+            delete reentryCall;
+        }
+        (bool success, bytes memory data) = targetContract.call(
+            abi.encodeWithSignature("emergencyWithdraw()")
         );
-        if (!success) revert AttackFailed();
-
-        // Optionally, add logic here to repeat the attack or perform additional actions
+        if (!success) _bubble(data, AttackFailed.selector);
     }
 
     // Function to withdraw Ether from this contract
     function withdraw() external nonReentrant {
         payable(msg.sender).transfer(address(this).balance);
     }
+
+    // Revert with the target's revert data, so the error which stopped the attack can be asserted on
+    function _bubble(bytes memory data, bytes4 fallbackError) private pure {
+        if (data.length == 0) {
+            assembly {
+                mstore(0, fallbackError)
+                revert(0, 4)
+            }
+        }
+        assembly {
+            revert(add(data, 32), mload(data))
+        }
+    }
 }
@@ -0,0 +1,647 @@
+import { Interface, ZeroAddress, ZeroHash, id, keccak256 } from "ethers";
+import hre from "hardhat";
+import signale from "signale-logger";
+import { getDeployment, loadDeployments } from "./manifest.js";
+import { ERC20_BALANCE_ABI } from "./reconcile.js";
+import { appendToSafeBatch, buildSafeTransaction } from "./safe.js";
+
+const adminLogger = new signale.Signale({ scope: "Omron" });
+
+/**
+ * The roles of OmronDeposit, keyed by the names used in the deployment config and tasks, and their role IDs.
+ * The admin role is AccessControl's DEFAULT_ADMIN_ROLE, which can grant and revoke every role.
+ */
+const ROLES = {
+  admin: ZeroHash,
+  pauser: id("PAUSER_ROLE"),
+  whitelistManager: id("WHITELIST_MANAGER_ROLE"),
+  claimAdmin: id("CLAIM_ADMIN_ROLE"),
+};
+
+/**
+ * Readable explanations of the custom errors OmronDeposit can revert with
+ */
+const ERROR_MESSAGES = {
+  ZeroAddress: "The zero address can't be used here",
+  TokenNotWhitelisted: "The token is not whitelisted",
+  ZeroAmount: "The amount must be greater than zero",
+  NotClaimManager: "Only the claim manager can call this method",
+  ClaimManagerNotSet: "No claim manager has been set",
+  DepositsAlreadyStopped: "Deposits have already been stopped",
+  DepositsNotStopped: "Deposits have not been stopped yet",
+  DepositsStopped: "Deposits have been stopped",
+  ZeroMultiplier: "The multiplier must be greater than zero",
+  InvalidBoostEpochStartTime:
+    "Boost epochs must start in the future, and after the last scheduled epoch",
+  TooManyBoostEpochs: "The maximum number of boost epochs are scheduled",
+  NoBoostEpochs: "No boost epochs are scheduled",
+  BoostEpochStarted: "The boost epoch has already started",
+  WithdrawalsDisabled: "Withdrawals are disabled",
+  InsufficientDepositBalance: "The amount is more than the deposited balance",
+  EnforcedPause: "The contract is paused",
+  ExpectedPause: "The contract is not paused",
+  AccessControlUnauthorizedAccount:
+    "The sender doesn't have the role needed to call this method",
+  AccessControlBadConfirmation: "Roles can only be renounced by their holder",
+  ReentrancyGuardReentrantCall: "Reentrant calls are not allowed",
+  NotTimelocked:
+    "Only setClaimManager, removeWhitelistedToken, stopDeposits and setTimelockDelay are timelocked",
+  OperationAlreadyScheduled: "The operation is already scheduled",
+  OperationNotScheduled:
+    "The operation must be scheduled first, since the timelock delay isn't zero",
+  OperationNotReady: "The operation's timelock delay hasn't passed yet",
+  TimelockDelayTooLong: "The timelock delay is longer than MAX_TIMELOCK_DELAY",
+  EmergencyModeActive: "Emergency mode is already enabled",
+  EmergencyModeNotActive: "Emergency mode isn't enabled",
+  InvalidDepositLimits:
+    "The minimum deposit can't be more than either deposit cap",
+  DepositBelowMinimum: "The amount is less than the token's minimum deposit",
+  TotalDepositCapExceeded:
+    "The deposit would take the token's total deposits over their cap",
+  UserDepositCapExceeded:
+    "The deposit would take the user's balance of the token over its cap",
+  InsufficientSurplus:
+    "The amount is more than the contract holds above user deposits of the token",
+  MultiplierTooHigh: "The multiplier is more than MAX_MULTIPLIER",
+  TokenAlreadyWhitelisted: "The token is already whitelisted",
+};
+
+/**
+ * Turns an error thrown by a contract call into a readable message, decoding custom errors where possible
+ * @param {ethers.Contract} contract The contract which was called
+ * @param {Error} error The error that was thrown
+ * @returns {string} A readable description of the error
+ */
+const decodeError = (contract, error) => {
+  let revert = error.revert;
+  const data = error.data ?? error.error?.data ?? error.info?.error?.data;
+  if (!revert && typeof data === "string") {
+    revert = contract.interface.parseError(data);
+  }
+  if (!revert) {
+    return error.shortMessage ?? error.message;
+  }
+  const args = revert.args.length ? `(${revert.args.join(", ")})` : "";
+  return `${revert.name}${args}: ${
+    ERROR_MESSAGES[revert.name] ?? "Unknown error"
+  }`;
+};
+
+/**
+ * Checks that a role name is one of ROLES
+ * @param {string} role The name of the role
+ * @returns {string|undefined} The reason the role is invalid, or undefined if it's valid
+ */
+const checkRole = (role) => {
+  if (!Object.hasOwn(ROLES, role)) {
+    return `Unknown role ${role}, expected one of ${Object.keys(ROLES).join(
+      ", "
+    )}`;
+  }
+};
+
+/**
+ * The admin operations of OmronDeposit, the role the sender needs for each, the checks to make before each is sent, and how their parameters and sender map to call arguments.
+ * Each check resolves to a reason the operation would fail, or undefined if it can go ahead.
+ * Timelocked operations must be scheduled, then executed once the contract's timelock delay has passed.
+ */
+const ADMIN_ACTIONS = {
+  addWhitelistedToken: {
+    role: "whitelistManager",
+    check: async (contract, { token }) => {
+      if (token === ZeroAddress) return ERROR_MESSAGES.ZeroAddress;
+      if (await contract.whitelistedTokens(token)) {
+        return `${token} is already whitelisted`;
+      }
+    },
+    args: ({ token }) => [token],
+  },
+  removeWhitelistedToken: {
+    role: "whitelistManager",
+    timelocked: true,
+    check: async (contract, { token }) => {
+      if (token === ZeroAddress) return ERROR_MESSAGES.ZeroAddress;
+      if (!(await contract.whitelistedTokens(token))) {
+        return `${token} is not whitelisted`;
+      }
+    },
+    args: ({ token }) => [token],
+  },
+  setTokenMultiplier: {
+    role: "whitelistManager",
+    check: async (contract, { token, multiplier }) => {
+      if (multiplier === 0n) return ERROR_MESSAGES.ZeroMultiplier;
+      if (multiplier > (await contract.MAX_MULTIPLIER())) {
+        return ERROR_MESSAGES.MultiplierTooHigh;
+      }
+      if (!(await contract.whitelistedTokens(token))) {
+        return ERROR_MESSAGES.TokenNotWhitelisted;
+      }
+      if ((await contract.tokenMultipliers(token)) === multiplier) {
+        return `The multiplier of ${token} is already ${multiplier}`;
+      }
+    },
+    args: ({ token, multiplier }) => [token, multiplier],
+  },
+  setDepositLimits: {
+    role: "whitelistManager",
+    check: async (
+      contract,
+      { token, maxTotalDeposits, maxUserDeposits, minDepositAmount }
+    ) => {
+      if (!(await contract.whitelistedTokens(token))) {
+        return ERROR_MESSAGES.TokenNotWhitelisted;
+      }
+      if (
+        [maxTotalDeposits, maxUserDeposits].some(
+          (cap) => cap !== 0n && minDepositAmount > cap
+        )
+      ) {
+        return ERROR_MESSAGES.InvalidDepositLimits;
+      }
+      if (
+        (await contract.maxTotalDeposits(token)) === maxTotalDeposits &&
+        (await contract.maxUserDeposits(token)) === maxUserDeposits &&
+        (await contract.minDepositAmounts(token)) === minDepositAmount
+      ) {
+        return `The deposit limits of ${token} are already set to these values`;
+      }
+    },
+    args: ({ token, maxTotalDeposits, maxUserDeposits, minDepositAmount }) => [
+      token,
+      maxTotalDeposits,
+      maxUserDeposits,
+      minDepositAmount,
+    ],
+  },
+  addBoostEpoch: {
+    role: "admin",
+    check: async (contract, { startTime, multiplier }) => {
+      if (multiplier === 0n) return ERROR_MESSAGES.ZeroMultiplier;
+      if (multiplier > (await contract.MAX_MULTIPLIER())) {
+        return ERROR_MESSAGES.MultiplierTooHigh;
+      }
+      if ((await contract.depositStopTime()) !== 0n) {
+        return ERROR_MESSAGES.DepositsStopped;
+      }
+      const { timestamp } = await hre.ethers.provider.getBlock("latest");
+      const boostEpochs = await contract.getBoostEpochs();
+      if (
+        startTime <= BigInt(timestamp) ||
+        (boostEpochs.length && startTime <= boostEpochs.at(-1).startTime)
+      ) {
+        return ERROR_MESSAGES.InvalidBoostEpochStartTime;
+      }
+      if (BigInt(boostEpochs.length) >= (await contract.MAX_BOOST_EPOCHS())) {
+        return ERROR_MESSAGES.TooManyBoostEpochs;
+      }
+    },
+    args: ({ startTime, multiplier }) => [startTime, multiplier],
+  },
+  removeLastBoostEpoch: {
+    role: "admin",
+    check: async (contract) => {
+      const boostEpochs = await contract.getBoostEpochs();
+      if (!boostEpochs.length) return ERROR_MESSAGES.NoBoostEpochs;
+      const { timestamp } = await hre.ethers.provider.getBlock("latest");
+      if (boostEpochs.at(-1).startTime <= BigInt(timestamp)) {
+        return ERROR_MESSAGES.BoostEpochStarted;
+      }
+    },
+    args: () => [],
+  },
+  setWithdrawalsEnabled: {
+    role: "admin",
+    check: async (contract, { enabled }) => {
+      if ((await contract.withdrawalsEnabled()) === enabled) {
+        return `Withdrawals are already ${enabled ? "enabled" : "disabled"}`;
+      }
+    },
+    args: ({ enabled }) => [enabled],
+  },
+  setClaimManager: {
+    role: "claimAdmin",
+    timelocked: true,
+    check: async (contract, { claimManager }) => {
+      if (claimManager === ZeroAddress) return ERROR_MESSAGES.ZeroAddress;
+      if ((await contract.claimManager()) === claimManager) {
+        return `${claimManager} is already the claim manager`;
+      }
+    },
+    args: ({ claimManager }) => [claimManager],
+  },
+  stopDeposits: {
+    role: "admin",
+    timelocked: true,
+    check: async (contract) => {
+      if ((await contract.depositStopTime()) !== 0n) {
+        return ERROR_MESSAGES.DepositsAlreadyStopped;
+      }
+    },
+    args: () => [],
+  },
+  setTimelockDelay: {
+    role: "admin",
+    timelocked: true,
+    check: async (contract, { delay }) => {
+      if (delay > (await contract.MAX_TIMELOCK_DELAY())) {
+        return ERROR_MESSAGES.TimelockDelayTooLong;
+      }
+      if ((await contract.timelockDelay()) === delay) {
+        return `The timelock delay is already ${delay} seconds`;
+      }
+    },
+    args: ({ delay }) => [delay],
+  },
+  enableEmergencyMode: {
+    role: "admin",
+    check: async (contract) => {
+      if (await contract.emergencyMode()) {
+        return ERROR_MESSAGES.EmergencyModeActive;
+      }
+    },
+    args: () => [],
+  },
+  rescueTokens: {
+    role: "admin",
+    check: async (contract, { token, to, amount }) => {
+      if (to === ZeroAddress) return ERROR_MESSAGES.ZeroAddress;
+      if (amount === 0n) return ERROR_MESSAGES.ZeroAmount;
+      const erc20 = new hre.ethers.Contract(
+        token,
+        ERC20_BALANCE_ABI,
+        hre.ethers.provider
+      );
+      const balance = await erc20.balanceOf(await contract.getAddress());
+      const deposited = await contract.totalDeposited(token);
+      const surplus = balance > deposited ? balance - deposited : 0n;
+      if (amount > surplus) {
+        return `${ERROR_MESSAGES.InsufficientSurplus}, which is ${surplus}`;
+      }
+    },
+    args: ({ token, to, amount }) => [token, to, amount],
+  },
+  pause: {
+    role: "pauser",
+    check: async (contract) => {
+      if (await contract.paused()) return "The contract is already paused";
+    },
+    args: () => [],
+  },
+  unpause: {
+    role: "admin",
+    check: async (contract) => {
+      if (!(await contract.paused())) return ERROR_MESSAGES.ExpectedPause;
+    },
+    args: () => [],
+  },
+  grantRole: {
+    role: "admin",
+    check: async (contract, { role, account }) => {
+      const invalidRole = checkRole(role);
+      if (invalidRole) return invalidRole;
+      if (account === ZeroAddress) return ERROR_MESSAGES.ZeroAddress;
+      if (await contract.hasRole(ROLES[role], account)) {
+        return `${account} already has the ${role} role`;
+      }
+    },
+    args: ({ role, account }) => [ROLES[role], account],
+  },
+  revokeRole: {
+    role: "admin",
+    check: async (contract, { role, account }) => {
+      const invalidRole = checkRole(role);
+      if (invalidRole) return invalidRole;
+      if (!(await contract.hasRole(ROLES[role], account))) {
+        return `${account} doesn't have the ${role} role`;
+      }
+    },
+    args: ({ role, account }) => [ROLES[role], account],
+  },
+  renounceRole: {
+    // Roles are renounced by their holder, so the sender needs the role being renounced
+    role: ({ role }) => role,
+    check: async (contract, { role }) => checkRole(role),
+    args: ({ role }, sender) => [ROLES[role], sender],
+  },
+};
+
+/**
+ * Gets the OmronDeposit contract on the current network, connected to the first signer
+ * @param {string} [address] The address of the contract, defaults to the address in the network's deployment manifest
+ * @returns {Promise<ethers.Contract>} The OmronDeposit contract
+ */
+const getDepositContract = async (address) => {
+  if (!address) {
+    address = getDeployment("OmronDeposit")?.address;
+  }
+  if (!address) {
+    throw new Error(
+      `OmronDeposit has no recorded deployment on ${hre.network.name}, provide its address`
+    );
+  }
+  const [signer] = await hre.ethers.getSigners();
+  return hre.ethers.getContractAt("OmronDeposit", address, signer);
+};
+
+/**
+ * Gets the name of the role needed to send an admin operation
+ * @param {string} action The name of the admin operation
+ * @param {Object<string, string|bigint|boolean>} params The operation's parameters, keyed by name
+ * @returns {string} The name of the role, one of ROLES
+ */
+const getRequiredRole = (action, params) => {
+  const { role } = ADMIN_ACTIONS[action];
+  return typeof role === "function" ? role(params) : role;
+};
+
+/**
+ * The ways a timelocked operation can be sent, and the OmronDeposit method which sends each
+ */
+const TIMELOCK_METHODS = {
+  schedule: "scheduleOperation",
+  cancel: "cancelOperation",
+};
+
+/**
+ * Gets the method and arguments which send an admin operation, wrapping timelocked operations which are scheduled or cancelled
+ * @param {ethers.Interface} contractInterface The interface of OmronDeposit
+ * @param {string} action The name of the admin operation
+ * @param {any[]} callArgs The arguments of the operation
+ * @param {"schedule"|"cancel"} [timelock] Whether to schedule or cancel the operation instead of executing it
+ * @returns {{method: string, methodArgs: any[]}} The method to call and its arguments
+ */
+const getTimelockCall = (contractInterface, action, callArgs, timelock) => {
+  if (!timelock) {
+    return { method: action, methodArgs: callArgs };
+  }
+  if (!ADMIN_ACTIONS[action].timelocked) {
+    throw new Error(
+      `${action} isn't timelocked, so it can't be scheduled or cancelled`
+    );
+  }
+  return {
+    method: TIMELOCK_METHODS[timelock],
+    methodArgs: [contractInterface.encodeFunctionData(action, callArgs)],
+  };
+};
+
+/**
+ * Formats a Unix timestamp as an ISO date
+ * @param {bigint} timestamp The timestamp, in seconds
+ * @returns {string} The date
+ */
+const formatTime = (timestamp) =>
+  new Date(Number(timestamp) * 1000).toISOString();
+
+/**
+ * Checks that a timelocked operation can be scheduled, cancelled or executed
+ * @param {ethers.Contract} contract The OmronDeposit contract
+ * @param {string} action The name of the admin operation
+ * @param {any[]} callArgs The arguments of the operation
+ * @param {"schedule"|"cancel"} [timelock] Whether the operation is being scheduled or cancelled rather than executed
+ * @returns {Promise<string|undefined>} The reason the operation would fail, or undefined if it can go ahead
+ */
+const checkTimelock = async (contract, action, callArgs, timelock) => {
+  const operationId = keccak256(
+    contract.interface.encodeFunctionData(action, callArgs)
+  );
+  const readyTime = await contract.scheduledOperations(operationId);
+  if (timelock === "schedule") {
+    if (readyTime !== 0n) {
+      return `${
+        ERROR_MESSAGES.OperationAlreadyScheduled
+      }, it is ready at ${formatTime(readyTime)}`;
+    }
+    return;
+  }
+  if (timelock === "cancel") {
+    if (readyTime === 0n) return "The operation isn't scheduled";
+    return;
+  }
+  // While the delay is zero, calls go ahead whether or not they were scheduled
+  if ((await contract.timelockDelay()) === 0n) return;
+  if (readyTime === 0n) return ERROR_MESSAGES.OperationNotScheduled;
+  const { timestamp } = await hre.ethers.provider.getBlock("latest");
+  if (readyTime > BigInt(timestamp)) {
+    return `${ERROR_MESSAGES.OperationNotReady}, it is ready at ${formatTime(
+      readyTime
+    )}`;
+  }
+};
+
+/**
+ * Gets the timelocked operations which are scheduled and haven't been executed or cancelled, from the OperationScheduled events of OmronDeposit
+ * @param {ethers.Contract} contract The OmronDeposit contract
+ * @param {Object} [options]
+ * @param {number} [options.fromBlock] The block to search for scheduled operations from, defaults to the contract's deployment block
+ * @returns {Promise<{operationId: string, action: string, args: any[], readyTime: bigint}[]>} The pending operations, in the order they were scheduled
+ */
+const getPendingOperations = async (contract, { fromBlock } = {}) => {
+  fromBlock ??= getDeployment("OmronDeposit")?.blockNumber ?? 0;
+  const events = await contract.queryFilter(
+    contract.filters.OperationScheduled(),
+    fromBlock
+  );
+  const pending = new Map();
+  for (const { args } of events) {
+    const [operationId, data] = args;
+    // An operation which was cancelled and scheduled again is listed once
+    pending.delete(operationId);
+    const readyTime = await contract.scheduledOperations(operationId);
+    if (readyTime === 0n) continue;
+    const call = contract.interface.parseTransaction({ data });
+    pending.set(operationId, {
+      operationId,
+      action: call.name,
+      args: [...call.args],
+      readyTime,
+    });
+  }
+  return [...pending.values()];
+};
+
+/**
+ * Logs pending timelocked operations and when each can be executed
+ * @param {{operationId: string, action: string, args: any[], readyTime: bigint}[]} pending The pending operations, from getPendingOperations
+ */
+const logPendingOperations = (pending) => {
+  if (pending.length === 0) {
+    adminLogger.info("No timelocked operations are pending");
+  }
+  for (const { operationId, action, args, readyTime } of pending) {
+    adminLogger.info(
+      `${action}(${args.join(", ")}) is ready at ${formatTime(
+        readyTime
+      )} (${operationId})`
+    );
+  }
+};
+
+/**
+ * Checks the preconditions of an admin operation, including that the sender has the role it needs, sends it and logs the events it emits
+ * @param {string} action The name of the admin operation, such as "stopDeposits"
+ * @param {Object<string, string|bigint|boolean>} params The operation's parameters, keyed by name
+ * @param {Object} [options]
+ * @param {string} [options.address] The address of OmronDeposit, defaults to the address in the network's deployment manifest
+ * @param {"schedule"|"cancel"} [options.timelock] Schedule or cancel a timelocked operation instead of executing it
+ * @returns {Promise<ethers.ContractTransactionReceipt>} The receipt of the transaction
+ */
+const runAdminAction = async (action, params, { address, timelock } = {}) => {
+  const { check, args, timelocked } = ADMIN_ACTIONS[action];
+  const contract = await getDepositContract(address);
+  const actionLogger = adminLogger.scope("Omron", action);
+  const sender = await contract.runner.getAddress();
+
+  // An unknown role is reported by the operation's check below. Admins can cancel any operation.
+  const role = getRequiredRole(action, params);
+  if (
+    !checkRole(role) &&
+    !(await contract.hasRole(ROLES[role], sender)) &&
+    !(timelock === "cancel" && (await contract.hasRole(ROLES.admin, sender)))
+  ) {
+    throw new Error(
+      `${sender} can't call ${action}, it needs the ${role} role. ${ERROR_MESSAGES.AccessControlUnauthorizedAccount}`
+    );
+  }
+  // A cancelled operation never runs, so only whether it's scheduled matters
+  const failedCheck =
+    timelock === "cancel" ? checkRole(role) : await check(contract, params);
+  if (failedCheck) {
+    throw new Error(`Precondition for ${action} failed: ${failedCheck}`);
+  }
+
+  const callArgs = args(params, sender);
+  const { method, methodArgs } = getTimelockCall(
+    contract.interface,
+    action,
+    callArgs,
+    timelock
+  );
+  if (timelocked) {
+    const failedTimelock = await checkTimelock(
+      contract,
+      action,
+      callArgs,
+      timelock
+    );
+    if (failedTimelock) {
+      throw new Error(`Precondition for ${action} failed: ${failedTimelock}`);
+    }
+  }
+  try {
+    // Simulate first, so a revert is decoded before any gas is spent
+    await contract[method].staticCall(...methodArgs);
+  } catch (e) {
+    throw new Error(`${method} would revert with ${decodeError(contract, e)}`);
+  }
+  actionLogger.await(
+    `Calling ${method}(${methodArgs.join(
+      ", "
+    )}) on ${await contract.getAddress()}`
+  );
+  let receipt;
+  try {
+    const response = await contract[method](...methodArgs);
+    actionLogger.info("Transaction Hash:", response.hash);
+    receipt = await response.wait();
+  } catch (e) {
+    throw new Error(`${method} reverted with ${decodeError(contract, e)}`);
+  }
+  actionLogger.complete(`Mined in block ${receipt.blockNumber}`);
+  for (const log of receipt.logs) {
+    const event = contract.interface.parseLog(log);
+    if (event) {
+      actionLogger.success(
+        `${event.name}(${event.fragment.inputs
+          .map((input, i) => `${input.name}: ${event.args[i]}`)
+          .join(", ")})`
+      );
+    }
+  }
+  return receipt;
+};
+
+/**
+ * Adds an admin operation to a Safe Transaction Builder batch instead of sending it.
+ * This works offline, using only the compiled ABI and the deployment manifest, so preconditions are not checked against chain state.
+ * @param {string} action The name of the admin operation, such as "stopDeposits"
+ * @param {Object<string, string|bigint|boolean>} params The operation's parameters, keyed by name
+ * @param {Object} options
+ * @param {string} options.batch The path of the batch file to add the operation to
+ * @param {string} [options.address] The address of OmronDeposit, defaults to the address in the network's deployment manifest
+ * @param {string} [options.safe] The address of the Safe which holds the role the operation needs, and which sends the batch
+ * @param {"schedule"|"cancel"} [options.timelock] Schedule or cancel a timelocked operation instead of executing it
+ * @returns {Promise<Object>} The updated batch
+ */
+const exportAdminAction = async (
+  action,
+  params,
+  { batch, address, safe, timelock }
+) => {
+  const { args } = ADMIN_ACTIONS[action];
+  const invalidRole = checkRole(getRequiredRole(action, params));
+  if (invalidRole) {
+    throw new Error(`Precondition for ${action} failed: ${invalidRole}`);
+  }
+  const manifest = loadDeployments();
+  address ??= manifest.contracts.OmronDeposit?.address;
+  if (!address) {
+    throw new Error(
+      `OmronDeposit has no recorded deployment on ${hre.network.name}, provide its address`
+    );
+  }
+  const chainId = manifest.chainId ?? hre.network.config.chainId;
+  if (!chainId) {
+    throw new Error(
+      `The chain ID of ${hre.network.name} isn't known, deploy to it or set chainId in its network config`
+    );
+  }
+  const { abi } = await hre.artifacts.readArtifact("OmronDeposit");
+  if (action === "renounceRole" && !safe) {
+    throw new Error(
+      "renounceRole renounces the role of the Safe sending the batch, provide its address"
+    );
+  }
+  const callArgs = args(params, safe);
+  let transaction = buildSafeTransaction(abi, address, action, callArgs);
+  let summary = `${action}(${Object.entries(transaction.contractInputsValues)
+    .map(([name, value]) => `${name}: ${value}`)
+    .join(", ")}) on OmronDeposit at ${address}`;
+  if (timelock) {
+    const { method, methodArgs } = getTimelockCall(
+      new Interface(abi),
+      action,
+      callArgs,
+      timelock
+    );
+    // The summary describes the wrapped operation, since its encoded calldata isn't readable
+    transaction = buildSafeTransaction(abi, address, method, methodArgs);
+    summary = `${method} of ${summary}`;
+  }
+  const updated = appendToSafeBatch(batch, transaction, summary, {
+    chainId,
+    safeAddress: safe,
+    name: `OmronDeposit admin operations on ${hre.network.name}`,
+  });
+  const actionLogger = adminLogger.scope("Omron", action);
+  actionLogger.note(
+    "Preconditions were not checked, review the batch against the current state of the contract before signing"
+  );
+  actionLogger.complete(
+    `Added to ${batch}, which now contains:\n${updated.meta.description}`
+  );
+  return updated;
+};
+
+export {
+  ADMIN_ACTIONS,
+  ERROR_MESSAGES,
+  ROLES,
+  decodeError,
+  exportAdminAction,
+  getDepositContract,
+  getPendingOperations,
+  logPendingOperations,
+  runAdminAction,
+};
@@ -0,0 +1,227 @@
+import { ZeroAddress, parseUnits } from "ethers";
+import hre from "hardhat";
+import logger from "not-a-log";
+import { ROLES } from "./admin.js";
+import { deploymentLogger } from "./deployment.js";
+
+/**
+ * The subset of the ERC-20 ABI needed to check token metadata
+ */
+const ERC20_METADATA_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+];
+
+/**
+ * Normalizes values read from chain so they can be compared with expected values from config
+ * @param {any} value The value to normalize
+ * @returns {any} Addresses lowercased, bigints as numbers where safe, everything else unchanged
+ */
+const normalize = (value) => {
+  if (typeof value === "string" && hre.ethers.isAddress(value)) {
+    return value.toLowerCase();
+  }
+  if (typeof value === "bigint" && value <= BigInt(Number.MAX_SAFE_INTEGER)) {
+    return Number(value);
+  }
+  return value;
+};
+
+/**
+ * Reads a value from chain, recording a failed call as its error message rather than throwing
+ * @param {() => Promise<any>} read The call to make
+ * @returns {Promise<any>} The value read, or a description of why the call failed
+ */
+const safeRead = async (read) => {
+  try {
+    return await read();
+  } catch (e) {
+    return `call failed: ${e.shortMessage ?? e.message}`;
+  }
+};
+
+/**
+ * Checks the state of a freshly deployed OmronDeposit contract against what the deployment intended
+ * @param {ethers.Contract} contract The deployed OmronDeposit contract
+ * @param {Object} expected The intended state of the contract
+ * @param {Object<string, string[]>} expected.roles The accounts which should hold each role, keyed by the names in ROLES
+ * @param {string} [expected.deployer] The address of the deployer, which should hold only the roles it is listed for
+ * @param {string} expected.weth The address of the WETH contract ETH deposits are wrapped into
+ * @param {boolean} expected.paused Whether the contract should be paused
+ * @param {string} [expected.claimManager] The address of the intended claim manager, if one should be set
+ * @param {number} [expected.timelockDelay] The timelock delay, in seconds, which defaults to zero
+ * @param {{address: string, symbol: string, decimals: number, multiplier?: string, maxTotalDeposits?: string, maxUserDeposits?: string, minDepositAmount?: string}[]} expected.tokens The tokens which should be whitelisted, their ERC-20 metadata, their points multipliers and their deposit limits in whole tokens
+ * @param {{startTime: number, multiplier: string}[]} [expected.boostEpochs] The boost epochs which should be scheduled
+ * @returns {Promise<{check: string, expected: any, actual: any}[]>} The checks which failed, empty if the deployment is as intended
+ */
+const checkDepositDeployment = async (contract, expected) => {
+  const failures = [];
+  const check = (name, expectedValue, actualValue) => {
+    if (normalize(expectedValue) !== normalize(actualValue)) {
+      failures.push({
+        check: name,
+        expected: expectedValue,
+        actual: actualValue,
+      });
+    }
+  };
+
+  // AccessControl can't list the holders of a role, so check every role of each listed account and the deployer
+  const accounts = new Set(Object.values(expected.roles).flat());
+  if (expected.deployer) accounts.add(expected.deployer);
+  for (const [name, role] of Object.entries(ROLES)) {
+    for (const account of accounts) {
+      check(
+        `hasRole(${name}, ${account})`,
+        expected.roles[name].includes(account),
+        await safeRead(() => contract.hasRole(role, account))
+      );
+    }
+  }
+  check("weth()", expected.weth, await safeRead(() => contract.weth()));
+  check("paused()", expected.paused, await safeRead(() => contract.paused()));
+  check(
+    "claimManager()",
+    expected.claimManager ?? ZeroAddress,
+    await safeRead(() => contract.claimManager())
+  );
+  check(
+    "timelockDelay()",
+    expected.timelockDelay ?? 0,
+    await safeRead(() => contract.timelockDelay())
+  );
+  check(
+    "depositStopTime()",
+    0,
+    await safeRead(() => contract.depositStopTime())
+  );
+
+  const expectedWhitelist = expected.tokens.map(({ address }) =>
+    address.toLowerCase()
+  );
+  let whitelist = await safeRead(async () =>
+    (
+      await contract.getAllWhitelistedTokens()
+    ).map((address) => address.toLowerCase())
+  );
+  // A failed read is compared as an empty whitelist, so each expected token is reported missing
+  if (typeof whitelist === "string") {
+    check(
+      "getAllWhitelistedTokens()",
+      `${expectedWhitelist.length} tokens`,
+      whitelist
+    );
+    whitelist = [];
+  }
+  for (const address of expectedWhitelist) {
+    check(
+      `getAllWhitelistedTokens() includes ${address}`,
+      true,
+      whitelist.includes(address)
+    );
+  }
+  for (const address of whitelist) {
+    check(
+      `getAllWhitelistedTokens() unexpected entry ${address}`,
+      true,
+      expectedWhitelist.includes(address)
+    );
+  }
+
+  for (const {
+    address,
+    symbol,
+    decimals,
+    multiplier = "1",
+    maxTotalDeposits = "0",
+    maxUserDeposits = "0",
+    minDepositAmount = "0",
+  } of expected.tokens) {
+    check(
+      `whitelistedTokens(${address})`,
+      true,
+      await safeRead(() => contract.whitelistedTokens(address))
+    );
+    check(
+      `tokenDecimals(${address})`,
+      decimals,
+      await safeRead(() => contract.tokenDecimals(address))
+    );
+    check(
+      `tokenMultipliers(${address})`,
+      hre.ethers.parseEther(multiplier),
+      await safeRead(() => contract.tokenMultipliers(address))
+    );
+    for (const [name, amount] of Object.entries({
+      maxTotalDeposits,
+      maxUserDeposits,
+      minDepositAmounts: minDepositAmount,
+    })) {
+      check(
+        `${name}(${address})`,
+        parseUnits(amount, decimals),
+        await safeRead(() => contract[name](address))
+      );
+    }
+    const token = new hre.ethers.Contract(
+      address,
+      ERC20_METADATA_ABI,
+      hre.ethers.provider
+    );
+    check(
+      `${address}.decimals()`,
+      decimals,
+      await safeRead(() => token.decimals())
+    );
+    check(`${address}.symbol()`, symbol, await safeRead(() => token.symbol()));
+  }
+
+  const expectedEpochs = expected.boostEpochs ?? [];
+  // Copied out of the ethers Result, which throws rather than returning undefined past its end
+  const boostEpochs = await safeRead(async () => [
+    ...(await contract.getBoostEpochs()),
+  ]);
+  if (typeof boostEpochs === "string") {
+    check("getBoostEpochs()", `${expectedEpochs.length} epochs`, boostEpochs);
+    return failures;
+  }
+  check("getBoostEpochs().length", expectedEpochs.length, boostEpochs.length);
+  for (const [i, { startTime, multiplier }] of expectedEpochs.entries()) {
+    check(
+      `getBoostEpochs()[${i}].startTime`,
+      startTime,
+      boostEpochs[i]?.startTime
+    );
+    check(
+      `getBoostEpochs()[${i}].multiplier`,
+      hre.ethers.parseEther(multiplier),
+      boostEpochs[i]?.multiplier
+    );
+  }
+  return failures;
+};
+
+/**
+ * Logs the outcome of post-deploy checks
+ * @param {string} contractName The name of the checked contract
+ * @param {{check: string, expected: any, actual: any}[]} failures The failed checks
+ */
+const logCheckResults = (contractName, failures) => {
+  const checkLogger = deploymentLogger.scope("Checks", contractName);
+  if (failures.length === 0) {
+    checkLogger.success("All post-deploy checks passed");
+    return;
+  }
+  checkLogger.error(
+    `${failures.length} post-deploy checks failed:\r\n` +
+      logger.table(
+        failures.map(({ check, expected, actual }) => ({
+          check,
+          expected: String(expected),
+          actual: String(actual),
+        }))
+      )
+  );
+};
+
+export { checkDepositDeployment, logCheckResults };
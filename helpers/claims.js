@@ -0,0 +1,132 @@
+import { getAddress } from "ethers";
+import { chunk } from "lodash-es";
+
+/**
+ * Gets the OmronDeposit events of a name from a transaction receipt
+ * @param {ethers.Contract} deposit The OmronDeposit contract
+ * @param {ethers.TransactionReceipt} receipt The receipt of a claim manager transaction
+ * @param {string} name The name of the event
+ * @returns {Promise<ethers.LogDescription[]>} The parsed events, in log order
+ */
+const getDepositEvents = async (deposit, receipt, name) => {
+  const address = await deposit.getAddress();
+  return receipt.logs
+    .filter((log) => log.address === address)
+    .map((log) => deposit.interface.parseLog(log))
+    .filter((event) => event?.name === name);
+};
+
+/**
+ * Splits users into batches of at most the contract's MAX_BATCH_SIZE and sends one transaction per batch
+ * @param {ethers.Contract} deposit The OmronDeposit contract
+ * @param {string[]} users The users to process
+ * @param {(batch: string[]) => Promise<ethers.ContractTransactionResponse>} send Sends the transaction for a batch
+ * @param {Object} options
+ * @param {number} [options.batchSize] The number of users per transaction, defaults to MAX_BATCH_SIZE
+ * @param {(receipt: ethers.TransactionReceipt, batch: string[]) => Promise<void>} options.onReceipt Called with each mined batch
+ */
+const sendInBatches = async (
+  deposit,
+  users,
+  send,
+  { batchSize, onReceipt }
+) => {
+  batchSize ??= Number(await deposit.MAX_BATCH_SIZE());
+  for (const batch of chunk(users, batchSize)) {
+    const receipt = await (await send(batch)).wait();
+    await onReceipt(receipt, batch);
+  }
+};
+
+/**
+ * Claims the points of many users through a claim manager with claimPointsBatch, one transaction per batch
+ * @param {ethers.Contract} claimManager The claim manager contract, such as MockClaim
+ * @param {ethers.Contract} deposit The OmronDeposit contract
+ * @param {string[]} users The users to claim for
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] The number of users per transaction, defaults to MAX_BATCH_SIZE
+ * @param {(batch: string[], receipt: ethers.TransactionReceipt) => void} [options.onBatch] Called after each batch is mined
+ * @returns {Promise<Object<string, bigint>>} The points claimed for each user, keyed by checksummed address, which is zero for users who had none
+ */
+const claimPointsInBatches = async (
+  claimManager,
+  deposit,
+  users,
+  { batchSize, onBatch } = {}
+) => {
+  // Results are keyed by checksummed address, as event arguments are
+  users = users.map(getAddress);
+  const claimed = Object.fromEntries(users.map((user) => [user, 0n]));
+  await sendInBatches(
+    deposit,
+    users,
+    (batch) => claimManager.claimPointsBatch(batch),
+    {
+      batchSize,
+      onReceipt: async (receipt, batch) => {
+        for (const event of await getDepositEvents(
+          deposit,
+          receipt,
+          "ClaimPoints"
+        )) {
+          const [user, points] = event.args;
+          claimed[getAddress(user)] += points;
+        }
+        onBatch?.(batch, receipt);
+      },
+    }
+  );
+  return claimed;
+};
+
+/**
+ * Withdraws the tokens of many users through a claim manager with withdrawTokensBatch, one transaction per batch
+ * @param {ethers.Contract} claimManager The claim manager contract, such as MockClaim
+ * @param {ethers.Contract} deposit The OmronDeposit contract
+ * @param {string[]} users The users to withdraw for
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] The number of users per transaction, defaults to MAX_BATCH_SIZE
+ * @param {(batch: string[], receipt: ethers.TransactionReceipt) => void} [options.onBatch] Called after each batch is mined
+ * @returns {Promise<Object<string, Object<string, bigint>>>} The amount of each token withdrawn for each user, keyed by checksummed address, leaving out tokens of which nothing was withdrawn
+ */
+const withdrawTokensInBatches = async (
+  claimManager,
+  deposit,
+  users,
+  { batchSize, onBatch } = {}
+) => {
+  // Results are keyed by checksummed address, as event arguments are
+  users = users.map(getAddress);
+  const withdrawn = Object.fromEntries(users.map((user) => [user, {}]));
+  await sendInBatches(
+    deposit,
+    users,
+    (batch) => claimManager.withdrawTokensBatch(batch),
+    {
+      batchSize,
+      onReceipt: async (receipt, batch) => {
+        // WithdrawTokens amounts are ordered by the accepted tokens at the time of the withdrawal
+        const acceptedTokens = await deposit.getAllAcceptedTokens({
+          blockTag: receipt.blockNumber,
+        });
+        for (const event of await getDepositEvents(
+          deposit,
+          receipt,
+          "WithdrawTokens"
+        )) {
+          const [user, amounts] = event.args;
+          const userWithdrawn = withdrawn[getAddress(user)];
+          amounts.forEach((amount, i) => {
+            if (amount === 0n) return;
+            userWithdrawn[acceptedTokens[i]] =
+              (userWithdrawn[acceptedTokens[i]] ?? 0n) + amount;
+          });
+        }
+        onBatch?.(batch, receipt);
+      },
+    }
+  );
+  return withdrawn;
+};
+
+export { claimPointsInBatches, withdrawTokensInBatches };
@@ -0,0 +1,107 @@
+import Ajv from "ajv";
+import { getAddress } from "ethers";
+import fs from "fs";
+import hre from "hardhat";
+import path from "path";
+
+/**
+ * The path of the deployment config, which can be overridden with DEPLOY_CONFIG
+ */
+const DEFAULT_CONFIG_PATH = path.join(
+  hre.config.paths.root,
+  "deploy.config.json"
+);
+
+const SCHEMA_PATH = path.join(
+  hre.config.paths.root,
+  "deploy.config.schema.json"
+);
+
+/**
+ * Networks which must never be deployed to without an explicit, valid config
+ */
+const PROTECTED_NETWORKS = ["mainnet"];
+
+/**
+ * Builds a validator for the deployment config from its JSON schema. Defaults from the schema are applied to validated configs.
+ * @returns {import("ajv").ValidateFunction} The validator
+ */
+const getValidator = () => {
+  const ajv = new Ajv({ allErrors: true, useDefaults: true });
+  return ajv.compile(JSON.parse(fs.readFileSync(SCHEMA_PATH, "utf8")));
+};
+
+/**
+ * Loads and validates the deployment config for a network.
+ * If the network has no config, defaults are used, except on protected networks such as mainnet where deploying is refused.
+ * Protected networks must also configure WETH, rather than deploying a mock, and a non-zero timelock delay.
+ * @param {string} network The name of the network to load config for
+ * @param {string} [configPath] The path of the config file
+ * @returns {{roles: {admin?: string[], pauser?: string[], whitelistManager?: string[], claimAdmin?: string[]}, weth?: string, tokens: {address: string, symbol: string, decimals: number, multiplier: string, maxTotalDeposits: string, maxUserDeposits: string, minDepositAmount: string}[], boostEpochs: {startTime: number, multiplier: string}[], mockTokens: number, pause: boolean, claimManager?: string, timelockDelay: number}} The network's config
+ */
+const loadDeployConfig = (
+  network,
+  configPath = process.env.DEPLOY_CONFIG || DEFAULT_CONFIG_PATH
+) => {
+  const isProtected = PROTECTED_NETWORKS.includes(network);
+  let config = {};
+  if (fs.existsSync(configPath)) {
+    config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    const validate = getValidator();
+    if (!validate(config)) {
+      const errors = validate.errors
+        .map(
+          ({ instancePath, message, params }) =>
+            `  ${instancePath || "/"} ${message}` +
+            (params.additionalProperty ? ` (${params.additionalProperty})` : "")
+        )
+        .join("\n");
+      throw new Error(`Invalid deployment config ${configPath}:\n${errors}`);
+    }
+  } else if (isProtected) {
+    throw new Error(
+      `Refusing to deploy to ${network} without a deployment config, ${configPath} does not exist`
+    );
+  }
+  if (config[network] === undefined) {
+    if (isProtected) {
+      throw new Error(
+        `Refusing to deploy to ${network}, ${configPath} has no config for it`
+      );
+    }
+    // Run the defaults from the schema over an empty network config
+    const defaults = { [network]: {} };
+    getValidator()(defaults);
+    return defaults[network];
+  }
+  if (isProtected && !config[network].weth) {
+    throw new Error(
+      `Refusing to deploy to ${network}, ${configPath} doesn't configure its WETH`
+    );
+  }
+  if (isProtected && !config[network].timelockDelay) {
+    throw new Error(
+      `Refusing to deploy to ${network}, ${configPath} doesn't configure a non-zero timelock delay`
+    );
+  }
+  return config[network];
+};
+
+/**
+ * Gets the accounts which should hold each role once deployed, filling in defaults.
+ * The admins default to the deployer, and every other role defaults to the admins.
+ * @param {Object} config The network's config, from loadDeployConfig
+ * @param {string} deployer The address of the deployer
+ * @returns {{admin: string[], pauser: string[], whitelistManager: string[], claimAdmin: string[]}} The checksummed holders of each role, keyed by the names in ROLES
+ */
+const getRoleHolders = ({ roles = {} }, deployer) => {
+  const admin = (roles.admin ?? [deployer]).map(getAddress);
+  return {
+    admin,
+    pauser: roles.pauser?.map(getAddress) ?? admin,
+    whitelistManager: roles.whitelistManager?.map(getAddress) ?? admin,
+    claimAdmin: roles.claimAdmin?.map(getAddress) ?? admin,
+  };
+};
+
+export { getRoleHolders, loadDeployConfig };
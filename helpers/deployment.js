@@ -1,9 +1,14 @@
-import { ZeroAddress, ZeroHash } from "ethers";
 import fs from "fs";
 import hre from "hardhat";
-import { isEmpty, uniqueId } from "lodash-es";
+import { isEmpty, mapValues, uniqueId } from "lodash-es";
 import logger from "not-a-log";
 import signale from "signale-logger";
+import {
+  checkReusableDeployment,
+  getDeployment,
+  loadDeployments,
+  recordDeployment,
+} from "./manifest.js";
 
 const deploymentLogger = new signale.Signale({
   stream: [process.stdout, fs.createWriteStream("deploy.log")],
@@ -18,50 +23,160 @@ const deploymentLogger = new signale.Signale({
 });
 
 let deployedContracts = {};
+
+/**
+ * Whether the current run is a dry run, simulated against the in-process Hardhat network
+ * @returns {boolean} True when DRY_RUN is enabled
+ */
+const isDryRun = () => process.env.DRY_RUN === "true";
+
+/**
+ * Gets the name of the network being deployed to. During a dry run this is the network being simulated, set by DRY_RUN_NETWORK.
+ * @returns {string} The name of the target network
+ */
+const getTargetNetwork = () =>
+  isDryRun() ? process.env.DRY_RUN_NETWORK || "localhost" : hre.network.name;
+
+/**
+ * Gets the account which deploys contracts and sends deployment transactions.
+ * During a dry run, DRY_RUN_DEPLOYER can be set to impersonate the real deployer, so that simulated addresses match those of the real deployment.
+ * @returns {Promise<ethers.Signer>} The deploying signer
+ */
+const getDeployer = async () => {
+  if (isDryRun() && process.env.DRY_RUN_DEPLOYER) {
+    return hre.ethers.getImpersonatedSigner(process.env.DRY_RUN_DEPLOYER);
+  }
+  const [deployer] = await hre.ethers.getSigners();
+  return deployer;
+};
+
+/**
+ * Adds an entry to the table of deployment steps
+ * @param {string} id The name of the step
+ * @param {Object} step Details of the step
+ */
+const recordStep = (id, step) => {
+  if (!isEmpty(deployedContracts[id])) {
+    deployedContracts[id + " " + uniqueId()] = step;
+  } else {
+    deployedContracts[id] = step;
+  }
+};
+
 /**
- * Deploys a contract
+ * Gets all deployment steps taken so far
+ * @returns {Object<string, {contractAddress: string, transactionHash: string, status: string, gasUsed: bigint}>} The deployment steps, keyed by name
+ */
+const getDeploymentSteps = () => deployedContracts;
+
+/**
+ * Sends a transaction as a named deployment step, waits for it to be mined and records the gas it used
+ * @param {string} stepName The name of the step, such as "OmronDeposit.pause"
+ * @param {Promise<ethers.ContractTransactionResponse>} transaction The pending transaction
+ * @returns {Promise<ethers.ContractTransactionReceipt>} The transaction receipt
+ */
+const executeTransaction = async (stepName, transaction) => {
+  const stepLogger = deploymentLogger.scope("Deployment", stepName);
+  try {
+    const response = await transaction;
+    stepLogger.info("Transaction Hash:", response.hash);
+    const receipt = await response.wait();
+    stepLogger.complete(`Mined in block ${receipt.blockNumber}`);
+    recordStep(stepName, {
+      contractAddress: receipt.to,
+      transactionHash: response.hash,
+      status: isDryRun() ? "simulated" : "new",
+      gasUsed: receipt.gasUsed,
+    });
+    return receipt;
+  } catch (e) {
+    stepLogger.error(`Failed to execute ${stepName}\n`, e);
+    throw e;
+  }
+};
+
+/**
+ * Deploys a contract, or reuses it if an identical deployment is already recorded in the network's manifest
  * @param {string} contractName The name of the contract to deploy
  * @param {any[]} [args] The arguments to pass to the contract constructor
- * @returns {Promise<{contract: ethers.Contract, address: string}>} A promise containing the contract and the contract address after deployment
+ * @param {Object} [options]
+ * @param {string} [options.id] The identifier to record the deployment under in the network's manifest, defaults to the contract name
+ * @returns {Promise<{contract: ethers.Contract, address: string, hash: string, reused: boolean}>} A promise containing the contract and the contract address after deployment
  */
-const deployContract = async (contractName, args) => {
+const deployContract = async (
+  contractName,
+  args,
+  { id = contractName } = {}
+) => {
   const contractDeploymentLogger = deploymentLogger.scope(
     "Deployment",
     contractName
   );
   try {
-    let contract, contractAddress, transactionHash;
-    if (process.env.DRY_RUN === "true") {
-      contractDeploymentLogger.dry_run(
-        "Contract",
-        contractName,
-        "would have been deployed with args",
-        args
+    let contract,
+      contractAddress,
+      transactionHash,
+      reused = false;
+    let gasUsed = 0n;
+    const { reusable, reason, entry } = await checkReusableDeployment(
+      id,
+      contractName,
+      args
+    );
+    if (reusable) {
+      contract = await hre.ethers.getContractAt(contractName, entry.address);
+      contractAddress = entry.address;
+      transactionHash = entry.transactionHash;
+      reused = true;
+      contractDeploymentLogger.success(
+        `Reusing ${id} deployed to ${contractAddress} in block ${entry.blockNumber}`
       );
-      contract = null;
-      contractAddress = ZeroAddress;
-      transactionHash = ZeroHash;
     } else {
-      contractDeploymentLogger.await("Deploying...");
+      if (entry) {
+        contractDeploymentLogger.note(`Redeploying ${id}: ${reason}`);
+      }
+      if (isDryRun()) {
+        contractDeploymentLogger.dry_run(
+          "Simulating deployment with args",
+          args
+        );
+      } else {
+        contractDeploymentLogger.await("Deploying...");
+      }
       contract = await hre.ethers.deployContract(
         contractName,
-        ...(isEmpty(args) ? [] : [args])
+        isEmpty(args) ? [] : args,
+        await getDeployer()
       );
-      transactionHash = contract.deploymentTransaction().hash;
+      const deploymentTransaction = contract.deploymentTransaction();
+      transactionHash = deploymentTransaction.hash;
       contractDeploymentLogger.info("Transaction Hash:", transactionHash);
       await contract.waitForDeployment();
       contractAddress = await contract.getAddress();
       contractDeploymentLogger.complete(`Deployed to ${contractAddress}`);
-    }
-    if (!isEmpty(deployedContracts[contractName])) {
-      deployedContracts[contractName + " " + uniqueId()] = {
-        contractAddress,
+      const receipt = await deploymentTransaction.wait();
+      gasUsed = receipt.gasUsed;
+      await recordDeployment(id, {
+        contractName,
+        address: contractAddress,
         transactionHash,
-      };
-    } else {
-      deployedContracts[contractName] = { contractAddress, transactionHash };
+        args,
+        blockNumber: receipt.blockNumber,
+        deployer: deploymentTransaction.from,
+      });
     }
-    return { contract, address: contractAddress, hash: transactionHash };
+    recordStep(id, {
+      contractAddress,
+      transactionHash,
+      status: reused ? "reused" : isDryRun() ? "simulated" : "new",
+      gasUsed,
+    });
+    return {
+      contract,
+      address: contractAddress,
+      hash: transactionHash,
+      reused,
+    };
   } catch (e) {
     contractDeploymentLogger.error(`Failed to deploy ${contractName}\n`, e);
     throw e;
@@ -69,7 +184,23 @@ const deployContract = async (contractName, args) => {
 };
 
 const logDeployedContracts = () => {
-  const table = logger.table(deployedContracts);
+  const table = logger.table(
+    mapValues(deployedContracts, (step) => ({
+      ...step,
+      gasUsed: step.gasUsed.toString(),
+    }))
+  );
   deploymentLogger.info("Deployed Contracts:\r\n" + table);
 };
-export { deployContract, deploymentLogger, logDeployedContracts };
+export {
+  deployContract,
+  deploymentLogger,
+  executeTransaction,
+  getDeployer,
+  getDeployment,
+  getDeploymentSteps,
+  getTargetNetwork,
+  isDryRun,
+  loadDeployments,
+  logDeployedContracts,
+};
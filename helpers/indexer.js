@@ -0,0 +1,412 @@
+import { ZeroAddress } from "ethers";
+import fs from "fs";
+import hre from "hardhat";
+import { mapValues } from "lodash-es";
+import path from "path";
+import { bigIntReplacer, getDeployment } from "./manifest.js";
+import {
+  byPointsDescending,
+  calculatePoints,
+  calculatePointsPerHour,
+  createUser,
+  settleEmergencyPoints,
+  updatePoints,
+} from "./points.js";
+import {
+  clearReferrals,
+  creditReferral,
+  reduceReferrals,
+} from "./referrals.js";
+
+/**
+ * The version of the indexer state format written to disk. Bump this when the shape of the state changes.
+ */
+const INDEXER_STATE_VERSION = 6;
+
+const POINTS_DIRECTORY = path.join(hre.config.paths.root, "points");
+
+/**
+ * The number of blocks requested per log query, which keeps queries within the limits of public RPC providers
+ */
+const DEFAULT_BATCH_SIZE = 2_000;
+
+/**
+ * Gets the path of the indexer state for a network
+ * @param {string} [network] The name of the network, defaults to the current network
+ * @returns {string} The path of the state file
+ */
+const getIndexerStatePath = (network = hre.network.name) =>
+  path.join(POINTS_DIRECTORY, `${network}.json`);
+
+/**
+ * Creates the state of an indexer which hasn't processed any blocks
+ * @param {Object} options
+ * @param {string} options.address The address of the OmronDeposit contract being indexed
+ * @param {number} options.chainId The chain the contract is deployed on
+ * @param {number} [options.startBlock] The block to start indexing from, ideally the block the contract was deployed in
+ * @returns {Object} The empty indexer state
+ */
+const createIndexerState = ({ address, chainId, startBlock = 0 }) => ({
+  version: INDEXER_STATE_VERSION,
+  address,
+  chainId,
+  startBlock,
+  lastBlock: startBlock - 1,
+  lastBlockTimestamp: 0n,
+  depositStopTime: 0n,
+  boostEpochs: [],
+  whitelist: [],
+  acceptedTokens: [],
+  tokens: {},
+  users: {},
+  referrals: {},
+});
+
+/**
+ * Converts a user, or a referred position, loaded from disk back into bigints
+ * @param {Object} user The user as stored on disk
+ * @returns {Object} The user
+ */
+const reviveUser = (user) => ({
+  pointBalance: BigInt(user.pointBalance),
+  pointsPerHour: BigInt(user.pointsPerHour),
+  lastUpdated: BigInt(user.lastUpdated),
+  tokenBalances: mapValues(user.tokenBalances, BigInt),
+  tokenPointsPerHour: mapValues(user.tokenPointsPerHour, BigInt),
+});
+
+/**
+ * Loads indexer state from disk, converting stored decimal strings back into bigints
+ * @param {string} statePath The path of the state file
+ * @returns {Object|undefined} The indexer state, or undefined if none has been written yet
+ */
+const loadIndexerState = (statePath) => {
+  if (!fs.existsSync(statePath)) {
+    return undefined;
+  }
+  const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+  if (state.version !== INDEXER_STATE_VERSION) {
+    throw new Error(
+      `Unsupported indexer state version ${state.version} in ${statePath}, expected ${INDEXER_STATE_VERSION}`
+    );
+  }
+  return {
+    ...state,
+    lastBlockTimestamp: BigInt(state.lastBlockTimestamp),
+    depositStopTime: BigInt(state.depositStopTime),
+    boostEpochs: state.boostEpochs.map(({ startTime, multiplier }) => ({
+      startTime: BigInt(startTime),
+      multiplier: BigInt(multiplier),
+    })),
+    tokens: mapValues(state.tokens, (token) => ({
+      decimals: token.decimals,
+      multiplier: BigInt(token.multiplier),
+    })),
+    users: mapValues(state.users, reviveUser),
+    referrals: mapValues(state.referrals, (referrals) =>
+      mapValues(referrals, reviveUser)
+    ),
+  };
+};
+
+/**
+ * Loads the indexer state for a contract, or creates empty state if none has been written yet
+ * @param {string} statePath The path of the state file
+ * @param {Object} options
+ * @param {string} options.address The address of the OmronDeposit contract being indexed
+ * @param {number} options.chainId The chain the contract is deployed on
+ * @param {number} [options.startBlock] The block to start indexing from if there is no saved state
+ * @returns {Object} The indexer state
+ */
+const openIndexerState = (statePath, { address, chainId, startBlock }) => {
+  const state = loadIndexerState(statePath);
+  if (!state) {
+    return createIndexerState({ address, chainId, startBlock });
+  }
+  if (state.address !== address || state.chainId !== chainId) {
+    throw new Error(
+      `${statePath} indexes ${state.address} on chain ${state.chainId}, not ${address} on chain ${chainId}`
+    );
+  }
+  return state;
+};
+
+/**
+ * Gets the OmronDeposit contract on the current network and opens its indexer state.
+ * The contract's address is read from OMRON_DEPOSIT_ADDRESS, or the network's deployment manifest, and the state's path from POINTS_STATE.
+ * Indexing starts at INDEX_FROM_BLOCK, or the block the contract was deployed in so the constructor's whitelist events are included.
+ * @returns {Promise<{contract: ethers.Contract, state: Object, statePath: string}>} The contract, its indexer state and the path the state is stored at
+ */
+const openDepositIndex = async () => {
+  const deployment = getDeployment("OmronDeposit");
+  const address = process.env.OMRON_DEPOSIT_ADDRESS ?? deployment?.address;
+  if (!address) {
+    throw new Error(
+      `OmronDeposit has no recorded deployment on ${hre.network.name}, set OMRON_DEPOSIT_ADDRESS`
+    );
+  }
+  const contract = await hre.ethers.getContractAt("OmronDeposit", address);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const statePath = process.env.POINTS_STATE || getIndexerStatePath();
+  const startBlock = Number(
+    process.env.INDEX_FROM_BLOCK ??
+      (deployment?.address === address ? deployment.blockNumber : 0)
+  );
+  const state = openIndexerState(statePath, {
+    address,
+    chainId: Number(chainId),
+    startBlock,
+  });
+  return { contract, state, statePath };
+};
+
+/**
+ * Writes indexer state to disk, storing bigints as decimal strings
+ * @param {string} statePath The path of the state file
+ * @param {Object} state The indexer state
+ */
+const saveIndexerState = (statePath, state) => {
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(statePath, JSON.stringify(state, bigIntReplacer, 2) + "\n");
+};
+
+/**
+ * Gets a user from the indexer state, adding them if they haven't been seen before
+ * @param {Object} state The indexer state
+ * @param {string} address The address of the user
+ * @returns {Object} The user
+ */
+const getUser = (state, address) => {
+  state.users[address] ??= createUser();
+  return state.users[address];
+};
+
+/**
+ * Applies a single OmronDeposit event to the indexer state, replaying the state changes the contract made when emitting it.
+ * The decimals of every token must be recorded in the state's tokens before its WhitelistedTokenAdded event is applied, see indexEvents.
+ * @param {Object} state The indexer state, which is modified in place
+ * @param {ethers.EventLog} event The parsed event
+ * @param {bigint} timestamp The timestamp of the block the event was emitted in
+ */
+const applyEvent = (state, event, timestamp) => {
+  switch (event.eventName) {
+    case "WhitelistedTokenAdded": {
+      const [token] = event.args;
+      state.whitelist.push(token);
+      // Mirror allAcceptedTokens, which WithdrawTokens amounts are ordered by, and which keeps a re-added token in its first position
+      if (!state.acceptedTokens.includes(token)) {
+        state.acceptedTokens.push(token);
+      }
+      break;
+    }
+    case "WhitelistedTokenRemoved": {
+      const [token] = event.args;
+      // Mirror the swap and pop in removeWhitelistedToken. The token stays accepted, so balances of it can still be withdrawn
+      const index = state.whitelist.indexOf(token);
+      state.whitelist[index] = state.whitelist[state.whitelist.length - 1];
+      state.whitelist.pop();
+      break;
+    }
+    case "TokenMultiplierSet": {
+      const [token, multiplier] = event.args;
+      state.tokens[token].multiplier = multiplier;
+      break;
+    }
+    case "BoostEpochAdded": {
+      const [startTime, multiplier] = event.args;
+      state.boostEpochs.push({ startTime, multiplier });
+      break;
+    }
+    case "BoostEpochRemoved":
+      state.boostEpochs.pop();
+      break;
+    case "DepositStopTimeSet": {
+      const [depositStopTime] = event.args;
+      state.depositStopTime = depositStopTime;
+      break;
+    }
+    case "Deposit": {
+      const [from, token, amount] = event.args;
+      const user = getUser(state, from);
+      updatePoints(user, timestamp, state);
+      const { decimals, multiplier } = state.tokens[token];
+      const pointsPerHour = calculatePointsPerHour(
+        amount,
+        decimals,
+        multiplier
+      );
+      user.pointsPerHour += pointsPerHour;
+      user.tokenPointsPerHour[token] =
+        (user.tokenPointsPerHour[token] ?? 0n) + pointsPerHour;
+      user.tokenBalances[token] = (user.tokenBalances[token] ?? 0n) + amount;
+      break;
+    }
+    case "DepositFor": {
+      // The deposit itself is credited to the beneficiary by the Deposit event emitted before this one
+      const [, beneficiary, referrer, token, amount] = event.args;
+      if (referrer === ZeroAddress) break;
+      creditReferral(
+        state,
+        { referrer, user: beneficiary, token, amount },
+        timestamp
+      );
+      break;
+    }
+    case "Withdrawal": {
+      const [address, token, amount] = event.args;
+      const user = getUser(state, address);
+      updatePoints(user, timestamp, state);
+      // Mirror the rounding in withdraw, which rounds the remaining points per hour down
+      const balance = user.tokenBalances[token];
+      const tokenPointsPerHour = user.tokenPointsPerHour[token];
+      const remainingPointsPerHour =
+        (tokenPointsPerHour * (balance - amount)) / balance;
+      user.pointsPerHour -= tokenPointsPerHour - remainingPointsPerHour;
+      user.tokenPointsPerHour[token] = remainingPointsPerHour;
+      user.tokenBalances[token] = balance - amount;
+      reduceReferrals(
+        state,
+        { user: address, token, balance, remainingBalance: balance - amount },
+        timestamp
+      );
+      break;
+    }
+    case "WithdrawTokens": {
+      const [address, amounts] = event.args;
+      const user = getUser(state, address);
+      updatePoints(user, timestamp, state);
+      const withdrawnTokens = [];
+      amounts.forEach((amount, i) => {
+        if (amount === 0n) return;
+        const token = state.acceptedTokens[i];
+        user.tokenBalances[token] -= amount;
+        user.tokenPointsPerHour[token] = 0n;
+        withdrawnTokens.push(token);
+      });
+      user.pointsPerHour = 0n;
+      clearReferrals(state, address, withdrawnTokens, timestamp);
+      break;
+    }
+    case "EmergencyWithdrawal": {
+      const [address, token, amount] = event.args;
+      const user = getUser(state, address);
+      settleEmergencyPoints(user, timestamp, state);
+      // emergencyWithdraw takes the user's whole balance of every token, and stops all of their points per hour
+      user.pointsPerHour = 0n;
+      user.tokenPointsPerHour[token] = 0n;
+      user.tokenBalances[token] -= amount;
+      reduceReferrals(
+        state,
+        { user: address, token, balance: amount, remainingBalance: 0n },
+        timestamp
+      );
+      break;
+    }
+    case "ClaimPoints": {
+      const [address] = event.args;
+      const user = getUser(state, address);
+      updatePoints(user, timestamp, state);
+      user.pointBalance = 0n;
+      break;
+    }
+  }
+};
+
+/**
+ * Replays OmronDeposit events into the indexer state, continuing from the last block it processed.
+ * Blocks are queried in batches, and the state is consistent at the end of every batch.
+ * @param {ethers.Contract} contract The OmronDeposit contract
+ * @param {Object} state The indexer state, which is modified in place
+ * @param {Object} [options]
+ * @param {number} [options.toBlock] The last block to index, defaults to the latest block
+ * @param {number} [options.batchSize] The number of blocks to query at a time
+ * @param {(state: Object) => void} [options.onBatch] Called after each batch is applied, for example to save progress
+ * @returns {Promise<Object>} The updated indexer state
+ */
+const indexEvents = async (
+  contract,
+  state,
+  { toBlock, batchSize = DEFAULT_BATCH_SIZE, onBatch } = {}
+) => {
+  const provider = contract.runner.provider ?? contract.runner;
+  toBlock ??= await provider.getBlockNumber();
+  const timestamps = new Map();
+  const getTimestamp = async (blockNumber) => {
+    if (!timestamps.has(blockNumber)) {
+      const block = await provider.getBlock(blockNumber);
+      timestamps.set(blockNumber, BigInt(block.timestamp));
+    }
+    return timestamps.get(blockNumber);
+  };
+
+  for (
+    let fromBlock = state.lastBlock + 1;
+    fromBlock <= toBlock;
+    fromBlock += batchSize
+  ) {
+    const batchEnd = Math.min(fromBlock + batchSize - 1, toBlock);
+    const events = await contract.queryFilter("*", fromBlock, batchEnd);
+    events.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+    for (const event of events) {
+      // Skip logs which aren't part of the OmronDeposit ABI
+      if (!event.eventName) continue;
+      if (event.eventName === "WhitelistedTokenAdded") {
+        const [token] = event.args;
+        // A token's decimals can't change, so they're read once from the contract's latest state rather than from an archive node
+        state.tokens[token] ??= {
+          decimals: Number(await contract.tokenDecimals(token)),
+          multiplier: 0n,
+        };
+      }
+      applyEvent(state, event, await getTimestamp(event.blockNumber));
+    }
+    state.lastBlock = batchEnd;
+    state.lastBlockTimestamp = await getTimestamp(batchEnd);
+    timestamps.clear();
+    onBatch?.(state);
+  }
+  return state;
+};
+
+/**
+ * Gets the indexer state as of a block, without modifying the provided state.
+ * State which has already passed the block is rebuilt from the start block.
+ * @param {ethers.Contract} contract The OmronDeposit contract
+ * @param {Object} state The indexer state
+ * @param {number} blockNumber The block to get the state at
+ * @returns {Promise<Object>} The indexer state as of the end of the block
+ */
+const getStateAtBlock = async (contract, state, blockNumber) => {
+  const base =
+    blockNumber < state.lastBlock
+      ? createIndexerState(state)
+      : structuredClone(state);
+  return indexEvents(contract, base, { toBlock: blockNumber });
+};
+
+/**
+ * Ranks every indexed user by their points as of the last indexed block
+ * @param {Object} state The indexer state
+ * @returns {{address: string, points: bigint, pointsPerHour: bigint}[]} Users ordered by points, highest first
+ */
+const getLeaderboard = (state) =>
+  Object.entries(state.users)
+    .map(([address, user]) => ({
+      address,
+      points: calculatePoints(user, state.lastBlockTimestamp, state),
+      pointsPerHour: user.pointsPerHour,
+    }))
+    .sort(byPointsDescending);
+
+export {
+  applyEvent,
+  createIndexerState,
+  getIndexerStatePath,
+  getLeaderboard,
+  getStateAtBlock,
+  indexEvents,
+  loadIndexerState,
+  openDepositIndex,
+  openIndexerState,
+  saveIndexerState,
+};
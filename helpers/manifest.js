@@ -0,0 +1,219 @@
+import { keccak256, toUtf8Bytes } from "ethers";
+import fs from "fs";
+import hre from "hardhat";
+import { isEqual } from "lodash-es";
+import path from "path";
+
+/**
+ * The version of the manifest format written to disk. Bump this when the shape of the manifest changes.
+ */
+const MANIFEST_VERSION = 1;
+
+const DEPLOYMENTS_DIRECTORY = path.join(hre.config.paths.root, "deployments");
+
+/**
+ * Networks which only exist for the lifetime of the process, and therefore have nothing worth persisting
+ */
+const EPHEMERAL_NETWORKS = ["hardhat"];
+
+/**
+ * Gets the path of the deployment manifest for a network
+ * @param {string} [network] The name of the network, defaults to the current network
+ * @returns {string} The path of the manifest file
+ */
+const getManifestPath = (network = hre.network.name) =>
+  path.join(DEPLOYMENTS_DIRECTORY, `${network}.json`);
+
+/**
+ * Whether deployments on the provided network should be written to a manifest
+ * @param {string} [network] The name of the network, defaults to the current network
+ * @returns {boolean} True if the network's deployments are persisted
+ */
+const isPersistentNetwork = (network = hre.network.name) =>
+  !EPHEMERAL_NETWORKS.includes(network);
+
+/**
+ * JSON replacer which serializes bigints, such as those in constructor args or read from chain, as decimal strings
+ */
+const bigIntReplacer = (_key, value) =>
+  typeof value === "bigint" ? value.toString() : value;
+
+/**
+ * Normalizes constructor arguments into their JSON representation, so they can be stored and compared
+ * @param {any[]} [args] The constructor arguments
+ * @returns {any[]} The JSON-safe constructor arguments
+ */
+const serializeArgs = (args = []) =>
+  JSON.parse(JSON.stringify(args, bigIntReplacer));
+
+/**
+ * Loads the deployment manifest for a network
+ * @param {string} [network] The name of the network, defaults to the current network
+ * @returns {{version: number, network: string, chainId: number|null, contracts: Object<string, Object>}} The manifest, or an empty manifest if none has been written yet
+ */
+const loadDeployments = (network = hre.network.name) => {
+  const manifestPath = getManifestPath(network);
+  if (!fs.existsSync(manifestPath)) {
+    return { version: MANIFEST_VERSION, network, chainId: null, contracts: {} };
+  }
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(
+      `Unsupported deployment manifest version ${manifest.version} in ${manifestPath}, expected ${MANIFEST_VERSION}`
+    );
+  }
+  return manifest;
+};
+
+/**
+ * Gets a single deployment from a network's manifest
+ * @param {string} id The identifier the contract was deployed under
+ * @param {string} [network] The name of the network, defaults to the current network
+ * @returns {Object|undefined} The manifest entry, if the contract has been deployed
+ */
+const getDeployment = (id, network = hre.network.name) =>
+  loadDeployments(network).contracts[id];
+
+/**
+ * Writes a deployment manifest to disk
+ * @param {Object} manifest The manifest to write
+ * @param {string} [network] The name of the network, defaults to the current network
+ */
+const saveDeployments = (manifest, network = hre.network.name) => {
+  fs.mkdirSync(DEPLOYMENTS_DIRECTORY, { recursive: true });
+  fs.writeFileSync(
+    getManifestPath(network),
+    JSON.stringify(manifest, bigIntReplacer, 2) + "\n"
+  );
+};
+
+/**
+ * Collects the compiler settings and hashes which identify the code of a compiled contract
+ * @param {string} contractName The name of the contract
+ * @returns {Promise<{abiHash: string, bytecodeHash: string, compiler: Object}>} The compilation details
+ */
+const getCompilationDetails = async (contractName) => {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(
+    `${artifact.sourceName}:${artifact.contractName}`
+  );
+  const { optimizer, evmVersion, viaIR } = buildInfo.input.settings;
+  return {
+    abiHash: keccak256(toUtf8Bytes(JSON.stringify(artifact.abi))),
+    bytecodeHash: keccak256(artifact.bytecode),
+    compiler: {
+      version: buildInfo.solcLongVersion,
+      optimizer,
+      evmVersion,
+      viaIR: !!viaIR,
+    },
+  };
+};
+
+/**
+ * Checks whether a contract recorded in a network's manifest can be reused instead of being deployed again.
+ * A deployment is only reused when it was made on the same chain, from the same bytecode and with the same constructor arguments, and its code is still on chain.
+ * @param {string} id The identifier the contract is recorded under
+ * @param {string} contractName The name of the contract
+ * @param {any[]} [args] The constructor arguments
+ * @param {string} [network] The name of the network, defaults to the current network
+ * @returns {Promise<{reusable: boolean, reason?: string, entry?: Object}>} Whether the deployment can be reused, and if not, why
+ */
+const checkReusableDeployment = async (
+  id,
+  contractName,
+  args,
+  network = hre.network.name
+) => {
+  if (!isPersistentNetwork(network)) {
+    return { reusable: false };
+  }
+  const manifest = loadDeployments(network);
+  const entry = manifest.contracts[id];
+  if (!entry) {
+    return { reusable: false };
+  }
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (manifest.chainId !== Number(chainId)) {
+    return {
+      reusable: false,
+      reason: `manifest was written for chain ${manifest.chainId}, not ${chainId}`,
+      entry,
+    };
+  }
+  if (entry.contractName !== contractName) {
+    return {
+      reusable: false,
+      reason: `recorded as ${entry.contractName}`,
+      entry,
+    };
+  }
+  const { bytecodeHash } = await getCompilationDetails(contractName);
+  if (entry.bytecodeHash !== bytecodeHash) {
+    return { reusable: false, reason: "bytecode has changed", entry };
+  }
+  if (!isEqual(entry.args, serializeArgs(args))) {
+    return { reusable: false, reason: "constructor args have changed", entry };
+  }
+  if ((await hre.ethers.provider.getCode(entry.address)) === "0x") {
+    return {
+      reusable: false,
+      reason: `no code found at ${entry.address}`,
+      entry,
+    };
+  }
+  return { reusable: true, entry };
+};
+
+/**
+ * Records a deployment in a network's manifest. Does nothing on ephemeral networks.
+ * @param {string} id The identifier to record the contract under
+ * @param {Object} deployment Details of the deployment
+ * @param {string} deployment.contractName The name of the deployed contract
+ * @param {string} deployment.address The address the contract was deployed to
+ * @param {string} deployment.transactionHash The hash of the deployment transaction
+ * @param {any[]} [deployment.args] The constructor arguments
+ * @param {number} deployment.blockNumber The block the contract was deployed in
+ * @param {string} deployment.deployer The address of the deploying account
+ * @param {string} [network] The name of the network, defaults to the current network
+ * @returns {Promise<Object|undefined>} The recorded manifest entry
+ */
+const recordDeployment = async (
+  id,
+  { contractName, address, transactionHash, args, blockNumber, deployer },
+  network = hre.network.name
+) => {
+  if (!isPersistentNetwork(network)) {
+    return;
+  }
+  const manifest = loadDeployments(network);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const entry = {
+    contractName,
+    address,
+    transactionHash,
+    args: serializeArgs(args),
+    blockNumber,
+    deployer,
+    ...(await getCompilationDetails(contractName)),
+    deployedAt: new Date().toISOString(),
+  };
+  manifest.chainId = Number(chainId);
+  manifest.contracts[id] = entry;
+  saveDeployments(manifest, network);
+  return entry;
+};
+
+export {
+  MANIFEST_VERSION,
+  bigIntReplacer,
+  checkReusableDeployment,
+  getCompilationDetails,
+  getDeployment,
+  getManifestPath,
+  isPersistentNetwork,
+  loadDeployments,
+  recordDeployment,
+  saveDeployments,
+  serializeArgs,
+};
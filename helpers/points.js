@@ -0,0 +1,179 @@
+import { MaxUint256 } from "ethers";
+
+/**
+ * The number of decimal places for points, matching OmronDeposit.POINTS_SCALE
+ */
+const POINTS_SCALE = 10n ** 18n;
+
+/**
+ * One hour, in seconds, scaled to points decimals, matching OmronDeposit.ONE_HOUR_IN_POINTS
+ */
+const ONE_HOUR_IN_POINTS = 3600n * POINTS_SCALE;
+
+/**
+ * The scale of token multipliers, matching OmronDeposit.MULTIPLIER_SCALE
+ */
+const MULTIPLIER_SCALE = 10n ** 18n;
+
+/**
+ * The number of decimals deposits are normalized to, matching OmronDeposit.NORMALIZED_DECIMALS
+ */
+const NORMALIZED_DECIMALS = 18;
+
+/**
+ * Creates the points information for a user who hasn't interacted with the contract
+ * @returns {{pointBalance: bigint, pointsPerHour: bigint, lastUpdated: bigint, tokenBalances: Object<string, bigint>, tokenPointsPerHour: Object<string, bigint>}} An empty user
+ */
+const createUser = () => ({
+  pointBalance: 0n,
+  pointsPerHour: 0n,
+  lastUpdated: 0n,
+  tokenBalances: {},
+  tokenPointsPerHour: {},
+});
+
+/**
+ * Calculates the points per hour earned by a deposit, mirroring OmronDeposit._calculatePointsPerHour
+ * @param {bigint} amount The amount deposited, in the token's own decimals
+ * @param {number} decimals The decimals of the deposited token
+ * @param {bigint} multiplier The multiplier of the deposited token, scaled by MULTIPLIER_SCALE
+ * @returns {bigint} The points per hour earned by the deposit
+ */
+const calculatePointsPerHour = (amount, decimals, multiplier) => {
+  const weightedAmount = amount * multiplier;
+  if (decimals <= NORMALIZED_DECIMALS) {
+    return (
+      (weightedAmount * 10n ** BigInt(NORMALIZED_DECIMALS - decimals)) /
+      MULTIPLIER_SCALE
+    );
+  }
+  return (
+    weightedAmount /
+    (MULTIPLIER_SCALE * 10n ** BigInt(decimals - NORMALIZED_DECIMALS))
+  );
+};
+
+/**
+ * Calculates the time between two timestamps, weighted by the multiplier of each boost epoch it overlaps, mirroring OmronDeposit._calculateBoostedTime
+ * @param {bigint} from The start of the period
+ * @param {bigint} to The end of the period
+ * @param {{startTime: bigint, multiplier: bigint}[]} boostEpochs The boost epochs, ordered by start time
+ * @returns {bigint} The boosted time, scaled by MULTIPLIER_SCALE
+ */
+const calculateBoostedTime = (from, to, boostEpochs) => {
+  let boostedTime = 0n;
+  let cursor = from;
+  let multiplier = MULTIPLIER_SCALE;
+  for (const epoch of boostEpochs) {
+    if (cursor >= to) break;
+    if (epoch.startTime > cursor) {
+      const segmentEnd = epoch.startTime < to ? epoch.startTime : to;
+      boostedTime += (segmentEnd - cursor) * multiplier;
+      cursor = segmentEnd;
+    }
+    multiplier = epoch.multiplier;
+  }
+  if (cursor < to) {
+    boostedTime += (to - cursor) * multiplier;
+  }
+  return boostedTime;
+};
+
+/**
+ * Calculates the boosted time a user has accrued points for since they were last updated, the part of OmronDeposit._calculatePointsDiff before it is multiplied by the user's points per hour
+ * @param {Object} user The user to calculate the boosted time for
+ * @param {bigint} timestamp The current block timestamp
+ * @param {{depositStopTime: bigint, boostEpochs: {startTime: bigint, multiplier: bigint}[]}} schedule The deposit stop time, or zero if deposits haven't been stopped, and the boost epochs
+ * @returns {bigint} The boosted time, scaled by MULTIPLIER_SCALE, or zero if the user isn't earning points
+ */
+const calculateAccruedTime = (
+  user,
+  timestamp,
+  { depositStopTime, boostEpochs }
+) => {
+  if (
+    user.lastUpdated === 0n ||
+    user.pointsPerHour === 0n ||
+    (user.lastUpdated >= depositStopTime && depositStopTime !== 0n)
+  ) {
+    return 0n;
+  }
+  const accrualEnd = depositStopTime !== 0n ? depositStopTime : timestamp;
+  return calculateBoostedTime(user.lastUpdated, accrualEnd, boostEpochs);
+};
+
+/**
+ * Calculates the points a user has earned since they were last updated, mirroring OmronDeposit._calculatePointsDiff
+ * @param {Object} user The user to calculate points for
+ * @param {bigint} timestamp The current block timestamp
+ * @param {{depositStopTime: bigint, boostEpochs: {startTime: bigint, multiplier: bigint}[]}} schedule The deposit stop time, or zero if deposits haven't been stopped, and the boost epochs
+ * @returns {bigint} The points earned since the user was last updated
+ */
+const calculatePointsDiff = (user, timestamp, schedule) =>
+  (calculateAccruedTime(user, timestamp, schedule) * user.pointsPerHour) /
+  (3600n * MULTIPLIER_SCALE);
+
+/**
+ * Calculates a user's total points, mirroring OmronDeposit.calculatePoints
+ * @param {Object} user The user to calculate points for
+ * @param {bigint} timestamp The current block timestamp
+ * @param {{depositStopTime: bigint, boostEpochs: {startTime: bigint, multiplier: bigint}[]}} schedule The deposit stop time, or zero if deposits haven't been stopped, and the boost epochs
+ * @returns {bigint} The user's point balance including points earned since they were last updated
+ */
+const calculatePoints = (user, timestamp, schedule) =>
+  user.pointBalance + calculatePointsDiff(user, timestamp, schedule);
+
+/**
+ * Settles a user's earned points into their balance, mirroring OmronDeposit._updatePoints
+ * @param {Object} user The user to update, which is modified in place
+ * @param {bigint} timestamp The current block timestamp
+ * @param {{depositStopTime: bigint, boostEpochs: {startTime: bigint, multiplier: bigint}[]}} schedule The deposit stop time, or zero if deposits haven't been stopped, and the boost epochs
+ */
+const updatePoints = (user, timestamp, schedule) => {
+  if (user.lastUpdated !== 0n) {
+    user.pointBalance += calculatePointsDiff(user, timestamp, schedule);
+  }
+  user.lastUpdated = timestamp;
+};
+
+/**
+ * Settles a user's points before an emergency withdrawal, mirroring OmronDeposit.emergencyWithdraw.
+ * Where the contract's checked arithmetic would overflow, the points earned since the user was last updated are forfeited instead.
+ * @param {Object} user The user to update, which is modified in place
+ * @param {bigint} timestamp The current block timestamp
+ * @param {{depositStopTime: bigint, boostEpochs: {startTime: bigint, multiplier: bigint}[]}} schedule The deposit stop time, or zero if deposits haven't been stopped, and the boost epochs
+ */
+const settleEmergencyPoints = (user, timestamp, schedule) => {
+  const accruedPoints =
+    calculateAccruedTime(user, timestamp, schedule) * user.pointsPerHour;
+  const pointBalance =
+    user.pointBalance + accruedPoints / (3600n * MULTIPLIER_SCALE);
+  if (accruedPoints <= MaxUint256 && pointBalance <= MaxUint256) {
+    user.pointBalance = pointBalance;
+  }
+  user.lastUpdated = timestamp;
+};
+
+/**
+ * Sort comparator which orders entries by their points, highest first
+ * @param {{points: bigint}} a The first entry
+ * @param {{points: bigint}} b The second entry
+ * @returns {number} A negative number if a has more points than b, a positive number if it has fewer, otherwise zero
+ */
+const byPointsDescending = (a, b) =>
+  a.points === b.points ? 0 : a.points > b.points ? -1 : 1;
+
+export {
+  MULTIPLIER_SCALE,
+  NORMALIZED_DECIMALS,
+  ONE_HOUR_IN_POINTS,
+  POINTS_SCALE,
+  byPointsDescending,
+  calculateBoostedTime,
+  calculatePoints,
+  calculatePointsDiff,
+  calculatePointsPerHour,
+  createUser,
+  settleEmergencyPoints,
+  updatePoints,
+};
@@ -0,0 +1,112 @@
+import hre from "hardhat";
+import { calculatePoints, createUser } from "./points.js";
+import { writeReport } from "./reports.js";
+
+/**
+ * The subset of the ERC-20 ABI needed to read the contract's holdings
+ */
+const ERC20_BALANCE_ABI = [
+  "function balanceOf(address account) view returns (uint256)",
+];
+
+/**
+ * The columns of the CSV reconciliation report, in order
+ */
+const REPORT_COLUMNS = ["check", "user", "token", "expected", "actual"];
+
+/**
+ * Compares the indexer's model of OmronDeposit with the contract's own view of itself at a block.
+ * Each user's points and token balances are read from the contract, and the contract's ERC-20 holdings are compared with the sum of all indexed user balances.
+ * @param {ethers.Contract} contract The OmronDeposit contract
+ * @param {Object} state The indexer state as of the block being reconciled, see getStateAtBlock
+ * @param {Object} [options]
+ * @param {string[]} [options.users] The users to reconcile, defaults to every user seen in events
+ * @returns {Promise<{check: string, user: string, token: string, expected: bigint, actual: bigint}[]>} The mismatches, with expected values from the model and actual values from the contract. Empty if the model matches.
+ */
+const reconcilePoints = async (contract, state, { users } = {}) => {
+  const blockTag = state.lastBlock;
+  const provider = contract.runner.provider ?? contract.runner;
+  users ??= Object.keys(state.users);
+  const mismatches = [];
+  const check = (name, user, token, expected, actual) => {
+    if (expected !== actual) {
+      mismatches.push({ check: name, user, token, expected, actual });
+    }
+  };
+
+  // Tokens removed from the whitelist are still held for users who deposited them, so every accepted token is checked
+  const tokens = state.acceptedTokens;
+
+  for (const address of users) {
+    const user = state.users[address] ?? createUser();
+    const [pointsPerHour, lastUpdated, pointBalance] =
+      await contract.getUserInfo(address, { blockTag });
+    check("pointsPerHour", address, "", user.pointsPerHour, pointsPerHour);
+    check("lastUpdated", address, "", user.lastUpdated, lastUpdated);
+    check("pointBalance", address, "", user.pointBalance, pointBalance);
+    check(
+      "calculatePoints",
+      address,
+      "",
+      calculatePoints(user, state.lastBlockTimestamp, state),
+      await contract.calculatePoints(address, { blockTag })
+    );
+    for (const token of tokens) {
+      check(
+        "tokenBalance",
+        address,
+        token,
+        user.tokenBalances[token] ?? 0n,
+        await contract.tokenBalance(address, token, { blockTag })
+      );
+      check(
+        "tokenPointsPerHour",
+        address,
+        token,
+        user.tokenPointsPerHour[token] ?? 0n,
+        await contract.tokenPointsPerHour(address, token, { blockTag })
+      );
+    }
+  }
+
+  const contractAddress = await contract.getAddress();
+  for (const token of tokens) {
+    const expected = Object.values(state.users).reduce(
+      (sum, user) => sum + (user.tokenBalances[token] ?? 0n),
+      0n
+    );
+    const erc20 = new hre.ethers.Contract(token, ERC20_BALANCE_ABI, provider);
+    check(
+      "balanceOf",
+      contractAddress,
+      token,
+      expected,
+      await erc20.balanceOf(contractAddress, { blockTag })
+    );
+  }
+  return mismatches;
+};
+
+/**
+ * Writes reconciliation mismatches to a JSON file and a CSV file
+ * @param {string} reportPath The path of the report, without an extension
+ * @param {Object} report
+ * @param {string} report.address The address of the reconciled contract
+ * @param {number} report.blockNumber The block the contract was reconciled at
+ * @param {Object[]} report.mismatches The mismatches from reconcilePoints
+ * @returns {{json: string, csv: string}} The paths of the files written
+ */
+const writeReconciliationReport = (
+  reportPath,
+  { address, blockNumber, mismatches }
+) =>
+  writeReport(
+    reportPath,
+    { address, blockNumber, mismatches },
+    REPORT_COLUMNS,
+    mismatches.map((mismatch) =>
+      REPORT_COLUMNS.map((column) => mismatch[column])
+    )
+  );
+
+export { ERC20_BALANCE_ABI, reconcilePoints, writeReconciliationReport };
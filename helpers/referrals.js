@@ -0,0 +1,185 @@
+import {
+  MULTIPLIER_SCALE,
+  byPointsDescending,
+  calculatePoints,
+  calculatePointsPerHour,
+  createUser,
+  updatePoints,
+} from "./points.js";
+import { writeReport } from "./reports.js";
+
+/**
+ * The columns of the CSV referral report which come before the TVL of each token, in order
+ */
+const REPORT_COLUMNS = [
+  "referrer",
+  "users",
+  "points",
+  "pointsPerHour",
+  "normalizedTvl",
+];
+
+/**
+ * Gets the referred position of a user under a referrer, adding it if the referrer hasn't referred the user before.
+ * A position tracks only the referred part of the user's deposits, with the same shape as a user so points are calculated the same way.
+ * @param {Object} state The indexer state
+ * @param {string} referrer The address of the referrer
+ * @param {string} user The address of the referred user
+ * @returns {Object} The referred position
+ */
+const getReferral = (state, referrer, user) => {
+  state.referrals[referrer] ??= {};
+  state.referrals[referrer][user] ??= createUser();
+  return state.referrals[referrer][user];
+};
+
+/**
+ * Credits a referred deposit to its referrer, mirroring how OmronDeposit credits the deposit to the user
+ * @param {Object} state The indexer state, which is modified in place
+ * @param {Object} deposit
+ * @param {string} deposit.referrer The address of the referrer
+ * @param {string} deposit.user The address the deposit was credited to
+ * @param {string} deposit.token The address of the deposited token
+ * @param {bigint} deposit.amount The amount deposited
+ * @param {bigint} timestamp The timestamp of the deposit
+ */
+const creditReferral = (
+  state,
+  { referrer, user, token, amount },
+  timestamp
+) => {
+  const referral = getReferral(state, referrer, user);
+  updatePoints(referral, timestamp, state);
+  const { decimals, multiplier } = state.tokens[token];
+  const pointsPerHour = calculatePointsPerHour(amount, decimals, multiplier);
+  referral.pointsPerHour += pointsPerHour;
+  referral.tokenPointsPerHour[token] =
+    (referral.tokenPointsPerHour[token] ?? 0n) + pointsPerHour;
+  referral.tokenBalances[token] =
+    (referral.tokenBalances[token] ?? 0n) + amount;
+};
+
+/**
+ * Shrinks a user's referred positions in a token after they withdraw some of it.
+ * Withdrawals don't say which deposits they come from, so referred and unreferred deposits shrink in proportion.
+ * @param {Object} state The indexer state, which is modified in place
+ * @param {Object} withdrawal
+ * @param {string} withdrawal.user The address of the user who withdrew
+ * @param {string} withdrawal.token The address of the withdrawn token
+ * @param {bigint} withdrawal.balance The user's balance of the token before the withdrawal
+ * @param {bigint} withdrawal.remainingBalance The user's balance of the token after the withdrawal
+ * @param {bigint} timestamp The timestamp of the withdrawal
+ */
+const reduceReferrals = (
+  state,
+  { user, token, balance, remainingBalance },
+  timestamp
+) => {
+  for (const referrals of Object.values(state.referrals)) {
+    const referral = referrals[user];
+    if (!referral?.tokenBalances[token]) continue;
+    updatePoints(referral, timestamp, state);
+    const tokenPointsPerHour = referral.tokenPointsPerHour[token];
+    const remainingPointsPerHour =
+      (tokenPointsPerHour * remainingBalance) / balance;
+    referral.pointsPerHour -= tokenPointsPerHour - remainingPointsPerHour;
+    referral.tokenPointsPerHour[token] = remainingPointsPerHour;
+    referral.tokenBalances[token] =
+      (referral.tokenBalances[token] * remainingBalance) / balance;
+  }
+};
+
+/**
+ * Empties a user's referred positions after the claim manager withdraws their tokens, which stops them earning points
+ * @param {Object} state The indexer state, which is modified in place
+ * @param {string} user The address of the user whose tokens were withdrawn
+ * @param {string[]} tokens The addresses of the withdrawn tokens
+ * @param {bigint} timestamp The timestamp of the withdrawal
+ */
+const clearReferrals = (state, user, tokens, timestamp) => {
+  for (const referrals of Object.values(state.referrals)) {
+    const referral = referrals[user];
+    if (!referral) continue;
+    updatePoints(referral, timestamp, state);
+    for (const token of tokens) {
+      referral.tokenBalances[token] = 0n;
+      referral.tokenPointsPerHour[token] = 0n;
+    }
+    referral.pointsPerHour = 0n;
+  }
+};
+
+/**
+ * Summarizes each referrer's referred deposits as of the last indexed block
+ * @param {Object} state The indexer state
+ * @returns {{referrer: string, users: number, points: bigint, pointsPerHour: bigint, normalizedTvl: bigint, tvl: Object<string, bigint>}[]} Referrers ordered by the points their referrals generated, highest first.
+ * TVL is the referred balance of each token, and normalizedTvl is their sum normalized to 18 decimals, without multipliers.
+ */
+const getReferralReport = (state) =>
+  Object.entries(state.referrals)
+    .map(([referrer, referrals]) => {
+      const tvl = {};
+      let points = 0n;
+      let pointsPerHour = 0n;
+      for (const referral of Object.values(referrals)) {
+        points += calculatePoints(referral, state.lastBlockTimestamp, state);
+        pointsPerHour += referral.pointsPerHour;
+        for (const [token, balance] of Object.entries(referral.tokenBalances)) {
+          tvl[token] = (tvl[token] ?? 0n) + balance;
+        }
+      }
+      const normalizedTvl = Object.entries(tvl).reduce(
+        (sum, [token, balance]) =>
+          sum +
+          calculatePointsPerHour(
+            balance,
+            state.tokens[token].decimals,
+            MULTIPLIER_SCALE
+          ),
+        0n
+      );
+      return {
+        referrer,
+        users: Object.keys(referrals).length,
+        points,
+        pointsPerHour,
+        normalizedTvl,
+        tvl,
+      };
+    })
+    .sort(byPointsDescending);
+
+/**
+ * Writes a referral report to a JSON file and a CSV file. The CSV has a TVL column for each token.
+ * @param {string} reportPath The path of the report, without an extension
+ * @param {Object} report
+ * @param {string} report.address The address of the indexed contract
+ * @param {number} report.blockNumber The last indexed block
+ * @param {Object[]} report.referrers The referrers from getReferralReport
+ * @returns {{json: string, csv: string}} The paths of the files written
+ */
+const writeReferralReport = (
+  reportPath,
+  { address, blockNumber, referrers }
+) => {
+  const tokens = [
+    ...new Set(referrers.flatMap(({ tvl }) => Object.keys(tvl))),
+  ].sort();
+  return writeReport(
+    reportPath,
+    { address, blockNumber, referrers },
+    [...REPORT_COLUMNS, ...tokens],
+    referrers.map((referrer) => [
+      ...REPORT_COLUMNS.map((column) => referrer[column]),
+      ...tokens.map((token) => referrer.tvl[token] ?? 0n),
+    ])
+  );
+};
+
+export {
+  clearReferrals,
+  creditReferral,
+  getReferralReport,
+  reduceReferrals,
+  writeReferralReport,
+};
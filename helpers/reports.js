@@ -0,0 +1,25 @@
+import fs from "fs";
+import path from "path";
+import { bigIntReplacer } from "./manifest.js";
+
+/**
+ * Writes a report to a JSON file, storing bigints as decimal strings, and its rows to a CSV file
+ * @param {string} reportPath The path of the report, without an extension
+ * @param {Object} report The contents of the JSON file
+ * @param {string[]} columns The header of the CSV file
+ * @param {any[][]} rows The cells of each CSV row, in the order of columns
+ * @returns {{json: string, csv: string}} The paths of the files written
+ */
+const writeReport = (reportPath, report, columns, rows) => {
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+  const json = `${reportPath}.json`;
+  const csv = `${reportPath}.csv`;
+  fs.writeFileSync(json, JSON.stringify(report, bigIntReplacer, 2) + "\n");
+  fs.writeFileSync(
+    csv,
+    [columns, ...rows].map((row) => row.map(String).join(",")).join("\n") + "\n"
+  );
+  return { json, csv };
+};
+
+export { writeReport };
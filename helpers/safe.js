@@ -0,0 +1,156 @@
+import { Interface, keccak256, toUtf8Bytes } from "ethers";
+import fs from "fs";
+
+/**
+ * The Transaction Builder version batches are written for
+ */
+const TX_BUILDER_VERSION = "1.16.5";
+
+/**
+ * Serializes a value the way the Safe Transaction Builder does before checksumming a batch.
+ * This is a port of serializeJSONObject from the Transaction Builder: each object is written as its sorted keys as a JSON array, followed by each value and a comma, such as {["a","b"]1,2,}
+ * @param {any} value The value to serialize
+ * @returns {string} The serialized value
+ */
+const serializeJSONObject = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(serializeJSONObject).join(",")}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${JSON.stringify(keys)}${keys
+      .map((key) => `${serializeJSONObject(value[key])},`)
+      .join("")}}`;
+  }
+  // The Transaction Builder serializes undefined values as null
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Calculates the checksum the Safe Transaction Builder uses to detect modified batches, ignoring the batch's name
+ * @param {Object} batch The batch, without a checksum
+ * @returns {string} The checksum
+ */
+const calculateChecksum = (batch) =>
+  keccak256(
+    toUtf8Bytes(
+      serializeJSONObject({ ...batch, meta: { ...batch.meta, name: null } })
+    )
+  );
+
+/**
+ * Checks that a batch's checksum matches its contents
+ * @param {Object} batch The batch to check
+ * @returns {boolean} True if the checksum is valid
+ */
+const isValidChecksum = (batch) => {
+  const { checksum, ...meta } = batch.meta;
+  return calculateChecksum({ ...batch, meta }) === checksum;
+};
+
+/**
+ * Encodes a contract call as a Safe Transaction Builder transaction
+ * @param {any[]} abi The ABI of the contract being called
+ * @param {string} to The address of the contract being called
+ * @param {string} method The name of the method to call
+ * @param {any[]} args The arguments of the call
+ * @returns {Object} The Transaction Builder transaction
+ */
+const buildSafeTransaction = (abi, to, method, args) => {
+  const contractInterface = new Interface(abi);
+  const fragment = contractInterface.getFunction(method);
+  return {
+    to,
+    value: "0",
+    data: contractInterface.encodeFunctionData(fragment, args),
+    contractMethod: {
+      inputs: fragment.inputs.map(({ name, type }) => ({
+        name,
+        type,
+        internalType: type,
+      })),
+      name: fragment.name,
+      payable: fragment.payable,
+    },
+    contractInputsValues: Object.fromEntries(
+      fragment.inputs.map(({ name }, i) => [name, String(args[i])])
+    ),
+  };
+};
+
+/**
+ * Loads a Safe Transaction Builder batch, or creates an empty one if the file doesn't exist
+ * @param {string} batchPath The path of the batch file
+ * @param {Object} options
+ * @param {number|string} options.chainId The chain the batch is for
+ * @param {string} [options.safeAddress] The Safe the batch will be executed by
+ * @param {string} [options.name] The name of the batch
+ * @returns {Object} The batch
+ */
+const loadSafeBatch = (batchPath, { chainId, safeAddress = "", name }) => {
+  if (!fs.existsSync(batchPath)) {
+    return {
+      version: "1.0",
+      chainId: String(chainId),
+      createdAt: Date.now(),
+      meta: {
+        name,
+        description: "",
+        txBuilderVersion: TX_BUILDER_VERSION,
+        createdFromSafeAddress: safeAddress,
+        createdFromOwnerAddress: "",
+      },
+      transactions: [],
+    };
+  }
+  const batch = JSON.parse(fs.readFileSync(batchPath, "utf8"));
+  if (batch.chainId !== String(chainId)) {
+    throw new Error(
+      `${batchPath} is a batch for chain ${batch.chainId}, not ${chainId}`
+    );
+  }
+  if (batch.meta.checksum && !isValidChecksum(batch)) {
+    throw new Error(`${batchPath} has been modified since it was written`);
+  }
+  return batch;
+};
+
+/**
+ * Adds a transaction to a Safe Transaction Builder batch file, creating the file if needed.
+ * The batch's description holds a numbered, human-readable summary of every transaction in it.
+ * @param {string} batchPath The path of the batch file
+ * @param {Object} transaction The transaction to add, from buildSafeTransaction
+ * @param {string} summary A human-readable summary of the transaction
+ * @param {Object} options
+ * @param {number|string} options.chainId The chain the batch is for
+ * @param {string} [options.safeAddress] The Safe the batch will be executed by
+ * @param {string} [options.name] The name of the batch, if it is being created
+ * @returns {Object} The updated batch
+ */
+const appendToSafeBatch = (batchPath, transaction, summary, options) => {
+  const { meta, ...batch } = loadSafeBatch(batchPath, options);
+  const { checksum, ...metaWithoutChecksum } = meta;
+  batch.transactions.push(transaction);
+  const description = [
+    metaWithoutChecksum.description,
+    `${batch.transactions.length}. ${summary}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+  const updated = {
+    ...batch,
+    meta: { ...metaWithoutChecksum, description },
+  };
+  updated.meta.checksum = calculateChecksum(updated);
+  fs.writeFileSync(batchPath, JSON.stringify(updated, null, 2) + "\n");
+  return updated;
+};
+
+export {
+  appendToSafeBatch,
+  buildSafeTransaction,
+  calculateChecksum,
+  isValidChecksum,
+  loadSafeBatch,
+  serializeJSONObject,
+};
@@ -0,0 +1,176 @@
+import {
+  formatEther,
+  formatUnits,
+  parseEther,
+  parseUnits,
+  toQuantity,
+} from "ethers";
+import fs from "fs";
+import hre from "hardhat";
+import logger from "not-a-log";
+import {
+  deploymentLogger,
+  getDeployer,
+  getDeploymentSteps,
+  getTargetNetwork,
+} from "./deployment.js";
+import { bigIntReplacer } from "./manifest.js";
+
+/**
+ * The gas price, in gwei, used to estimate deployment costs when DRY_RUN_GAS_PRICE isn't set
+ */
+const DEFAULT_DRY_RUN_GAS_PRICE = "30";
+
+/**
+ * The balance given to the deployer during a dry run, if the state snapshot doesn't provide one
+ */
+const DEFAULT_DEPLOYER_BALANCE = parseEther("1000");
+
+/**
+ * Loads a state snapshot into the in-process Hardhat network
+ * @param {string} snapshotPath The path to a JSON snapshot of the form
+ * `{ "timestamp"?: number, "accounts": { [address]: { "balance"?, "nonce"?, "code"?, "storage"?: { [slot]: value } } } }`
+ * @returns {Promise<Object<string, Object>>} The accounts that were loaded
+ */
+const loadStateSnapshot = async (snapshotPath) => {
+  const { timestamp, accounts = {} } = JSON.parse(
+    fs.readFileSync(snapshotPath, "utf8")
+  );
+  for (const [address, account] of Object.entries(accounts)) {
+    if (account.balance !== undefined) {
+      await hre.network.provider.send("hardhat_setBalance", [
+        address,
+        toQuantity(account.balance),
+      ]);
+    }
+    if (account.nonce !== undefined) {
+      await hre.network.provider.send("hardhat_setNonce", [
+        address,
+        toQuantity(account.nonce),
+      ]);
+    }
+    if (account.code !== undefined) {
+      await hre.network.provider.send("hardhat_setCode", [
+        address,
+        account.code,
+      ]);
+    }
+    for (const [slot, value] of Object.entries(account.storage ?? {})) {
+      await hre.network.provider.send("hardhat_setStorageAt", [
+        address,
+        toQuantity(slot),
+        value,
+      ]);
+    }
+  }
+  if (timestamp !== undefined) {
+    await hre.network.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+  }
+  return accounts;
+};
+
+/**
+ * Forks the in-process Hardhat network from the network being simulated, so the dry run starts from its real state.
+ * DRY_RUN_FORK is either `true`, to fork from the URL the Hardhat config has for the network, or the RPC URL to fork from.
+ * DRY_RUN_FORK_BLOCK optionally pins the block to fork from, which otherwise is the latest.
+ * @param {string} network The name of the network being simulated
+ * @returns {Promise<number>} The number of the block forked from
+ */
+const forkTargetNetwork = async (network) => {
+  const jsonRpcUrl =
+    process.env.DRY_RUN_FORK === "true"
+      ? hre.config.networks[network]?.url
+      : process.env.DRY_RUN_FORK;
+  if (!jsonRpcUrl) {
+    throw new Error(
+      `Can't fork ${network}, the Hardhat config has no URL for it. Set DRY_RUN_FORK to the RPC URL to fork from.`
+    );
+  }
+  const forking = { jsonRpcUrl };
+  if (process.env.DRY_RUN_FORK_BLOCK) {
+    forking.blockNumber = Number(process.env.DRY_RUN_FORK_BLOCK);
+  }
+  await hre.network.provider.send("hardhat_reset", [{ forking }]);
+  return hre.ethers.provider.getBlockNumber();
+};
+
+/**
+ * Prepares the in-process Hardhat network for a dry run of a deployment.
+ * Forks the network being simulated if DRY_RUN_FORK is set, then loads the state snapshot at DRY_RUN_STATE, if provided, and funds the deployer if the snapshot didn't.
+ * @returns {Promise<{network: string, deployer: string}>} The network being simulated and the address of the deployer
+ */
+const startDryRun = async () => {
+  if (hre.network.name !== "hardhat") {
+    throw new Error(
+      `Dry runs are simulated on the in-process hardhat network, not ${hre.network.name}. Use --network hardhat and set DRY_RUN_NETWORK to the network to simulate.`
+    );
+  }
+  const network = getTargetNetwork();
+  if (process.env.DRY_RUN_FORK) {
+    const blockNumber = await forkTargetNetwork(network);
+    deploymentLogger.dry_run(`Forked ${network} at block ${blockNumber}`);
+  }
+  let accounts = {};
+  if (process.env.DRY_RUN_STATE) {
+    accounts = await loadStateSnapshot(process.env.DRY_RUN_STATE);
+    deploymentLogger.dry_run(
+      `Loaded ${Object.keys(accounts).length} accounts from ${
+        process.env.DRY_RUN_STATE
+      }`
+    );
+  }
+  const deployer = await (await getDeployer()).getAddress();
+  const snapshotAccount = Object.entries(accounts).find(
+    ([address]) => address.toLowerCase() === deployer.toLowerCase()
+  );
+  if (snapshotAccount?.[1].balance === undefined) {
+    await hre.network.provider.send("hardhat_setBalance", [
+      deployer,
+      toQuantity(DEFAULT_DEPLOYER_BALANCE),
+    ]);
+  }
+  deploymentLogger.dry_run(
+    `Simulating deployment to ${network} from ${deployer}`
+  );
+  return { network, deployer };
+};
+
+/**
+ * Logs the gas used by each deployment step and what the deployment would cost at DRY_RUN_GAS_PRICE
+ * @param {Object} [postDeployState] The state of the deployed contracts once all steps are complete
+ * @returns {{totalGas: bigint, totalCost: bigint, gasPrice: bigint}} The totals of the report
+ */
+const logDryRunReport = (postDeployState = {}) => {
+  const gasPrice = parseUnits(
+    process.env.DRY_RUN_GAS_PRICE || DEFAULT_DRY_RUN_GAS_PRICE,
+    "gwei"
+  );
+  const steps = getDeploymentSteps();
+  let totalGas = 0n;
+  const report = {};
+  for (const [step, { contractAddress, gasUsed }] of Object.entries(steps)) {
+    totalGas += gasUsed;
+    report[step] = {
+      address: contractAddress,
+      gasUsed: gasUsed.toString(),
+      "cost (ETH)": formatEther(gasUsed * gasPrice),
+    };
+  }
+  const totalCost = totalGas * gasPrice;
+  deploymentLogger.dry_run("Gas Report:\r\n" + logger.table(report));
+  deploymentLogger.dry_run(
+    `Total: ${totalGas} gas, ${formatEther(totalCost)} ETH at ${formatUnits(
+      gasPrice,
+      "gwei"
+    )} gwei`
+  );
+  for (const [contractName, state] of Object.entries(postDeployState)) {
+    deploymentLogger.dry_run(
+      `${contractName} state after deployment:\r\n` +
+        JSON.stringify(state, bigIntReplacer, 2)
+    );
+  }
+  return { totalGas, totalCost, gasPrice };
+};
+
+export { forkTargetNetwork, loadStateSnapshot, logDryRunReport, startDryRun };
@@ -0,0 +1,136 @@
+import { StandardMerkleTree } from "@openzeppelin/merkle-tree";
+import fs from "fs";
+import path from "path";
+import { bigIntReplacer } from "./manifest.js";
+
+/**
+ * The ABI types of each leaf in the points tree, as they would be passed to abi.encode when verifying a claim on chain
+ */
+const LEAF_ENCODING = ["address", "uint256"];
+
+/**
+ * Reads every user's final points from the contract at a block after deposits were stopped
+ * @param {ethers.Contract} contract The OmronDeposit contract
+ * @param {string[]} users The users to snapshot, such as every user seen by the indexer
+ * @param {number} blockNumber The block to snapshot at
+ * @returns {Promise<{depositStopTime: bigint, points: Object<string, bigint>}>} The deposit stop time and the points of every user with a non-zero balance
+ */
+const snapshotPoints = async (contract, users, blockNumber) => {
+  const blockTag = blockNumber;
+  const depositStopTime = await contract.depositStopTime({ blockTag });
+  if (depositStopTime === 0n) {
+    throw new Error(
+      `Deposits had not been stopped at block ${blockNumber}, so points are not final`
+    );
+  }
+  const points = {};
+  for (const user of users) {
+    const balance = await contract.calculatePoints(user, { blockTag });
+    if (balance !== 0n) {
+      points[user] = balance;
+    }
+  }
+  return { depositStopTime, points };
+};
+
+/**
+ * Builds a Merkle tree of (address, points) leaves.
+ * Leaves are hashed as keccak256(bytes.concat(keccak256(abi.encode(user, points)))), so claims can be verified on chain with OpenZeppelin's MerkleProof.
+ * @param {Object<string, bigint>} points The points of each user
+ * @returns {StandardMerkleTree} The Merkle tree
+ */
+const buildPointsTree = (points) =>
+  StandardMerkleTree.of(
+    Object.entries(points).map(([user, balance]) => [user, balance.toString()]),
+    LEAF_ENCODING
+  );
+
+/**
+ * Builds the publishable distribution of a points tree, holding the root and every user's points and proof
+ * @param {StandardMerkleTree} tree The points tree
+ * @param {Object} metadata Details of the snapshot, such as the contract, chain and block, which are included in the distribution
+ * @returns {Object} The distribution
+ */
+const getPointsDistribution = (tree, metadata) => {
+  const claims = {};
+  let totalPoints = 0n;
+  for (const [i, [user, points]] of tree.entries()) {
+    claims[user] = { points, proof: tree.getProof(i) };
+    totalPoints += BigInt(points);
+  }
+  return {
+    ...metadata,
+    root: tree.root,
+    leafEncoding: LEAF_ENCODING,
+    totalPoints: totalPoints.toString(),
+    claims,
+  };
+};
+
+/**
+ * Writes a points distribution to disk
+ * @param {string} distributionPath The path of the distribution file
+ * @param {Object} distribution The distribution, from getPointsDistribution
+ */
+const savePointsDistribution = (distributionPath, distribution) => {
+  fs.mkdirSync(path.dirname(distributionPath), { recursive: true });
+  fs.writeFileSync(
+    distributionPath,
+    JSON.stringify(distribution, bigIntReplacer, 2) + "\n"
+  );
+};
+
+/**
+ * Verifies that a user's points are part of the tree with the provided root
+ * @param {string} root The root of the points tree
+ * @param {string} user The address of the user
+ * @param {bigint|string} points The user's points
+ * @param {string[]} proof The user's proof
+ * @returns {boolean} True if the proof is valid
+ */
+const verifyPointsClaim = (root, user, points, proof) => {
+  try {
+    return StandardMerkleTree.verify(
+      root,
+      LEAF_ENCODING,
+      [user, points.toString()],
+      proof
+    );
+  } catch {
+    // Malformed proofs and leaves can't be part of the tree
+    return false;
+  }
+};
+
+/**
+ * Verifies every claim in a distribution against its root, and that the claims add up to its total
+ * @param {Object} distribution The distribution, as written by savePointsDistribution
+ * @returns {string[]} A description of each problem found, empty if the distribution is valid
+ */
+const verifyPointsDistribution = ({ root, totalPoints, claims }) => {
+  const problems = Object.entries(claims)
+    .filter(
+      ([user, { points, proof }]) =>
+        !verifyPointsClaim(root, user, points, proof)
+    )
+    .map(([user]) => `The proof for ${user} is invalid`);
+  const sum = Object.values(claims).reduce(
+    (total, { points }) => total + BigInt(points),
+    0n
+  );
+  if (sum !== BigInt(totalPoints)) {
+    problems.push(
+      `totalPoints is ${totalPoints}, but the claims sum to ${sum}`
+    );
+  }
+  return problems;
+};
+
+export {
+  buildPointsTree,
+  getPointsDistribution,
+  savePointsDistribution,
+  snapshotPoints,
+  verifyPointsClaim,
+  verifyPointsDistribution,
+};
@@ -1,4 +1,4 @@
-import { ethers } from "hardhat";
+import hre from "hardhat";
 
 /**
  * Signs the provided message with the provided wallet
@@ -9,13 +9,106 @@ import { ethers } from "hardhat";
 const signMessage = async (wallet, message) => {
   const signature = await wallet.signMessage(message);
 
-  return ethers.Signature.from(signature);
+  return hre.ethers.Signature.from(signature);
+};
+
+/**
+ * The canonical Permit2 address, which is the same on every chain
+ */
+const PERMIT2_ADDRESS = "0x000000000022D473030F116dDEE9F6B43aC78BA3";
+
+/**
+ * The subset of the EIP-2612 ABI needed to build a permit
+ */
+const PERMIT_ABI = [
+  "function name() view returns (string)",
+  "function nonces(address owner) view returns (uint256)",
+];
+
+/**
+ * Signs an EIP-2612 permit for a token, using the token's name and the signer's current nonce
+ * @param {ethers.Signer} signer The owner of the tokens
+ * @param {string} token The address of the token
+ * @param {string} spender The address allowed to spend the tokens
+ * @param {bigint} value The amount allowed
+ * @param {bigint} deadline The time after which the permit can't be used
+ * @param {Object} [options]
+ * @param {string} [options.version] The token's EIP-712 domain version
+ * @returns {Promise<hre.ethers.Signature>} Unpacked signature
+ */
+const signPermit = async (
+  signer,
+  token,
+  spender,
+  value,
+  deadline,
+  { version = "1" } = {}
+) => {
+  const permitToken = new hre.ethers.Contract(token, PERMIT_ABI, signer);
+  const owner = await signer.getAddress();
+  const { chainId } = await signer.provider.getNetwork();
+  const signature = await signer.signTypedData(
+    {
+      name: await permitToken.name(),
+      version,
+      chainId,
+      verifyingContract: token,
+    },
+    {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    },
+    {
+      owner,
+      spender,
+      value,
+      nonce: await permitToken.nonces(owner),
+      deadline,
+    }
+  );
+
+  return hre.ethers.Signature.from(signature);
+};
+
+/**
+ * Signs a Permit2 PermitTransferFrom, allowing the spender to transfer tokens once through Permit2
+ * @param {ethers.Signer} signer The owner of the tokens, who must have approved Permit2 to spend them
+ * @param {string} token The address of the token
+ * @param {string} spender The address allowed to call Permit2 with the signature
+ * @param {bigint} amount The amount allowed
+ * @param {bigint} nonce An unused Permit2 nonce of the signer
+ * @param {bigint} deadline The time after which the signature can't be used
+ * @returns {Promise<string>} The signature
+ */
+const signPermit2 = async (signer, token, spender, amount, nonce, deadline) => {
+  const { chainId } = await signer.provider.getNetwork();
+  return signer.signTypedData(
+    { name: "Permit2", chainId, verifyingContract: PERMIT2_ADDRESS },
+    {
+      PermitTransferFrom: [
+        { name: "permitted", type: "TokenPermissions" },
+        { name: "spender", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+      TokenPermissions: [
+        { name: "token", type: "address" },
+        { name: "amount", type: "uint256" },
+      ],
+    },
+    { permitted: { token, amount }, spender, nonce, deadline }
+  );
 };
 
 /**
  * Gets balances of all provided addresses
  * @param {string[]} addresses A list of addresses to get balances for
- * @param {ethers.Contract} erc20 An ERC20 contract instance
+ * @param {hre.ethers.Contract} erc20 An ERC20 contract instance
  * @returns A list of balances returned from contract calls
  */
 const getBalances = (addresses, erc20) =>
@@ -26,11 +119,9 @@ const getBalances = (addresses, erc20) =>
  * @param {string[]} addresses A list of addresses to check balances on
  * @returns BigInt[] of balances
  */
-const getEthBalances = (accounts) =>
+const getEthBalances = (addresses) =>
   Promise.all(
-    accounts.map((account) =>
-      BigInt(ethers.getDefaultProvider().getBalance(account))
-    )
+    addresses.map((address) => hre.ethers.provider.getBalance(address))
   );
 
 /**
@@ -39,6 +130,14 @@ const getEthBalances = (accounts) =>
  * @returns A random hex string as long as {length}
  */
 const randomHex = (length) =>
-  ethers.hexlify(ethers.randomBytes(Math.min((length - 2) / 2)));
+  hre.ethers.hexlify(hre.ethers.randomBytes(Math.min((length - 2) / 2)));
 
-export { getBalances, getEthBalances, randomHex, signMessage };
+export {
+  PERMIT2_ADDRESS,
+  getBalances,
+  getEthBalances,
+  randomHex,
+  signMessage,
+  signPermit,
+  signPermit2,
+};
@@ -1,47 +1,221 @@
+import { parseUnits } from "ethers";
 import hre from "hardhat";
+import { ROLES } from "../helpers/admin.js";
+import { checkDepositDeployment, logCheckResults } from "../helpers/checks.js";
+import { getRoleHolders, loadDeployConfig } from "../helpers/config.js";
 import {
   deployContract,
   deploymentLogger,
+  executeTransaction,
+  getDeployer,
+  getTargetNetwork,
+  isDryRun,
   logDeployedContracts,
 } from "../helpers/deployment.js";
+import { logDryRunReport, startDryRun } from "../helpers/simulation.js";
 
-const tokens = {
-  mainnet: {
-    WETH: "0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2",
-    ezETH: "0xbf5495Efe5DB9ce00f80364C8B423567e58d2110",
-  },
-  sepolia: {
-    WETH: "0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14",
-    ezETH: "0x8b78223e2FD9FEa8D30F1A6E36D7A1dEfab28c5e",
-  },
-  localhost: {},
+/**
+ * Reads the state of a deployed OmronDeposit contract that the deployment is expected to set
+ * @param {ethers.Contract} contract The OmronDeposit contract
+ * @param {string[]} accounts The accounts to report the roles of, since AccessControl can't list the holders of a role
+ * @returns {Promise<{roles: Object<string, string[]>, weth: string, paused: boolean, claimManager: string, timelockDelay: bigint, whitelist: string[], depositLimits: Object<string, {maxTotalDeposits: bigint, maxUserDeposits: bigint, minDepositAmount: bigint}>, boostEpochs: {startTime: bigint, multiplier: bigint}[]}>} The contract's state
+ */
+const getDepositState = async (contract, accounts) => {
+  const roles = {};
+  for (const [name, role] of Object.entries(ROLES)) {
+    roles[name] = [];
+    for (const account of accounts) {
+      if (await contract.hasRole(role, account)) {
+        roles[name].push(account);
+      }
+    }
+  }
+  return {
+    roles,
+    weth: await contract.weth(),
+    paused: await contract.paused(),
+    claimManager: await contract.claimManager(),
+    timelockDelay: await contract.timelockDelay(),
+    whitelist: [...(await contract.getAllWhitelistedTokens())],
+    depositLimits: Object.fromEntries(
+      await Promise.all(
+        (
+          await contract.getAllWhitelistedTokens()
+        ).map(async (token) => [
+          token,
+          {
+            maxTotalDeposits: await contract.maxTotalDeposits(token),
+            maxUserDeposits: await contract.maxUserDeposits(token),
+            minDepositAmount: await contract.minDepositAmounts(token),
+          },
+        ])
+      )
+    ),
+    boostEpochs: (await contract.getBoostEpochs()).map(
+      ({ startTime, multiplier }) => ({ startTime, multiplier })
+    ),
+  };
 };
 
 async function main() {
   deploymentLogger.time("Deployment Time");
 
-  deploymentLogger[process.env.DRY_RUN ? "dry_run" : "start"](
-    "Deploying contracts..."
+  deploymentLogger[isDryRun() ? "dry_run" : "start"]("Deploying contracts...");
+  if (isDryRun()) {
+    await startDryRun();
+  }
+  const network = getTargetNetwork();
+  const config = loadDeployConfig(network);
+  deploymentLogger.info(
+    `Deployment config for ${network}:\r\n` + JSON.stringify(config, null, 2)
   );
-  const wallets = await hre.ethers.getSigners(10);
+  const deployer = await getDeployer();
+  const roleHolders = getRoleHolders(config, deployer.address);
+
   // Deploy contracts here using deployContract
-  let tokenAddresses = Object.values(tokens[hre.network.name]);
-  if (hre.network.name === "localhost") {
-    const erc20Deployments = [];
-    for (let i = 0; i < 5; i++) {
-      erc20Deployments[i] = await deployContract("tstETH", [
-        ethers.parseEther("1000000"),
-        18,
-      ]);
-    }
-    tokenAddresses = erc20Deployments.map((d) => d.address);
+  const whitelist = [...config.tokens];
+  for (let i = 0; i < config.mockTokens; i++) {
+    const { address } = await deployContract(
+      "tstETH",
+      [ethers.parseEther("1000000"), 18],
+      { id: `tstETH ${i}` }
+    );
+    whitelist.push({
+      address,
+      symbol: "tstETH",
+      decimals: 18,
+      multiplier: "1",
+    });
+  }
+
+  let weth = config.weth;
+  if (!weth) {
+    ({ address: weth } = await deployContract("WETH9", []));
+    whitelist.push({
+      address: weth,
+      symbol: "WETH",
+      decimals: 18,
+      multiplier: "1",
+    });
   }
 
-  const { contract } = await deployContract("OmronDeposit", [
-    wallets[0].address,
-    tokenAddresses,
+  // The deployer holds every role until the contract has been set up, then hands them over to the configured holders
+  const { contract: deployedContract } = await deployContract("OmronDeposit", [
+    deployer.address,
+    whitelist.map((token) => token.address),
+    weth,
   ]);
-  await contract.pause();
+  const contract = deployedContract.connect(deployer);
+
+  // Each step checks the contract's state first, since it may have been completed by a previous, partially completed run
+  for (const { address, multiplier } of whitelist) {
+    if (
+      (await contract.tokenMultipliers(address)) !==
+      hre.ethers.parseEther(multiplier)
+    ) {
+      await executeTransaction(
+        `OmronDeposit.setTokenMultiplier(${address})`,
+        contract.setTokenMultiplier(address, hre.ethers.parseEther(multiplier))
+      );
+    }
+  }
+  for (const {
+    address,
+    decimals,
+    maxTotalDeposits = "0",
+    maxUserDeposits = "0",
+    minDepositAmount = "0",
+  } of whitelist) {
+    const limits = [maxTotalDeposits, maxUserDeposits, minDepositAmount].map(
+      (amount) => parseUnits(amount, decimals)
+    );
+    const currentLimits = [
+      await contract.maxTotalDeposits(address),
+      await contract.maxUserDeposits(address),
+      await contract.minDepositAmounts(address),
+    ];
+    if (limits.some((limit, i) => limit !== currentLimits[i])) {
+      await executeTransaction(
+        `OmronDeposit.setDepositLimits(${address})`,
+        contract.setDepositLimits(address, ...limits)
+      );
+    }
+  }
+  // Epochs can only be appended, so any already scheduled are the start of the configured schedule
+  const scheduledEpochs = (await contract.getBoostEpochs()).length;
+  for (const { startTime, multiplier } of config.boostEpochs.slice(
+    scheduledEpochs
+  )) {
+    await executeTransaction(
+      `OmronDeposit.addBoostEpoch(${startTime})`,
+      contract.addBoostEpoch(startTime, hre.ethers.parseEther(multiplier))
+    );
+  }
+  if (
+    config.claimManager &&
+    (await contract.claimManager()) !==
+      hre.ethers.getAddress(config.claimManager)
+  ) {
+    await executeTransaction(
+      "OmronDeposit.setClaimManager",
+      contract.setClaimManager(config.claimManager)
+    );
+  }
+  if (config.pause && !(await contract.paused())) {
+    await executeTransaction("OmronDeposit.pause", contract.pause());
+  }
+  // Timelocked settings can only be changed directly while the delay is zero, so it is set once they are
+  if ((await contract.timelockDelay()) !== BigInt(config.timelockDelay)) {
+    await executeTransaction(
+      "OmronDeposit.setTimelockDelay",
+      contract.setTimelockDelay(config.timelockDelay)
+    );
+  }
+  for (const [name, holders] of Object.entries(roleHolders)) {
+    for (const holder of holders) {
+      if (!(await contract.hasRole(ROLES[name], holder))) {
+        await executeTransaction(
+          `OmronDeposit.grantRole(${name}, ${holder})`,
+          contract.grantRole(ROLES[name], holder)
+        );
+      }
+    }
+  }
+  // The admin role is renounced last, since it's needed to grant the others
+  for (const name of Object.keys(ROLES).reverse()) {
+    if (
+      !roleHolders[name].includes(deployer.address) &&
+      (await contract.hasRole(ROLES[name], deployer.address))
+    ) {
+      await executeTransaction(
+        `OmronDeposit.renounceRole(${name})`,
+        contract.renounceRole(ROLES[name], deployer.address)
+      );
+    }
+  }
+
+  if (isDryRun()) {
+    logDryRunReport({
+      OmronDeposit: await getDepositState(contract, [
+        ...new Set([deployer.address, ...Object.values(roleHolders).flat()]),
+      ]),
+    });
+  }
+
+  const failures = await checkDepositDeployment(contract, {
+    roles: roleHolders,
+    deployer: deployer.address,
+    weth,
+    paused: config.pause,
+    claimManager: config.claimManager,
+    timelockDelay: config.timelockDelay,
+    tokens: whitelist,
+    boostEpochs: config.boostEpochs,
+  });
+  logCheckResults("OmronDeposit", failures);
+  if (failures.length > 0) {
+    throw new Error("OmronDeposit failed post-deploy checks");
+  }
 }
 let wasError = false;
 main()
@@ -49,7 +223,7 @@ main()
     deploymentLogger.timeEnd("Deployment Time");
     deploymentLogger
       .scope("Deployment")
-      [process.env.DRY_RUN ? "dry_run" : "start"](`All contracts deployed.`);
+      [isDryRun() ? "dry_run" : "start"](`All contracts deployed.`);
   })
   .catch((error) => {
     deploymentLogger.fatal("Deployments Failed\n", error);
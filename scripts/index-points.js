@@ -0,0 +1,58 @@
+import { formatEther } from "ethers";
+import logger from "not-a-log";
+import signale from "signale-logger";
+import {
+  getLeaderboard,
+  indexEvents,
+  openDepositIndex,
+  saveIndexerState,
+} from "../helpers/indexer.js";
+
+const indexerLogger = new signale.Signale({ scope: "Indexer" });
+
+async function main() {
+  const { contract, state, statePath } = await openDepositIndex();
+  indexerLogger.info(`Indexing from block ${state.lastBlock + 1}`);
+
+  await indexEvents(contract, state, {
+    toBlock: process.env.INDEX_TO_BLOCK
+      ? Number(process.env.INDEX_TO_BLOCK)
+      : undefined,
+    onBatch: (batchState) => {
+      saveIndexerState(statePath, batchState);
+      indexerLogger.pending(`Indexed up to block ${batchState.lastBlock}`);
+    },
+  });
+  saveIndexerState(statePath, state);
+  indexerLogger.complete(
+    `Indexed ${Object.keys(state.users).length} users up to block ${
+      state.lastBlock
+    }, saved to ${statePath}`
+  );
+
+  const leaderboard = getLeaderboard(state).slice(
+    0,
+    Number(process.env.LEADERBOARD_SIZE ?? 10)
+  );
+  if (leaderboard.length) {
+    indexerLogger.info(
+      "Leaderboard:\r\n" +
+        logger.table(
+          leaderboard.map(({ address, points, pointsPerHour }, i) => ({
+            rank: i + 1,
+            address,
+            points: formatEther(points),
+            pointsPerHour: formatEther(pointsPerHour),
+          }))
+        )
+    );
+  }
+}
+
+let wasError = false;
+main()
+  .catch((error) => {
+    indexerLogger.fatal("Indexing Failed\n", error);
+    wasError = true;
+  })
+  .finally(() => process.exit(+wasError));
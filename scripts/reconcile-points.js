@@ -0,0 +1,72 @@
+import { getAddress } from "ethers";
+import hre from "hardhat";
+import logger from "not-a-log";
+import path from "path";
+import signale from "signale-logger";
+import {
+  getIndexerStatePath,
+  getStateAtBlock,
+  openDepositIndex,
+} from "../helpers/indexer.js";
+import {
+  reconcilePoints,
+  writeReconciliationReport,
+} from "../helpers/reconcile.js";
+
+const reconcileLogger = new signale.Signale({ scope: "Reconcile" });
+
+async function main() {
+  const { contract, state } = await openDepositIndex();
+  const blockNumber = process.env.RECONCILE_BLOCK
+    ? Number(process.env.RECONCILE_BLOCK)
+    : await hre.ethers.provider.getBlockNumber();
+  const users = process.env.RECONCILE_USERS?.split(",").map((user) =>
+    getAddress(user.trim())
+  );
+
+  reconcileLogger.await(`Indexing up to block ${blockNumber}`);
+  const model = await getStateAtBlock(contract, state, blockNumber);
+  reconcileLogger.await(
+    `Reconciling ${
+      users?.length ?? Object.keys(model.users).length
+    } users at block ${blockNumber}`
+  );
+  const mismatches = await reconcilePoints(contract, model, { users });
+
+  const reportPath =
+    process.env.RECONCILE_OUTPUT ||
+    path.join(
+      path.dirname(getIndexerStatePath()),
+      `reconciliation-${hre.network.name}-${blockNumber}`
+    );
+  const { json, csv } = writeReconciliationReport(reportPath, {
+    address: state.address,
+    blockNumber,
+    mismatches,
+  });
+  reconcileLogger.info(`Report written to ${json} and ${csv}`);
+
+  if (mismatches.length === 0) {
+    reconcileLogger.success("The indexed points match the contract");
+    return;
+  }
+  reconcileLogger.error(
+    `${mismatches.length} mismatches found:\r\n` +
+      logger.table(
+        mismatches.map((mismatch) => ({
+          ...mismatch,
+          expected: String(mismatch.expected),
+          actual: String(mismatch.actual),
+        }))
+      )
+  );
+  throw new Error("The indexed points don't match the contract");
+}
+
+let wasError = false;
+main()
+  .catch((error) => {
+    reconcileLogger.fatal("Reconciliation Failed\n", error);
+    wasError = true;
+  })
+  .finally(() => process.exit(+wasError));
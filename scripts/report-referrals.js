@@ -0,0 +1,67 @@
+import { formatEther } from "ethers";
+import hre from "hardhat";
+import logger from "not-a-log";
+import path from "path";
+import signale from "signale-logger";
+import {
+  getIndexerStatePath,
+  indexEvents,
+  openDepositIndex,
+  saveIndexerState,
+} from "../helpers/indexer.js";
+import {
+  getReferralReport,
+  writeReferralReport,
+} from "../helpers/referrals.js";
+
+const referralLogger = new signale.Signale({ scope: "Referrals" });
+
+async function main() {
+  const { contract, state, statePath } = await openDepositIndex();
+  referralLogger.await(`Indexing from block ${state.lastBlock + 1}`);
+  await indexEvents(contract, state, {
+    onBatch: (batchState) => saveIndexerState(statePath, batchState),
+  });
+  saveIndexerState(statePath, state);
+
+  const referrers = getReferralReport(state);
+  const reportPath =
+    process.env.REFERRALS_OUTPUT ||
+    path.join(
+      path.dirname(getIndexerStatePath()),
+      `referrals-${hre.network.name}-${state.lastBlock}`
+    );
+  const { json, csv } = writeReferralReport(reportPath, {
+    address: state.address,
+    blockNumber: state.lastBlock,
+    referrers,
+  });
+  referralLogger.info(`Report written to ${json} and ${csv}`);
+
+  if (referrers.length === 0) {
+    referralLogger.info(`No referred deposits up to block ${state.lastBlock}`);
+    return;
+  }
+  referralLogger.info(
+    `Referrals up to block ${state.lastBlock}:\r\n` +
+      logger.table(
+        referrers.map(
+          ({ referrer, users, points, pointsPerHour, normalizedTvl }) => ({
+            referrer,
+            users,
+            points: formatEther(points),
+            pointsPerHour: formatEther(pointsPerHour),
+            tvl: formatEther(normalizedTvl),
+          })
+        )
+      )
+  );
+}
+
+let wasError = false;
+main()
+  .catch((error) => {
+    referralLogger.fatal("Referral Report Failed\n", error);
+    wasError = true;
+  })
+  .finally(() => process.exit(+wasError));
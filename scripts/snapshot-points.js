@@ -0,0 +1,75 @@
+import { formatEther } from "ethers";
+import hre from "hardhat";
+import path from "path";
+import signale from "signale-logger";
+import {
+  getIndexerStatePath,
+  getStateAtBlock,
+  openDepositIndex,
+} from "../helpers/indexer.js";
+import {
+  buildPointsTree,
+  getPointsDistribution,
+  savePointsDistribution,
+  snapshotPoints,
+  verifyPointsDistribution,
+} from "../helpers/snapshot.js";
+
+const snapshotLogger = new signale.Signale({ scope: "Snapshot" });
+
+async function main() {
+  const { contract, state } = await openDepositIndex();
+  const blockNumber = process.env.SNAPSHOT_BLOCK
+    ? Number(process.env.SNAPSHOT_BLOCK)
+    : await hre.ethers.provider.getBlockNumber();
+
+  snapshotLogger.await(`Indexing users up to block ${blockNumber}`);
+  const { users } = await getStateAtBlock(contract, state, blockNumber);
+  snapshotLogger.await(
+    `Snapshotting the points of ${
+      Object.keys(users).length
+    } users at block ${blockNumber}`
+  );
+  const { depositStopTime, points } = await snapshotPoints(
+    contract,
+    Object.keys(users),
+    blockNumber
+  );
+
+  const tree = buildPointsTree(points);
+  const distribution = getPointsDistribution(tree, {
+    address: state.address,
+    chainId: state.chainId,
+    blockNumber,
+    depositStopTime: depositStopTime.toString(),
+  });
+  const problems = verifyPointsDistribution(distribution);
+  if (problems.length) {
+    throw new Error(
+      `The distribution failed verification:\n${problems.join("\n")}`
+    );
+  }
+  const distributionPath =
+    process.env.SNAPSHOT_OUTPUT ||
+    path.join(
+      path.dirname(getIndexerStatePath()),
+      `distribution-${hre.network.name}-${blockNumber}.json`
+    );
+  savePointsDistribution(distributionPath, distribution);
+
+  snapshotLogger.complete(`Distribution written to ${distributionPath}`);
+  snapshotLogger.info(`Merkle root: ${distribution.root}`);
+  snapshotLogger.info(
+    `${Object.keys(distribution.claims).length} users hold ${formatEther(
+      distribution.totalPoints
+    )} points`
+  );
+}
+
+let wasError = false;
+main()
+  .catch((error) => {
+    snapshotLogger.fatal("Snapshot Failed\n", error);
+    wasError = true;
+  })
+  .finally(() => process.exit(+wasError));
@@ -0,0 +1,230 @@
+const { task, types } = require("hardhat/config");
+
+const ROLE_PARAM = {
+  role: "The role, one of admin, pauser, whitelistManager or claimAdmin",
+};
+
+/**
+ * The admin operations exposed as omron:<action> tasks, the address parameters each takes,
+ * any decimal parameters, which are parsed as 18 decimal fixed point numbers,
+ * and any integer, boolean and role name parameters.
+ * Timelocked operations can also be scheduled and cancelled.
+ */
+const adminTasks = {
+  addWhitelistedToken: {
+    description: "Whitelist a token for deposits",
+    params: { token: "The address of the token to whitelist" },
+  },
+  removeWhitelistedToken: {
+    description: "Remove a token from the whitelist",
+    params: { token: "The address of the token to remove" },
+    timelocked: true,
+  },
+  setTokenMultiplier: {
+    description:
+      "Set the points multiplier of a whitelisted token, for future deposits",
+    params: { token: "The address of the token" },
+    decimalParams: {
+      multiplier:
+        "The multiplier, such as 1.5 to earn one and a half times the points",
+    },
+  },
+  setDepositLimits: {
+    description:
+      "Set the deposit caps and minimum deposit of a whitelisted token, in its smallest unit. Zero removes a limit.",
+    params: { token: "The address of the token" },
+    integerParams: {
+      maxTotalDeposits:
+        "The most of the token all users together can have deposited",
+      maxUserDeposits: "The most of the token a single user can have deposited",
+      minDepositAmount:
+        "The smallest amount of the token a single deposit can be",
+    },
+  },
+  addBoostEpoch: {
+    description:
+      "Schedule a boost epoch, from which points accrue at a multiplier until the next epoch starts",
+    params: {},
+    decimalParams: {
+      multiplier:
+        "The multiplier, such as 2 to earn twice the points, or 1 to end a boost",
+    },
+    integerParams: {
+      startTime: "The Unix timestamp, in seconds, at which the epoch starts",
+    },
+  },
+  removeLastBoostEpoch: {
+    description: "Remove the last scheduled boost epoch, before it starts",
+    params: {},
+  },
+  setWithdrawalsEnabled: {
+    description:
+      "Enable or disable withdrawals by users before the deposit stop",
+    params: {},
+    booleanParams: { enabled: "Whether withdrawals are enabled" },
+  },
+  setClaimManager: {
+    description: "Set the claim manager",
+    params: { claimManager: "The address of the new claim manager" },
+    timelocked: true,
+  },
+  stopDeposits: {
+    description: "Permanently stop deposits and points accrual",
+    params: {},
+    timelocked: true,
+  },
+  setTimelockDelay: {
+    description:
+      "Set how long timelocked operations wait between being scheduled and executed",
+    params: {},
+    integerParams: { delay: "The delay, in seconds" },
+    timelocked: true,
+  },
+  enableEmergencyMode: {
+    description:
+      "Irreversibly enable emergency mode, which stops deposits and lets users withdraw their own balances",
+    params: {},
+  },
+  rescueTokens: {
+    description:
+      "Recover tokens sent to the contract by mistake, up to the surplus above user deposits",
+    params: {
+      token: "The address of the token to recover",
+      to: "The address to send the tokens to",
+    },
+    integerParams: {
+      amount: "The amount to recover, in the token's smallest unit",
+    },
+  },
+  pause: {
+    description: "Pause the contract",
+    params: {},
+  },
+  unpause: {
+    description: "Unpause the contract",
+    params: {},
+  },
+  grantRole: {
+    description: "Grant a role to an account",
+    params: { account: "The address to grant the role to" },
+    roleParams: ROLE_PARAM,
+  },
+  revokeRole: {
+    description: "Revoke a role from an account",
+    params: { account: "The address to revoke the role from" },
+    roleParams: ROLE_PARAM,
+  },
+  renounceRole: {
+    description: "Renounce a role held by the sender",
+    params: {},
+    roleParams: ROLE_PARAM,
+  },
+};
+
+for (const [
+  action,
+  {
+    description,
+    params,
+    decimalParams = {},
+    integerParams = {},
+    booleanParams = {},
+    roleParams = {},
+    timelocked = false,
+  },
+] of Object.entries(adminTasks)) {
+  const adminTask = task(`omron:${action}`, description)
+    .addOptionalParam(
+      "contract",
+      "The address of OmronDeposit, defaults to the address in the network's deployment manifest"
+    )
+    .addOptionalParam(
+      "batch",
+      "Add the call to this Safe Transaction Builder batch file instead of sending it"
+    )
+    .addOptionalParam(
+      "safe",
+      "The address of the Safe which holds the role the call needs, recorded in the batch"
+    )
+    .setAction(async (taskArgs, hre) => {
+      const { exportAdminAction, runAdminAction } = await import(
+        "../helpers/admin.js"
+      );
+      const actionParams = {};
+      for (const param of Object.keys(params)) {
+        actionParams[param] = hre.ethers.getAddress(taskArgs[param]);
+      }
+      for (const param of Object.keys(decimalParams)) {
+        actionParams[param] = hre.ethers.parseEther(taskArgs[param]);
+      }
+      for (const param of Object.keys(integerParams)) {
+        actionParams[param] = BigInt(taskArgs[param]);
+      }
+      for (const param of Object.keys({ ...booleanParams, ...roleParams })) {
+        actionParams[param] = taskArgs[param];
+      }
+      if (taskArgs.schedule && taskArgs.cancel) {
+        throw new Error("Pass only one of --schedule and --cancel");
+      }
+      const timelock =
+        (taskArgs.schedule && "schedule") ||
+        (taskArgs.cancel && "cancel") ||
+        undefined;
+      if (taskArgs.batch) {
+        return exportAdminAction(action, actionParams, {
+          batch: taskArgs.batch,
+          address: taskArgs.contract,
+          safe: taskArgs.safe && hre.ethers.getAddress(taskArgs.safe),
+          timelock,
+        });
+      }
+      return runAdminAction(action, actionParams, {
+        address: taskArgs.contract,
+        timelock,
+      });
+    });
+  if (timelocked) {
+    adminTask
+      .addFlag(
+        "schedule",
+        "Schedule the call, to be executed once the timelock delay has passed"
+      )
+      .addFlag("cancel", "Cancel the scheduled call");
+  }
+  for (const [param, paramDescription] of Object.entries({
+    ...params,
+    ...decimalParams,
+    ...integerParams,
+    ...roleParams,
+  })) {
+    adminTask.addParam(param, paramDescription);
+  }
+  for (const [param, paramDescription] of Object.entries(booleanParams)) {
+    adminTask.addParam(param, paramDescription, undefined, types.boolean);
+  }
+}
+
+task(
+  "omron:pendingOperations",
+  "List the timelocked operations which are scheduled and haven't been executed or cancelled"
+)
+  .addOptionalParam(
+    "contract",
+    "The address of OmronDeposit, defaults to the address in the network's deployment manifest"
+  )
+  .addOptionalParam(
+    "fromBlock",
+    "The block to search for scheduled operations from, defaults to the deployment block",
+    undefined,
+    types.int
+  )
+  .setAction(async (taskArgs) => {
+    const { getDepositContract, getPendingOperations, logPendingOperations } =
+      await import("../helpers/admin.js");
+    const contract = await getDepositContract(taskArgs.contract);
+    const pending = await getPendingOperations(contract, {
+      fromBlock: taskArgs.fromBlock,
+    });
+    logPendingOperations(pending);
+    return pending;
+  });
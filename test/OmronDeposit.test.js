@@ -1,12 +1,25 @@
 import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
 import { expect } from "chai";
-import { ZeroAddress, parseEther } from "ethers";
+import { ZeroAddress, parseEther, parseUnits } from "ethers";
 import { deployContract } from "../helpers/deployment.js";
+import { signPermit, signPermit2 } from "../helpers/utils.js";
 import {
   deployDepositContractFixture,
+  deployMixedDecimalsFixture,
   deployMockClaimContractFixture,
+  deployPermitFixture,
 } from "./helpers/fixtures.js";
-import { addAllowance, depositTokens } from "./helpers/interactions.js";
+import {
+  addAllowance,
+  addTokenToWhitelist,
+  depositTokens,
+  enableWithdrawals,
+  pauseContract,
+  unpauseContract,
+  verifyUserInfo,
+  withdrawTokens,
+} from "./helpers/interactions.js";
+import { referencePoints } from "./helpers/points.js";
 
 describe("OmronDeposit", () => {
   let owner, user1, user2;
@@ -19,18 +32,68 @@ describe("OmronDeposit", () => {
     token1,
     token2,
     nonWhitelistedToken,
-    brokenERC20;
+    brokenERC20,
+    weth;
   beforeEach(async () => {
-    ({ deposit, erc20Deployments, nonWhitelistedToken, brokenERC20 } =
+    ({ deposit, erc20Deployments, nonWhitelistedToken, brokenERC20, weth } =
       await loadFixture(deployDepositContractFixture));
     [token1, token2] = erc20Deployments;
   });
+
+  /**
+   * Gets the IDs of every role, with the admin role first
+   */
+  const roleIds = async () => [
+    await deposit.contract.DEFAULT_ADMIN_ROLE(),
+    await deposit.contract.PAUSER_ROLE(),
+    await deposit.contract.WHITELIST_MANAGER_ROLE(),
+    await deposit.contract.CLAIM_ADMIN_ROLE(),
+  ];
   describe("constructor", () => {
     it("Should revert with ZeroAddress if any whitelisted token is zero address", async () => {
       await expect(
-        deployContract("OmronDeposit", [owner.address, [ZeroAddress]])
+        deployContract("OmronDeposit", [
+          owner.address,
+          [ZeroAddress],
+          weth.address,
+        ])
+      ).to.be.revertedWithCustomError(deposit.contract, "ZeroAddress");
+    });
+    it("Should revert with TokenAlreadyWhitelisted if a token is listed twice", async () => {
+      await expect(
+        deployContract("OmronDeposit", [
+          owner.address,
+          [token1.address, token1.address],
+          weth.address,
+        ])
+      ).to.be.revertedWithCustomError(
+        deposit.contract,
+        "TokenAlreadyWhitelisted"
+      );
+    });
+    it("Should revert with ZeroAddress if WETH is the zero address", async () => {
+      await expect(
+        deployContract("OmronDeposit", [owner.address, [], ZeroAddress])
+      ).to.be.revertedWithCustomError(deposit.contract, "ZeroAddress");
+    });
+    it("Should revert with ZeroAddress if the initial admin is the zero address", async () => {
+      await expect(
+        deployContract("OmronDeposit", [ZeroAddress, [], weth.address])
       ).to.be.revertedWithCustomError(deposit.contract, "ZeroAddress");
     });
+    it("Should grant every role to the initial admin", async () => {
+      for (const role of await roleIds()) {
+        expect(await deposit.contract.hasRole(role, owner.address)).to.equal(
+          true
+        );
+        expect(await deposit.contract.hasRole(role, user1.address)).to.equal(
+          false
+        );
+      }
+    });
+    it("Should record the WETH address", async () => {
+      expect(await deposit.contract.weth()).to.equal(weth.address);
+    });
     it("Should emit events for each whitelisted token", async () => {
       const tokenAddresses = [...[...erc20Deployments].map((x) => x.address)];
 
@@ -59,6 +122,170 @@ describe("OmronDeposit", () => {
       ]);
     });
   });
+  describe("Roles", () => {
+    /**
+     * The role restricted methods, the role each needs, and any setup needed for the call to succeed with that role
+     */
+    const restrictedCalls = [
+      {
+        method: "pause",
+        role: "PAUSER_ROLE",
+        call: (contract) => contract.pause(),
+      },
+      {
+        method: "unpause",
+        role: "DEFAULT_ADMIN_ROLE",
+        setup: () => deposit.contract.pause(),
+        call: (contract) => contract.unpause(),
+      },
+      {
+        method: "addWhitelistedToken",
+        role: "WHITELIST_MANAGER_ROLE",
+        call: (contract) =>
+          contract.addWhitelistedToken(nonWhitelistedToken.address),
+      },
+      {
+        method: "removeWhitelistedToken",
+        role: "WHITELIST_MANAGER_ROLE",
+        call: (contract) => contract.removeWhitelistedToken(token2.address),
+      },
+      {
+        method: "setTokenMultiplier",
+        role: "WHITELIST_MANAGER_ROLE",
+        call: (contract) =>
+          contract.setTokenMultiplier(token1.address, parseEther("1.5")),
+      },
+      {
+        method: "setDepositLimits",
+        role: "WHITELIST_MANAGER_ROLE",
+        call: (contract) =>
+          contract.setDepositLimits(token1.address, parseEther("10"), 0, 0),
+      },
+      {
+        method: "setClaimManager",
+        role: "CLAIM_ADMIN_ROLE",
+        call: (contract) => contract.setClaimManager(user2.address),
+      },
+      {
+        method: "setWithdrawalsEnabled",
+        role: "DEFAULT_ADMIN_ROLE",
+        call: (contract) => contract.setWithdrawalsEnabled(true),
+      },
+      {
+        method: "addBoostEpoch",
+        role: "DEFAULT_ADMIN_ROLE",
+        call: async (contract) =>
+          contract.addBoostEpoch(
+            BigInt(await time.latest()) + 3600n,
+            parseEther("2")
+          ),
+      },
+      {
+        method: "removeLastBoostEpoch",
+        role: "DEFAULT_ADMIN_ROLE",
+        setup: async () =>
+          deposit.contract.addBoostEpoch(
+            BigInt(await time.latest()) + 3600n,
+            parseEther("2")
+          ),
+        call: (contract) => contract.removeLastBoostEpoch(),
+      },
+      {
+        method: "stopDeposits",
+        role: "DEFAULT_ADMIN_ROLE",
+        call: (contract) => contract.stopDeposits(),
+      },
+      {
+        method: "setTimelockDelay",
+        role: "DEFAULT_ADMIN_ROLE",
+        call: (contract) => contract.setTimelockDelay(3600),
+      },
+      {
+        method: "rescueTokens",
+        role: "DEFAULT_ADMIN_ROLE",
+        setup: () => nonWhitelistedToken.contract.transfer(deposit.address, 1n),
+        call: (contract) =>
+          contract.rescueTokens(nonWhitelistedToken.address, user2.address, 1n),
+      },
+    ];
+
+    for (const role of [
+      "DEFAULT_ADMIN_ROLE",
+      "PAUSER_ROLE",
+      "WHITELIST_MANAGER_ROLE",
+      "CLAIM_ADMIN_ROLE",
+    ]) {
+      it(`Should only allow the methods of ${role} with that role`, async () => {
+        const roleId = await deposit.contract[role]();
+        await deposit.contract.grantRole(roleId, user1.address);
+        const contract = deposit.contract.connect(user1);
+        for (const { method, role: required, setup, call } of restrictedCalls) {
+          const snapshot = await ethers.provider.send("evm_snapshot", []);
+          await setup?.();
+          if (required === role) {
+            await expect(call(contract), method).not.to.be.reverted;
+          } else {
+            await expect(call(contract), method)
+              .to.be.revertedWithCustomError(
+                deposit.contract,
+                "AccessControlUnauthorizedAccount"
+              )
+              .withArgs(user1.address, await deposit.contract[required]());
+          }
+          await ethers.provider.send("evm_revert", [snapshot]);
+        }
+      });
+    }
+    it("Should let admins grant and revoke roles", async () => {
+      const pauserRole = await deposit.contract.PAUSER_ROLE();
+      await expect(deposit.contract.grantRole(pauserRole, user1.address))
+        .to.emit(deposit.contract, "RoleGranted")
+        .withArgs(pauserRole, user1.address, owner.address);
+      await deposit.contract.connect(user1).pause();
+      await expect(deposit.contract.revokeRole(pauserRole, user1.address))
+        .to.emit(deposit.contract, "RoleRevoked")
+        .withArgs(pauserRole, user1.address, owner.address);
+      await expect(
+        deposit.contract.connect(user1).pause()
+      ).to.be.revertedWithCustomError(
+        deposit.contract,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+    it("Should not let other roles grant roles", async () => {
+      const [adminRole, ...otherRoles] = await roleIds();
+      for (const role of otherRoles) {
+        await deposit.contract.grantRole(role, user1.address);
+      }
+      await expect(
+        deposit.contract.connect(user1).grantRole(otherRoles[0], user2.address)
+      )
+        .to.be.revertedWithCustomError(
+          deposit.contract,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(user1.address, adminRole);
+    });
+    it("Should let holders renounce their own roles only", async () => {
+      const [adminRole] = await roleIds();
+      await expect(
+        deposit.contract.renounceRole(adminRole, user1.address)
+      ).to.be.revertedWithCustomError(
+        deposit.contract,
+        "AccessControlBadConfirmation"
+      );
+      await deposit.contract.renounceRole(adminRole, owner.address);
+      expect(await deposit.contract.hasRole(adminRole, owner.address)).to.equal(
+        false
+      );
+      await expect(
+        deposit.contract.stopDeposits()
+      ).to.be.revertedWithCustomError(
+        deposit.contract,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
   describe("getAllWhitelistedTokens", () => {
     it("Should return all whitelisted tokens", async () => {
       const whitelistedTokens =
@@ -79,46 +306,37 @@ describe("OmronDeposit", () => {
     });
   });
   describe("pause", () => {
-    it("Should reject pause when not owner", async () => {
-      await expect(
-        deposit.contract.connect(user1).pause()
-      ).to.be.revertedWithCustomError(
-        deposit.contract,
-        "OwnableUnauthorizedAccount"
+    it("Should reject pause without the role", async () => {
+      await pauseContract(
+        deposit,
+        user1,
+        true,
+        "AccessControlUnauthorizedAccount"
       );
     });
     it("Should reject pause when already paused", async () => {
-      await deposit.contract.connect(owner).pause();
-      await expect(
-        deposit.contract.connect(owner).pause()
-      ).to.be.revertedWithCustomError(deposit.contract, "EnforcedPause");
+      await pauseContract(deposit, owner);
+      await pauseContract(deposit, owner, true, "EnforcedPause");
     });
     it("Should accept pause when not paused", async () => {
-      await expect(deposit.contract.connect(owner).pause())
-        .to.emit(deposit.contract, "Paused")
-        .withArgs(owner.address);
+      await pauseContract(deposit, owner);
     });
   });
   describe("unpause", () => {
-    it("Should reject unpause when not owner", async () => {
-      await expect(
-        deposit.contract.connect(user1).unpause()
-      ).to.be.revertedWithCustomError(
-        deposit.contract,
-        "OwnableUnauthorizedAccount"
+    it("Should reject unpause without the role", async () => {
+      await unpauseContract(
+        deposit,
+        user1,
+        true,
+        "AccessControlUnauthorizedAccount"
       );
     });
     it("Should reject unpause when not paused", async () => {
-      await expect(
-        deposit.contract.connect(owner).unpause()
-      ).to.be.revertedWithCustomError(deposit.contract, "ExpectedPause");
+      await unpauseContract(deposit, owner, true, "ExpectedPause");
     });
     it("Should accept unpause when paused", async () => {
-      await deposit.contract.connect(owner).pause();
-      await expect(deposit.contract.connect(owner).unpause())
-        .to.emit(deposit.contract, "Unpaused")
-
-        .withArgs(owner.address);
+      await pauseContract(deposit, owner);
+      await unpauseContract(deposit, owner);
     });
   });
 
@@ -199,458 +417,2598 @@ describe("OmronDeposit", () => {
       ).to.be.revertedWithCustomError(deposit.contract, "TokenNotWhitelisted");
     });
   });
-  describe("tokenBalance", () => {
-    it("Should correctly return ERC20 token balance", async () => {
-      await addAllowance(token1, owner, deposit, parseEther("1"));
-      await deposit.contract.deposit(token1.address, parseEther("1"));
-      const balance = await deposit.contract.tokenBalance(
-        owner.address,
-        token1.address
+  describe("depositMany", () => {
+    beforeEach(async () => {
+      for (const token of erc20Deployments) {
+        await addAllowance(token, owner, deposit, ethers.MaxUint256);
+      }
+    });
+    it("Should credit every token and emit a Deposit for each", async () => {
+      const amounts = [parseEther("1"), parseEther("2"), parseEther("3")];
+      const tokens = erc20Deployments.slice(0, 3);
+      const tx = deposit.contract.depositMany(
+        tokens.map(({ address }) => address),
+        amounts
+      );
+      for (const [i, token] of tokens.entries()) {
+        await expect(tx)
+          .to.emit(deposit.contract, "Deposit")
+          .withArgs(owner.address, token.address, amounts[i]);
+      }
+      for (const [i, token] of tokens.entries()) {
+        expect(
+          await deposit.contract.tokenBalance(owner.address, token.address)
+        ).to.equal(amounts[i]);
+        expect(await token.contract.balanceOf(deposit.address)).to.equal(
+          amounts[i]
+        );
+      }
+      expect((await deposit.contract.getUserInfo(owner.address))[0]).to.equal(
+        parseEther("6")
       );
-      expect(balance).to.equal(parseEther("1"));
     });
-  });
-  describe("setClaimManager", () => {
-    it("Should set claim manager when owner", async () => {
+    it("Should settle points once, before the batch", async () => {
+      await depositTokens(deposit, token1, parseEther("2"), owner);
+      await time.increase(3600);
+      await deposit.contract.depositMany(
+        [token1.address, token2.address, token1.address],
+        [parseEther("1"), parseEther("1"), parseEther("1")]
+      );
+      // Two tokens for just over an hour, the extra second being the batch's own block
+      await verifyUserInfo(
+        deposit,
+        owner,
+        (parseEther("2") * 3601n) / 3600n,
+        parseEther("5"),
+        await time.latest()
+      );
+      expect(
+        await deposit.contract.tokenPointsPerHour(owner.address, token1.address)
+      ).to.equal(parseEther("4"));
+    });
+    it("Should reject arrays of different lengths", async () => {
       await expect(
-        deposit.contract.connect(owner).setClaimManager(user2.address)
-      )
-        .to.emit(deposit.contract, "ClaimManagerSet")
-        .withArgs(user2.address);
+        deposit.contract.depositMany(
+          [token1.address, token2.address],
+          [parseEther("1")]
+        )
+      ).to.be.revertedWithCustomError(deposit.contract, "ArrayLengthMismatch");
     });
-
-    it("Should not set claim manager provided zero address", async () => {
+    it("Should reject an empty batch", async () => {
       await expect(
-        deposit.contract.connect(owner).setClaimManager(ZeroAddress)
-      ).to.be.revertedWithCustomError(deposit.contract, "ZeroAddress");
+        deposit.contract.depositMany([], [])
+      ).to.be.revertedWithCustomError(deposit.contract, "EmptyBatch");
     });
-    it("Should not set claim manager when not owner", async () => {
+    it("Should revert the whole batch if a token isn't whitelisted", async () => {
+      await addAllowance(nonWhitelistedToken, owner, deposit, parseEther("1"));
       await expect(
-        deposit.contract.connect(user1).setClaimManager(user2.address)
-      ).to.be.revertedWithCustomError(
-        deposit.contract,
-        "OwnableUnauthorizedAccount"
-      );
+        deposit.contract.depositMany(
+          [token1.address, nonWhitelistedToken.address],
+          [parseEther("1"), parseEther("1")]
+        )
+      ).to.be.revertedWithCustomError(deposit.contract, "TokenNotWhitelisted");
     });
-  });
-
-  describe("stopDeposits", () => {
-    it("Should only allow owner to stop deposits", async () => {
-      await expect(deposit.contract.connect(user1).stopDeposits())
-        .to.be.revertedWithCustomError(
-          deposit.contract,
-          "OwnableUnauthorizedAccount"
+    it("Should revert the whole batch if an amount is zero", async () => {
+      await expect(
+        deposit.contract.depositMany(
+          [token1.address, token2.address],
+          [parseEther("1"), 0n]
         )
-        .withArgs(user1.address);
+      ).to.be.revertedWithCustomError(deposit.contract, "ZeroAmount");
     });
-    it("Should prevent stopping deposits once they're already stopped", async () => {
-      await deposit.contract.stopDeposits();
+    it("Should revert the whole batch if a transfer fails", async () => {
+      await addAllowance(brokenERC20, owner, deposit, parseEther("1"));
+      await deposit.contract.addWhitelistedToken(brokenERC20.address);
+      await brokenERC20.contract.setTransfersEnabled(false);
       await expect(
-        deposit.contract.connect(owner).stopDeposits()
+        deposit.contract.depositMany(
+          [token1.address, brokenERC20.address],
+          [parseEther("1"), parseEther("1")]
+        )
       ).to.be.revertedWithCustomError(
         deposit.contract,
-        "DepositsAlreadyStopped"
+        "SafeERC20FailedOperation"
       );
+      expect(
+        await deposit.contract.tokenBalance(owner.address, token1.address)
+      ).to.equal(0n);
+      expect(await token1.contract.balanceOf(deposit.address)).to.equal(0n);
     });
-  });
-
-  describe("withdrawTokens", () => {
-    it("Should accept valid token withdrawal", async () => {
+    it("Should reject deposits when paused", async () => {
+      await deposit.contract.pause();
+      await expect(
+        deposit.contract.depositMany([token1.address], [parseEther("1")])
+      ).to.be.revertedWithCustomError(deposit.contract, "EnforcedPause");
+    });
+    it("Should reject deposits after the deposit stop", async () => {
       await deposit.contract.setClaimManager(user1.address);
-
-      await token1.contract.transfer(user2.address, parseEther("1"));
-      await token2.contract.transfer(user2.address, parseEther("1"));
-      await addAllowance(token1, user2, deposit, parseEther("1"));
-      await addAllowance(token2, user2, deposit, parseEther("1"));
-      await depositTokens(deposit, token1, parseEther("1"), user2);
-      await time.increase(3599);
-      await depositTokens(deposit, token2, parseEther("1"), user2);
-      await time.increase(3599);
-      // 3 points earned here. txs take 1s each, and the first point is in the contract for 2hr while the second is in there for 1 hr
       await deposit.contract.stopDeposits();
       await expect(
-        deposit.contract.connect(user1).withdrawTokens(user2.address)
-      )
-        .to.emit(deposit.contract, "WithdrawTokens")
-        .withArgs(
-          user2.address,
-          erc20Deployments.map((token) =>
-            [token1.address, token2.address].includes(token.address)
-              ? parseEther("1")
-              : parseEther("0")
-          )
-        );
-      const newDepositBalances = await Promise.all([
-        deposit.contract.tokenBalance(user2.address, token1.address),
-        deposit.contract.tokenBalance(user2.address, token2.address),
-      ]);
-      expect(newDepositBalances).to.eql([parseEther("0"), parseEther("0")]);
-      const userInfo = await deposit.contract.getUserInfo(user2.address);
-      expect(userInfo.pointsPerHour).to.eql(parseEther("0"));
-      expect(userInfo.pointBalance).to.eql(parseEther("3"));
+        deposit.contract.depositMany([token1.address], [parseEther("1")])
+      ).to.be.revertedWithCustomError(deposit.contract, "DepositsStopped");
     });
-    it("Should withdraw when all tokens have a balance", async () => {
-      await deposit.contract.setClaimManager(user2.address);
+    it("Should use less gas than depositing each token separately", async () => {
+      // Deposit once first, so both approaches write to existing storage slots
       for (const token of erc20Deployments) {
-        await token.contract.transfer(user1.address, parseEther("1"));
-        await addAllowance(token, user1, deposit, parseEther("1"));
-        await depositTokens(deposit, token, parseEther("1"), user1);
+        await depositTokens(deposit, token, parseEther("1"), owner);
       }
-      await deposit.contract.stopDeposits();
-      await expect(
-        deposit.contract.connect(user2).withdrawTokens(user1.address)
-      )
-        .to.emit(deposit.contract, "WithdrawTokens")
-        .withArgs(
-          user1.address,
-          erc20Deployments.map((token) => parseEther("1"))
+      const gasUsed = async (tx) => (await (await tx).wait()).gasUsed;
+
+      let separateGas = 0n;
+      for (const token of erc20Deployments) {
+        separateGas += await gasUsed(
+          deposit.contract.deposit(token.address, parseEther("1"))
         );
-      const newClaimBalances = await Promise.all(
-        erc20Deployments.map(
-          async (token) => await token.contract.balanceOf(user2.address)
+      }
+      const batchGas = await gasUsed(
+        deposit.contract.depositMany(
+          erc20Deployments.map(({ address }) => address),
+          erc20Deployments.map(() => parseEther("1"))
         )
       );
-      expect(newClaimBalances).to.eql(
-        erc20Deployments.map((token) => parseEther("1"))
-      );
+      expect(batchGas).to.be.lessThan(separateGas);
+      // The saving isn't only the base cost of the extra transactions, since points are settled once
+      const baseTransactionGas = 21_000n * BigInt(erc20Deployments.length - 1);
+      expect(batchGas).to.be.lessThan(separateGas - baseTransactionGas);
     });
-    it("Should not transfer any tokens on double withdraw", async () => {
-      let originalBalances = await Promise.all(
-        erc20Deployments.map(
-          async (token) => await token.contract.balanceOf(user1.address)
-        )
+  });
+  describe("depositFor", () => {
+    it("Should credit the beneficiary with tokens from the sender", async () => {
+      await addAllowance(token1, owner, deposit, parseEther("1"));
+      const tx = deposit.contract.depositFor(
+        user1.address,
+        token1.address,
+        parseEther("1"),
+        user2.address
       );
-      await deposit.contract.setClaimManager(user2.address);
-      await token1.contract.transfer(user1.address, parseEther("1"));
-      await addAllowance(token1, user1, deposit, parseEther("1"));
-      await depositTokens(deposit, token1, parseEther("1"), user1);
-      await deposit.contract.stopDeposits();
-      await expect(
-        deposit.contract.connect(user2).withdrawTokens(user1.address)
-      )
-        .to.emit(deposit.contract, "WithdrawTokens")
+      await expect(tx)
+        .to.emit(deposit.contract, "Deposit")
+        .withArgs(user1.address, token1.address, parseEther("1"))
+        .and.to.emit(deposit.contract, "DepositFor")
         .withArgs(
+          owner.address,
           user1.address,
-          erc20Deployments.map((token) =>
-            [token1.address].includes(token.address)
-              ? parseEther("1")
-              : parseEther("0")
-          )
+          user2.address,
+          token1.address,
+          parseEther("1")
         );
-      let newBalances = await Promise.all(
-        erc20Deployments.map(
-          async (token) => await token.contract.balanceOf(user1.address)
-        )
+      await expect(tx).to.changeTokenBalances(
+        token1.contract,
+        [owner, deposit.contract],
+        [-parseEther("1"), parseEther("1")]
       );
-      expect(newBalances).to.eql(originalBalances);
+      expect(
+        await deposit.contract.tokenBalance(user1.address, token1.address)
+      ).to.equal(parseEther("1"));
+      expect(
+        await deposit.contract.tokenBalance(owner.address, token1.address)
+      ).to.equal(0n);
+      expect((await deposit.contract.getUserInfo(user1.address))[0]).to.equal(
+        parseEther("1")
+      );
+      expect((await deposit.contract.getUserInfo(owner.address))[0]).to.equal(
+        0n
+      );
+    });
+    it("Should accept deposits without a referrer", async () => {
+      await addAllowance(token1, owner, deposit, parseEther("1"));
       await expect(
-        deposit.contract.connect(user2).withdrawTokens(user1.address)
+        deposit.contract.depositFor(
+          user1.address,
+          token1.address,
+          parseEther("1"),
+          ZeroAddress
+        )
       )
-        .to.emit(deposit.contract, "WithdrawTokens")
+        .to.emit(deposit.contract, "DepositFor")
         .withArgs(
+          owner.address,
           user1.address,
-          erc20Deployments.map((token) => parseEther("0"))
+          ZeroAddress,
+          token1.address,
+          parseEther("1")
         );
-      newBalances = await Promise.all(
-        erc20Deployments.map(
-          async (token) => await token.contract.balanceOf(user1.address)
-        )
-      );
-      expect(newBalances).to.eql(originalBalances);
     });
-    it("Should reject when not called from claim manager", async () => {
-      await deposit.contract.setClaimManager(user2.address);
+    it("Should reject deposits for the zero address", async () => {
+      await addAllowance(token1, owner, deposit, parseEther("1"));
       await expect(
-        deposit.contract.connect(user1).withdrawTokens(user1.address)
-      ).to.be.revertedWithCustomError(deposit.contract, "NotClaimManager");
+        deposit.contract.depositFor(
+          ZeroAddress,
+          token1.address,
+          parseEther("1"),
+          user2.address
+        )
+      ).to.be.revertedWithCustomError(deposit.contract, "ZeroAddress");
     });
-    it("Should reject when called before deposit stop time", async () => {
-      await deposit.contract.setClaimManager(user1.address);
+    it("Should reject deposits of non-whitelisted tokens", async () => {
+      await addAllowance(nonWhitelistedToken, owner, deposit, parseEther("1"));
       await expect(
-        deposit.contract.connect(user1).withdrawTokens(user1.address)
-      ).to.be.revertedWithCustomError(deposit.contract, "DepositsNotStopped");
+        deposit.contract.depositFor(
+          user1.address,
+          nonWhitelistedToken.address,
+          parseEther("1"),
+          user2.address
+        )
+      ).to.be.revertedWithCustomError(deposit.contract, "TokenNotWhitelisted");
     });
-    it("Should reject withdrawal when contract paused", async () => {
+    it("Should reject deposits when paused", async () => {
       await deposit.contract.pause();
       await expect(
-        deposit.contract.connect(user1).withdrawTokens(user1.address)
+        deposit.contract.depositFor(
+          user1.address,
+          token1.address,
+          parseEther("1"),
+          user2.address
+        )
       ).to.be.revertedWithCustomError(deposit.contract, "EnforcedPause");
     });
-    it("Should reject withdrawal for null address", async () => {
-      await deposit.contract.setClaimManager(user1.address);
-      await deposit.contract.stopDeposits();
-      await expect(
-        deposit.contract.connect(user1).withdrawTokens(ZeroAddress)
-      ).to.be.revertedWithCustomError(deposit.contract, "ZeroAddress");
-    });
   });
-  describe("removeWhitelistedToken", async () => {
-    it("Should remove a token from the whitelist", async () => {
-      const originalLength = (await deposit.contract.getAllWhitelistedTokens())
-        .length;
-      await expect(deposit.contract.removeWhitelistedToken(token1.address))
-        .to.emit(deposit.contract, "WhitelistedTokenRemoved")
-        .withArgs(token1.address);
-      const newLength = (await deposit.contract.getAllWhitelistedTokens())
-        .length;
-      expect(newLength).to.equal(originalLength - 1);
-      expect(await deposit.contract.getAllWhitelistedTokens()).to.not.include(
+  describe("tokenBalance", () => {
+    it("Should correctly return ERC20 token balance", async () => {
+      await addAllowance(token1, owner, deposit, parseEther("1"));
+      await deposit.contract.deposit(token1.address, parseEther("1"));
+      const balance = await deposit.contract.tokenBalance(
+        owner.address,
         token1.address
       );
+      expect(balance).to.equal(parseEther("1"));
     });
-    it("Should not allow removal of the null address", async () => {
+  });
+  describe("setWithdrawalsEnabled", () => {
+    it("Should enable and disable withdrawals", async () => {
+      expect(await deposit.contract.withdrawalsEnabled()).to.equal(false);
+      await enableWithdrawals(deposit, owner);
+      expect(await deposit.contract.withdrawalsEnabled()).to.equal(true);
+      await enableWithdrawals(deposit, owner, false);
+      expect(await deposit.contract.withdrawalsEnabled()).to.equal(false);
+    });
+    it("Should reject setWithdrawalsEnabled without the role", async () => {
+      await enableWithdrawals(
+        deposit,
+        user1,
+        true,
+        true,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
+  describe("withdraw", () => {
+    beforeEach(async () => {
+      await addAllowance(token1, owner, deposit, parseEther("10"));
+      await deposit.contract.deposit(token1.address, parseEther("4"));
+      await enableWithdrawals(deposit, owner);
+    });
+    it("Should reject withdrawal when withdrawals are disabled", async () => {
+      await enableWithdrawals(deposit, owner, false);
+      await withdrawTokens(
+        deposit,
+        token1,
+        parseEther("1"),
+        owner,
+        true,
+        "WithdrawalsDisabled"
+      );
+    });
+    it("Should reject withdrawal of zero tokens", async () => {
+      await withdrawTokens(deposit, token1, 0n, owner, true, "ZeroAmount");
+    });
+    it("Should reject withdrawal of more than the deposited balance", async () => {
+      await withdrawTokens(
+        deposit,
+        token1,
+        parseEther("4") + 1n,
+        owner,
+        true,
+        "InsufficientDepositBalance"
+      );
+      await withdrawTokens(
+        deposit,
+        token2,
+        1n,
+        owner,
+        true,
+        "InsufficientDepositBalance"
+      );
+    });
+    it("Should reject withdrawal after deposits are stopped", async () => {
+      await deposit.contract.stopDeposits();
+      await withdrawTokens(
+        deposit,
+        token1,
+        parseEther("1"),
+        owner,
+        true,
+        "DepositsStopped"
+      );
+    });
+    it("Should reject withdrawal when paused", async () => {
+      await deposit.contract.pause();
+      await withdrawTokens(
+        deposit,
+        token1,
+        parseEther("1"),
+        owner,
+        true,
+        "EnforcedPause"
+      );
+    });
+    it("Should settle points and reduce points per hour", async () => {
+      const depositTime = (await deposit.contract.getUserInfo(owner.address))
+        .lastUpdated;
+      await time.setNextBlockTimestamp(depositTime + 3600n);
       await expect(
-        deposit.contract.removeWhitelistedToken(ZeroAddress)
+        deposit.contract.withdraw(token1.address, parseEther("1"))
+      ).to.changeTokenBalances(
+        token1.contract,
+        [owner, deposit.contract],
+        [parseEther("1"), -parseEther("1")]
+      );
+      const { pointsPerHour, lastUpdated, pointBalance } =
+        await deposit.contract.getUserInfo(owner.address);
+      expect(pointBalance).to.equal(parseEther("4"));
+      expect(lastUpdated).to.equal(depositTime + 3600n);
+      expect(pointsPerHour).to.equal(parseEther("3"));
+      expect(
+        await deposit.contract.tokenBalance(owner.address, token1.address)
+      ).to.equal(parseEther("3"));
+      await time.increase(3600);
+      expect(await deposit.contract.calculatePoints(owner.address)).to.equal(
+        parseEther("7")
+      );
+    });
+    it("Should reduce points per hour in proportion to the multipliers deposited at", async () => {
+      await deposit.contract.setTokenMultiplier(
+        token1.address,
+        parseEther("2")
+      );
+      await deposit.contract.deposit(token1.address, parseEther("4"));
+      expect(
+        await deposit.contract.tokenPointsPerHour(owner.address, token1.address)
+      ).to.equal(parseEther("12"));
+      await withdrawTokens(deposit, token1, parseEther("2"), owner);
+      expect(
+        (await deposit.contract.getUserInfo(owner.address)).pointsPerHour
+      ).to.equal(parseEther("9"));
+      expect(
+        await deposit.contract.tokenPointsPerHour(owner.address, token1.address)
+      ).to.equal(parseEther("9"));
+    });
+    it("Should only reduce the points per hour of the withdrawn token", async () => {
+      await addAllowance(token2, owner, deposit, parseEther("1"));
+      await deposit.contract.setTokenMultiplier(
+        token2.address,
+        parseEther("3")
+      );
+      await deposit.contract.deposit(token2.address, parseEther("1"));
+      await withdrawTokens(deposit, token1, parseEther("4"), owner);
+      expect(
+        (await deposit.contract.getUserInfo(owner.address)).pointsPerHour
+      ).to.equal(parseEther("3"));
+      expect(
+        await deposit.contract.tokenPointsPerHour(owner.address, token1.address)
+      ).to.equal(0n);
+    });
+    it("Should round the remaining points per hour down", async () => {
+      const { deposit, erc20Deployments } = await loadFixture(
+        deployMixedDecimalsFixture
+      );
+      const twentyFourDecimals = erc20Deployments[3];
+      await addAllowance(twentyFourDecimals, owner, deposit, 3_000_000n);
+      await deposit.contract.deposit(twentyFourDecimals.address, 3_000_000n);
+      await enableWithdrawals(deposit, owner);
+      await withdrawTokens(deposit, twentyFourDecimals, 1n, owner);
+      expect(
+        (await deposit.contract.getUserInfo(owner.address)).pointsPerHour
+      ).to.equal(2n);
+    });
+    it("Should allow withdrawal of tokens removed from the whitelist", async () => {
+      await deposit.contract.removeWhitelistedToken(token1.address);
+      await withdrawTokens(deposit, token1, parseEther("4"), owner);
+      expect(
+        (await deposit.contract.getUserInfo(owner.address)).pointsPerHour
+      ).to.equal(0n);
+    });
+    it("Should leave the remaining balance for withdrawTokens after deposits stop", async () => {
+      await withdrawTokens(deposit, token1, parseEther("1"), owner);
+      await deposit.contract.setClaimManager(user1.address);
+      await deposit.contract.stopDeposits();
+      await expect(
+        deposit.contract.connect(user1).withdrawTokens(owner.address)
+      ).to.changeTokenBalance(token1.contract, user1, parseEther("3"));
+      expect(
+        await deposit.contract.tokenPointsPerHour(owner.address, token1.address)
+      ).to.equal(0n);
+    });
+  });
+  describe("depositWithPermit", () => {
+    let permitToken, deadline;
+    beforeEach(async () => {
+      ({ deposit, erc20Deployments, permitToken } = await loadFixture(
+        deployPermitFixture
+      ));
+      [token1] = erc20Deployments;
+      deadline = BigInt(await time.latest()) + 3600n;
+    });
+    it("Should deposit without a separate approval", async () => {
+      const { v, r, s } = await signPermit(
+        owner,
+        permitToken.address,
+        deposit.address,
+        parseEther("2"),
+        deadline
+      );
+      await expect(
+        deposit.contract.depositWithPermit(
+          permitToken.address,
+          parseEther("2"),
+          deadline,
+          v,
+          r,
+          s
+        )
+      )
+        .to.emit(deposit.contract, "Deposit")
+        .withArgs(owner.address, permitToken.address, parseEther("2"));
+      expect(
+        await deposit.contract.tokenBalance(owner.address, permitToken.address)
+      ).to.equal(parseEther("2"));
+      expect(
+        (await deposit.contract.getUserInfo(owner.address)).pointsPerHour
+      ).to.equal(parseEther("2"));
+    });
+    it("Should still deposit when the permit has already been used", async () => {
+      const { v, r, s } = await signPermit(
+        owner,
+        permitToken.address,
+        deposit.address,
+        parseEther("2"),
+        deadline
+      );
+      // Anyone can submit the permit first, which would make a strict permit call revert
+      await permitToken.contract
+        .connect(user1)
+        .permit(
+          owner.address,
+          deposit.address,
+          parseEther("2"),
+          deadline,
+          v,
+          r,
+          s
+        );
+      await expect(
+        deposit.contract.depositWithPermit(
+          permitToken.address,
+          parseEther("2"),
+          deadline,
+          v,
+          r,
+          s
+        )
+      ).to.emit(deposit.contract, "Deposit");
+    });
+    it("Should fall back to the existing allowance for tokens without permits", async () => {
+      await addAllowance(token1, owner, deposit, parseEther("1"));
+      await expect(
+        deposit.contract.depositWithPermit(
+          token1.address,
+          parseEther("1"),
+          deadline,
+          0,
+          ethers.ZeroHash,
+          ethers.ZeroHash
+        )
+      ).to.emit(deposit.contract, "Deposit");
+    });
+    it("Should reject a permit for a different amount", async () => {
+      const { v, r, s } = await signPermit(
+        owner,
+        permitToken.address,
+        deposit.address,
+        parseEther("1"),
+        deadline
+      );
+      await expect(
+        deposit.contract.depositWithPermit(
+          permitToken.address,
+          parseEther("2"),
+          deadline,
+          v,
+          r,
+          s
+        )
+      ).to.be.revertedWithCustomError(
+        permitToken.contract,
+        "ERC20InsufficientAllowance"
+      );
+    });
+    it("Should reject a permit signed by another user", async () => {
+      const { v, r, s } = await signPermit(
+        user1,
+        permitToken.address,
+        deposit.address,
+        parseEther("1"),
+        deadline
+      );
+      await expect(
+        deposit.contract.depositWithPermit(
+          permitToken.address,
+          parseEther("1"),
+          deadline,
+          v,
+          r,
+          s
+        )
+      ).to.be.revertedWithCustomError(
+        permitToken.contract,
+        "ERC20InsufficientAllowance"
+      );
+    });
+  });
+  describe("depositWithPermit2", () => {
+    let permit2, deadline;
+    beforeEach(async () => {
+      ({ deposit, erc20Deployments, nonWhitelistedToken, permit2 } =
+        await loadFixture(deployPermitFixture));
+      [token1] = erc20Deployments;
+      deadline = BigInt(await time.latest()) + 3600n;
+      // Permit2 is approved once per token, after which every deposit only needs a signature
+      await token1.contract.approve(
+        await permit2.getAddress(),
+        ethers.MaxUint256
+      );
+    });
+    const depositWithPermit2 = async (amount, nonce, signature) =>
+      deposit.contract.depositWithPermit2(
+        token1.address,
+        amount,
+        nonce,
+        deadline,
+        signature
+      );
+    it("Should deposit with a Permit2 signature", async () => {
+      const signature = await signPermit2(
+        owner,
+        token1.address,
+        deposit.address,
+        parseEther("3"),
+        0n,
+        deadline
+      );
+      await expect(depositWithPermit2(parseEther("3"), 0n, signature))
+        .to.emit(deposit.contract, "Deposit")
+        .withArgs(owner.address, token1.address, parseEther("3"));
+      expect(
+        await deposit.contract.tokenBalance(owner.address, token1.address)
+      ).to.equal(parseEther("3"));
+      expect(await token1.contract.balanceOf(deposit.address)).to.equal(
+        parseEther("3")
+      );
+    });
+    it("Should reject a reused nonce", async () => {
+      const signature = await signPermit2(
+        owner,
+        token1.address,
+        deposit.address,
+        parseEther("1"),
+        7n,
+        deadline
+      );
+      await depositWithPermit2(parseEther("1"), 7n, signature);
+      await expect(
+        depositWithPermit2(parseEther("1"), 7n, signature)
+      ).to.be.revertedWithCustomError(permit2, "InvalidNonce");
+    });
+    it("Should reject a signature for a different amount or signer", async () => {
+      const signature = await signPermit2(
+        user1,
+        token1.address,
+        deposit.address,
+        parseEther("1"),
+        0n,
+        deadline
+      );
+      await expect(
+        depositWithPermit2(parseEther("1"), 0n, signature)
+      ).to.be.revertedWithCustomError(permit2, "InvalidSigner");
+      const ownerSignature = await signPermit2(
+        owner,
+        token1.address,
+        deposit.address,
+        parseEther("1"),
+        0n,
+        deadline
+      );
+      await expect(
+        depositWithPermit2(parseEther("2"), 0n, ownerSignature)
+      ).to.be.revertedWithCustomError(permit2, "InvalidSigner");
+    });
+    it("Should reject an expired signature", async () => {
+      const signature = await signPermit2(
+        owner,
+        token1.address,
+        deposit.address,
+        parseEther("1"),
+        0n,
+        deadline
+      );
+      await time.increaseTo(deadline + 1n);
+      await expect(
+        depositWithPermit2(parseEther("1"), 0n, signature)
+      ).to.be.revertedWithCustomError(permit2, "SignatureExpired");
+    });
+    it("Should reject tokens which aren't whitelisted", async () => {
+      await expect(
+        deposit.contract.depositWithPermit2(
+          nonWhitelistedToken.address,
+          parseEther("1"),
+          0n,
+          deadline,
+          "0x"
+        )
+      ).to.be.revertedWithCustomError(deposit.contract, "TokenNotWhitelisted");
+    });
+  });
+  describe("depositETH", () => {
+    beforeEach(async () => {
+      await deposit.contract.addWhitelistedToken(weth.address);
+    });
+    it("Should wrap ETH and credit it as a WETH deposit", async () => {
+      const action = deposit.contract
+        .connect(user1)
+        .depositETH({ value: parseEther("2") });
+      await expect(action)
+        .to.emit(deposit.contract, "Deposit")
+        .withArgs(user1.address, weth.address, parseEther("2"));
+      await expect(action).to.changeEtherBalances(
+        [user1, weth.contract],
+        [-parseEther("2"), parseEther("2")]
+      );
+      expect(await weth.contract.balanceOf(deposit.address)).to.equal(
+        parseEther("2")
+      );
+      expect(
+        await deposit.contract.tokenBalance(user1.address, weth.address)
+      ).to.equal(parseEther("2"));
+      expect(
+        (await deposit.contract.getUserInfo(user1.address)).pointsPerHour
+      ).to.equal(parseEther("2"));
+    });
+    it("Should share a balance with WETH deposits", async () => {
+      await weth.contract.deposit({ value: parseEther("1") });
+      await addAllowance(weth, owner, deposit, parseEther("1"));
+      await depositTokens(deposit, weth, parseEther("1"), owner);
+      await deposit.contract.depositETH({ value: parseEther("1") });
+      expect(
+        await deposit.contract.tokenBalance(owner.address, weth.address)
+      ).to.equal(parseEther("2"));
+    });
+    it("Should reject a deposit of zero ETH", async () => {
+      await expect(
+        deposit.contract.depositETH({ value: 0 })
+      ).to.be.revertedWithCustomError(deposit.contract, "ZeroAmount");
+    });
+    it("Should reject ETH deposits when WETH isn't whitelisted", async () => {
+      await deposit.contract.removeWhitelistedToken(weth.address);
+      await expect(
+        deposit.contract.depositETH({ value: parseEther("1") })
+      ).to.be.revertedWithCustomError(deposit.contract, "TokenNotWhitelisted");
+    });
+    it("Should reject ETH deposits when paused or after deposits are stopped", async () => {
+      await deposit.contract.pause();
+      await expect(
+        deposit.contract.depositETH({ value: parseEther("1") })
+      ).to.be.revertedWithCustomError(deposit.contract, "EnforcedPause");
+      await deposit.contract.unpause();
+      await deposit.contract.stopDeposits();
+      await expect(
+        deposit.contract.depositETH({ value: parseEther("1") })
+      ).to.be.revertedWithCustomError(deposit.contract, "DepositsStopped");
+    });
+    it("Should reject ETH sent directly", async () => {
+      await expect(
+        owner.sendTransaction({ to: deposit.address, value: parseEther("1") })
+      ).to.be.revertedWithCustomError(deposit.contract, "ETHNotAccepted");
+    });
+  });
+  describe("withdrawETH", () => {
+    beforeEach(async () => {
+      await deposit.contract.addWhitelistedToken(weth.address);
+      await deposit.contract
+        .connect(user1)
+        .depositETH({ value: parseEther("3") });
+      await enableWithdrawals(deposit, owner);
+    });
+    it("Should unwrap WETH and send ETH", async () => {
+      const action = deposit.contract
+        .connect(user1)
+        .withdrawETH(parseEther("1"));
+      await expect(action)
+        .to.emit(deposit.contract, "Withdrawal")
+        .withArgs(user1.address, weth.address, parseEther("1"));
+      await expect(action).to.changeEtherBalances(
+        [user1, weth.contract, deposit.contract],
+        [parseEther("1"), -parseEther("1"), 0n]
+      );
+      expect(await weth.contract.balanceOf(deposit.address)).to.equal(
+        parseEther("2")
+      );
+      expect(
+        (await deposit.contract.getUserInfo(user1.address)).pointsPerHour
+      ).to.equal(parseEther("2"));
+    });
+    it("Should follow the same rules as withdraw", async () => {
+      await expect(
+        deposit.contract.connect(user1).withdrawETH(parseEther("3") + 1n)
+      ).to.be.revertedWithCustomError(
+        deposit.contract,
+        "InsufficientDepositBalance"
+      );
+      await enableWithdrawals(deposit, owner, false);
+      await expect(
+        deposit.contract.connect(user1).withdrawETH(parseEther("1"))
+      ).to.be.revertedWithCustomError(deposit.contract, "WithdrawalsDisabled");
+    });
+    it("Should block reentrant withdrawals", async () => {
+      const attack = await deployContract("ReentrancyAttack", [
+        deposit.address,
+      ]);
+      await attack.contract.deposit(parseEther("1"), {
+        value: parseEther("1"),
+      });
+      expect(
+        await deposit.contract.tokenBalance(attack.address, weth.address)
+      ).to.equal(parseEther("1"));
+      await expect(
+        attack.contract.attack(parseEther("1"))
+      ).to.be.revertedWithCustomError(
+        deposit.contract,
+        "ReentrancyGuardReentrantCall"
+      );
+      expect(
+        await deposit.contract.tokenBalance(attack.address, weth.address)
+      ).to.equal(parseEther("1"));
+    });
+  });
+  describe("setClaimManager", () => {
+    it("Should set claim manager when owner", async () => {
+      await expect(
+        deposit.contract.connect(owner).setClaimManager(user2.address)
+      )
+        .to.emit(deposit.contract, "ClaimManagerSet")
+        .withArgs(user2.address);
+    });
+
+    it("Should not set claim manager provided zero address", async () => {
+      await expect(
+        deposit.contract.connect(owner).setClaimManager(ZeroAddress)
       ).to.be.revertedWithCustomError(deposit.contract, "ZeroAddress");
     });
-    it("Should not allow removal of a token that is not whitelisted", async () => {
-      await expect(
-        deposit.contract.removeWhitelistedToken(nonWhitelistedToken.address)
-      ).to.be.revertedWithCustomError(deposit.contract, "TokenNotWhitelisted");
+    it("Should not set claim manager without the role", async () => {
+      await expect(
+        deposit.contract.connect(user1).setClaimManager(user2.address)
+      ).to.be.revertedWithCustomError(
+        deposit.contract,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
+
+  describe("stopDeposits", () => {
+    it("Should only allow admins to stop deposits", async () => {
+      await expect(deposit.contract.connect(user1).stopDeposits())
+        .to.be.revertedWithCustomError(
+          deposit.contract,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(user1.address, ethers.ZeroHash);
+    });
+    it("Should prevent stopping deposits once they're already stopped", async () => {
+      await deposit.contract.stopDeposits();
+      await expect(
+        deposit.contract.connect(owner).stopDeposits()
+      ).to.be.revertedWithCustomError(
+        deposit.contract,
+        "DepositsAlreadyStopped"
+      );
+    });
+  });
+
+  describe("Timelock", () => {
+    const delay = 86400;
+    const encode = (method, args = []) =>
+      deposit.contract.interface.encodeFunctionData(method, args);
+    beforeEach(async () => {
+      await deposit.contract.setTimelockDelay(delay);
+    });
+
+    it("Should let timelocked operations be called directly while the delay is zero", async () => {
+      const { deposit: undelayed } = await deployDepositContractFixture(1);
+      expect(await undelayed.contract.timelockDelay()).to.equal(0n);
+      await expect(undelayed.contract.setClaimManager(user2.address))
+        .to.emit(undelayed.contract, "ClaimManagerSet")
+        .and.not.to.emit(undelayed.contract, "OperationExecuted");
+    });
+    it("Should require timelocked operations to be scheduled", async () => {
+      for (const call of [
+        deposit.contract.setClaimManager(user2.address),
+        deposit.contract.removeWhitelistedToken(token2.address),
+        deposit.contract.stopDeposits(),
+        deposit.contract.setTimelockDelay(0),
+      ]) {
+        await expect(call).to.be.revertedWithCustomError(
+          deposit.contract,
+          "OperationNotScheduled"
+        );
+      }
+    });
+    it("Should let the admin stop deposits through emergency mode without waiting out the delay", async () => {
+      const tx = await deposit.contract.enableEmergencyMode();
+      await expect(tx)
+        .to.emit(deposit.contract, "DepositStopTimeSet")
+        .withArgs((await tx.getBlock()).timestamp)
+        .and.not.to.emit(deposit.contract, "OperationExecuted");
+    });
+    it("Should execute a scheduled operation once the delay has passed", async () => {
+      const data = encode("setClaimManager", [user2.address]);
+      const operationId = ethers.keccak256(data);
+      const tx = await deposit.contract.scheduleOperation(data);
+      const readyTime = BigInt((await tx.getBlock()).timestamp) + BigInt(delay);
+      await expect(tx)
+        .to.emit(deposit.contract, "OperationScheduled")
+        .withArgs(operationId, data, readyTime);
+      expect(await deposit.contract.scheduledOperations(operationId)).to.equal(
+        readyTime
+      );
+
+      await time.setNextBlockTimestamp(readyTime - 1n);
+      await expect(
+        deposit.contract.setClaimManager(user2.address)
+      ).to.be.revertedWithCustomError(deposit.contract, "OperationNotReady");
+      await time.setNextBlockTimestamp(readyTime);
+      await expect(deposit.contract.setClaimManager(user2.address))
+        .to.emit(deposit.contract, "OperationExecuted")
+        .withArgs(operationId)
+        .and.to.emit(deposit.contract, "ClaimManagerSet")
+        .withArgs(user2.address);
+      expect(await deposit.contract.claimManager()).to.equal(user2.address);
+
+      // Each scheduled operation can only be executed once
+      expect(await deposit.contract.scheduledOperations(operationId)).to.equal(
+        0n
+      );
+      await expect(
+        deposit.contract.setClaimManager(user2.address)
+      ).to.be.revertedWithCustomError(
+        deposit.contract,
+        "OperationNotScheduled"
+      );
+    });
+    it("Should only execute an operation with the arguments it was scheduled with", async () => {
+      await deposit.contract.scheduleOperation(
+        encode("setClaimManager", [user2.address])
+      );
+      await time.increase(delay);
+      await expect(
+        deposit.contract.setClaimManager(user1.address)
+      ).to.be.revertedWithCustomError(
+        deposit.contract,
+        "OperationNotScheduled"
+      );
+    });
+    it("Should not schedule an operation twice", async () => {
+      const data = encode("stopDeposits");
+      await deposit.contract.scheduleOperation(data);
+      await expect(
+        deposit.contract.scheduleOperation(data)
+      ).to.be.revertedWithCustomError(
+        deposit.contract,
+        "OperationAlreadyScheduled"
+      );
+    });
+    it("Should only schedule timelocked operations", async () => {
+      for (const data of [encode("pause"), "0x", "0x1234"]) {
+        await expect(
+          deposit.contract.scheduleOperation(data)
+        ).to.be.revertedWithCustomError(deposit.contract, "NotTimelocked");
+      }
+    });
+    it("Should require the operation's role to schedule it", async () => {
+      const claimAdminRole = await deposit.contract.CLAIM_ADMIN_ROLE();
+      const data = encode("setClaimManager", [user2.address]);
+      await expect(deposit.contract.connect(user1).scheduleOperation(data))
+        .to.be.revertedWithCustomError(
+          deposit.contract,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(user1.address, claimAdminRole);
+      await deposit.contract.grantRole(claimAdminRole, user1.address);
+      await expect(
+        deposit.contract.connect(user1).scheduleOperation(data)
+      ).to.emit(deposit.contract, "OperationScheduled");
+      await expect(
+        deposit.contract
+          .connect(user1)
+          .scheduleOperation(encode("stopDeposits"))
+      )
+        .to.be.revertedWithCustomError(
+          deposit.contract,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(user1.address, ethers.ZeroHash);
+    });
+    it("Should let the operation's role or an admin cancel it", async () => {
+      const whitelistManagerRole =
+        await deposit.contract.WHITELIST_MANAGER_ROLE();
+      await deposit.contract.grantRole(whitelistManagerRole, user1.address);
+      const data = encode("removeWhitelistedToken", [token2.address]);
+      const operationId = ethers.keccak256(data);
+
+      await deposit.contract.scheduleOperation(data);
+      await expect(deposit.contract.connect(user2).cancelOperation(data))
+        .to.be.revertedWithCustomError(
+          deposit.contract,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(user2.address, whitelistManagerRole);
+      await expect(deposit.contract.connect(user1).cancelOperation(data))
+        .to.emit(deposit.contract, "OperationCancelled")
+        .withArgs(operationId);
+
+      // Admins can cancel operations without holding the operation's role
+      await deposit.contract.connect(user1).scheduleOperation(data);
+      await deposit.contract.renounceRole(whitelistManagerRole, owner.address);
+      await expect(deposit.contract.cancelOperation(data))
+        .to.emit(deposit.contract, "OperationCancelled")
+        .withArgs(operationId);
+
+      await time.increase(delay);
+      await expect(
+        deposit.contract.connect(user1).removeWhitelistedToken(token2.address)
+      ).to.be.revertedWithCustomError(
+        deposit.contract,
+        "OperationNotScheduled"
+      );
+      await expect(
+        deposit.contract.cancelOperation(data)
+      ).to.be.revertedWithCustomError(
+        deposit.contract,
+        "OperationNotScheduled"
+      );
+    });
+    it("Should wait out the current delay before changing it", async () => {
+      const data = encode("setTimelockDelay", [0]);
+      await deposit.contract.scheduleOperation(data);
+      // Operations scheduled under the old delay can still be executed after it changes
+      await deposit.contract.scheduleOperation(encode("stopDeposits"));
+      await time.increase(delay);
+      await expect(deposit.contract.setTimelockDelay(0))
+        .to.emit(deposit.contract, "TimelockDelaySet")
+        .withArgs(0);
+      await expect(deposit.contract.setClaimManager(user2.address)).to.emit(
+        deposit.contract,
+        "ClaimManagerSet"
+      );
+      await expect(deposit.contract.stopDeposits()).to.emit(
+        deposit.contract,
+        "OperationExecuted"
+      );
+    });
+    it("Should execute operations which aren't ready yet once the delay is zero", async () => {
+      await deposit.contract.scheduleOperation(encode("setTimelockDelay", [0]));
+      await time.increase(delay / 2);
+      const data = encode("setClaimManager", [user2.address]);
+      const operationId = ethers.keccak256(data);
+      await deposit.contract.scheduleOperation(data);
+      await time.increase(delay / 2);
+      await deposit.contract.setTimelockDelay(0);
+      expect(
+        await deposit.contract.scheduledOperations(operationId)
+      ).to.be.greaterThan((await ethers.provider.getBlock("latest")).timestamp);
+
+      await expect(deposit.contract.setClaimManager(user2.address))
+        .to.emit(deposit.contract, "OperationExecuted")
+        .withArgs(operationId)
+        .and.to.emit(deposit.contract, "ClaimManagerSet")
+        .withArgs(user2.address);
+      expect(await deposit.contract.scheduledOperations(operationId)).to.equal(
+        0n
+      );
+    });
+    it("Should not set a delay longer than MAX_TIMELOCK_DELAY", async () => {
+      const maxDelay = await deposit.contract.MAX_TIMELOCK_DELAY();
+      await deposit.contract.scheduleOperation(
+        encode("setTimelockDelay", [maxDelay + 1n])
+      );
+      await time.increase(delay);
+      await expect(
+        deposit.contract.setTimelockDelay(maxDelay + 1n)
+      ).to.be.revertedWithCustomError(deposit.contract, "TimelockDelayTooLong");
+    });
+  });
+
+  describe("Emergency mode", () => {
+    const fundAndDeposit = async (token, amount, user) => {
+      if (user !== owner) {
+        await token.contract.transfer(user.address, amount);
+      }
+      await addAllowance(token, user, deposit, amount);
+      await depositTokens(deposit, token, amount, user);
+    };
+
+    it("Should only let admins enable emergency mode", async () => {
+      await expect(deposit.contract.connect(user1).enableEmergencyMode())
+        .to.be.revertedWithCustomError(
+          deposit.contract,
+          "AccessControlUnauthorizedAccount"
+        )
+        .withArgs(user1.address, ethers.ZeroHash);
+    });
+    it("Should stop deposits when emergency mode is enabled", async () => {
+      const tx = await deposit.contract.enableEmergencyMode();
+      const { timestamp } = await tx.getBlock();
+      await expect(tx)
+        .to.emit(deposit.contract, "DepositStopTimeSet")
+        .withArgs(timestamp)
+        .and.to.emit(deposit.contract, "EmergencyModeEnabled");
+      expect(await deposit.contract.emergencyMode()).to.equal(true);
+      expect(await deposit.contract.depositStopTime()).to.equal(timestamp);
+      await addAllowance(token1, owner, deposit, parseEther("1"));
+      await expect(
+        deposit.contract.deposit(token1.address, parseEther("1"))
+      ).to.be.revertedWithCustomError(deposit.contract, "DepositsStopped");
+    });
+    it("Should keep an earlier deposit stop time", async () => {
+      await deposit.contract.stopDeposits();
+      const depositStopTime = await deposit.contract.depositStopTime();
+      await time.increase(3600);
+      await expect(deposit.contract.enableEmergencyMode()).not.to.emit(
+        deposit.contract,
+        "DepositStopTimeSet"
+      );
+      expect(await deposit.contract.depositStopTime()).to.equal(
+        depositStopTime
+      );
+    });
+    it("Should not be disabled or enabled twice", async () => {
+      await deposit.contract.enableEmergencyMode();
+      await expect(
+        deposit.contract.enableEmergencyMode()
+      ).to.be.revertedWithCustomError(deposit.contract, "EmergencyModeActive");
+    });
+    it("Should not allow emergency withdrawals before emergency mode", async () => {
+      await fundAndDeposit(token1, parseEther("1"), owner);
+      await expect(
+        deposit.contract.emergencyWithdraw()
+      ).to.be.revertedWithCustomError(
+        deposit.contract,
+        "EmergencyModeNotActive"
+      );
+    });
+    it("Should return deposits stuck behind a broken claim manager, while paused", async () => {
+      // A contract which can't call withdrawTokens, so deposits can never reach users through it
+      await deposit.contract.setClaimManager(nonWhitelistedToken.address);
+      await fundAndDeposit(token1, parseEther("10"), user1);
+      await fundAndDeposit(token2, parseEther("3"), user1);
+      await fundAndDeposit(token2, parseEther("5"), user2);
+      await time.increase(3600);
+      await deposit.contract.pause();
+      await deposit.contract.enableEmergencyMode();
+      const frozenPoints = await deposit.contract.calculatePoints(
+        user1.address
+      );
+
+      const balanceBefore = await token2.contract.balanceOf(user1.address);
+      const withdrawnAmounts = await deposit.contract
+        .connect(user1)
+        .emergencyWithdraw.staticCall();
+      expect(withdrawnAmounts).to.eql([
+        parseEther("10"),
+        parseEther("3"),
+        0n,
+        0n,
+        0n,
+      ]);
+      await expect(deposit.contract.connect(user1).emergencyWithdraw())
+        .to.emit(deposit.contract, "EmergencyWithdrawal")
+        .withArgs(user1.address, token1.address, parseEther("10"))
+        .and.to.emit(deposit.contract, "EmergencyWithdrawal")
+        .withArgs(user1.address, token2.address, parseEther("3"));
+      expect(await token2.contract.balanceOf(user1.address)).to.equal(
+        balanceBefore + parseEther("3")
+      );
+      for (const token of [token1, token2]) {
+        expect(
+          await deposit.contract.tokenBalance(user1.address, token.address)
+        ).to.equal(0n);
+        expect(
+          await deposit.contract.tokenPointsPerHour(
+            user1.address,
+            token.address
+          )
+        ).to.equal(0n);
+      }
+      // Other users' deposits are untouched
+      expect(await token2.contract.balanceOf(deposit.address)).to.equal(
+        parseEther("5")
+      );
+
+      // Points froze when emergency mode was enabled, and are kept
+      await time.increase(3600);
+      const [pointsPerHour, , pointBalance] =
+        await deposit.contract.getUserInfo(user1.address);
+      expect(pointsPerHour).to.equal(0n);
+      expect(pointBalance).to.equal(frozenPoints);
+      expect(await deposit.contract.calculatePoints(user1.address)).to.equal(
+        frozenPoints
+      );
+
+      await expect(
+        deposit.contract.connect(user1).emergencyWithdraw()
+      ).to.be.revertedWithCustomError(deposit.contract, "ZeroAmount");
+    });
+    it("Should return deposits even if their points can't be calculated", async () => {
+      // A deposit so large that its points overflow after an hour
+      const amount = 10n ** 58n;
+      const hugeToken = await deployContract("tstETH", [amount, 18]);
+      await deposit.contract.addWhitelistedToken(hugeToken.address);
+      await fundAndDeposit(hugeToken, amount, user1);
+      await time.increase(3600);
+      await deposit.contract.enableEmergencyMode();
+      await expect(
+        deposit.contract.calculatePoints(user1.address)
+      ).to.be.revertedWithPanic(0x11);
+
+      await expect(
+        deposit.contract.connect(user1).emergencyWithdraw()
+      ).to.changeTokenBalances(
+        hugeToken.contract,
+        [deposit.address, user1.address],
+        [-amount, amount]
+      );
+      // The points which couldn't be calculated are forfeited
+      const [pointsPerHour, , pointBalance] =
+        await deposit.contract.getUserInfo(user1.address);
+      expect(pointsPerHour).to.equal(0n);
+      expect(pointBalance).to.equal(0n);
+      expect(await deposit.contract.calculatePoints(user1.address)).to.equal(
+        0n
+      );
+    });
+    it("Should return tokens which were removed from the whitelist", async () => {
+      await fundAndDeposit(token2, parseEther("4"), user1);
+      await deposit.contract.removeWhitelistedToken(token2.address);
+      expect(await deposit.contract.getAllWhitelistedTokens()).not.to.include(
+        token2.address
+      );
+      expect(await deposit.contract.getAllAcceptedTokens()).to.include(
+        token2.address
+      );
+      await deposit.contract.enableEmergencyMode();
+      await expect(
+        deposit.contract.connect(user1).emergencyWithdraw()
+      ).to.changeTokenBalances(
+        token2.contract,
+        [deposit.address, user1.address],
+        [-parseEther("4"), parseEther("4")]
+      );
+    });
+    it("Should unwrap WETH deposits and return them as ETH", async () => {
+      await deposit.contract.addWhitelistedToken(weth.address);
+      await deposit.contract
+        .connect(user1)
+        .depositETH({ value: parseEther("2") });
+      await deposit.contract.enableEmergencyMode();
+      const action = deposit.contract.connect(user1).emergencyWithdraw();
+      await expect(action)
+        .to.emit(deposit.contract, "EmergencyWithdrawal")
+        .withArgs(user1.address, weth.address, parseEther("2"));
+      await expect(action).to.changeEtherBalances(
+        [user1, weth.contract, deposit.contract],
+        [parseEther("2"), -parseEther("2"), 0n]
+      );
+      expect(await weth.contract.balanceOf(user1.address)).to.equal(0n);
+      expect(await weth.contract.balanceOf(deposit.address)).to.equal(0n);
+      expect(await deposit.contract.totalDeposited(weth.address)).to.equal(0n);
+    });
+    it("Should return WETH to contracts which can't receive ETH, without a second withdrawal", async () => {
+      await deposit.contract.addWhitelistedToken(weth.address);
+      const attack = await deployContract("ReentrancyAttack", [
+        deposit.address,
+      ]);
+      const honest = await deployContract("ReentrancyAttack", [
+        deposit.address,
+      ]);
+      for (const account of [attack, honest]) {
+        await account.contract.deposit(parseEther("1"), {
+          value: parseEther("1"),
+        });
+      }
+      await deposit.contract.enableEmergencyMode();
+
+      // A contract which accepts ETH gets it back unwrapped
+      await expect(
+        honest.contract.emergencyWithdraw(false)
+      ).to.changeEtherBalances([honest.address], [parseEther("1")]);
+
+      // Re-entering from receive reverts, so the ETH can't be sent and is returned as WETH
+      await expect(attack.contract.emergencyWithdraw(true))
+        .to.emit(deposit.contract, "EmergencyWithdrawal")
+        .withArgs(attack.address, weth.address, parseEther("1"));
+      expect(await ethers.provider.getBalance(attack.address)).to.equal(0n);
+      expect(await weth.contract.balanceOf(attack.address)).to.equal(
+        parseEther("1")
+      );
+      expect(
+        await deposit.contract.tokenBalance(attack.address, weth.address)
+      ).to.equal(0n);
+      expect(await weth.contract.balanceOf(deposit.address)).to.equal(0n);
+      await expect(
+        attack.contract.emergencyWithdraw(false)
+      ).to.be.revertedWithCustomError(deposit.contract, "ZeroAmount");
+    });
+    it("Should list each accepted token once, even if it is whitelisted again", async () => {
+      await deposit.contract.removeWhitelistedToken(token1.address);
+      await deposit.contract.addWhitelistedToken(token1.address);
+      await deposit.contract.addWhitelistedToken(nonWhitelistedToken.address);
+      expect(await deposit.contract.getAllAcceptedTokens()).to.eql([
+        ...erc20Deployments.map(({ address }) => address),
+        nonWhitelistedToken.address,
+      ]);
+    });
+  });
+
+  describe("withdrawTokens", () => {
+    it("Should accept valid token withdrawal", async () => {
+      await deposit.contract.setClaimManager(user1.address);
+
+      await token1.contract.transfer(user2.address, parseEther("1"));
+      await token2.contract.transfer(user2.address, parseEther("1"));
+      await addAllowance(token1, user2, deposit, parseEther("1"));
+      await addAllowance(token2, user2, deposit, parseEther("1"));
+      await depositTokens(deposit, token1, parseEther("1"), user2);
+      await time.increase(3599);
+      await depositTokens(deposit, token2, parseEther("1"), user2);
+      await time.increase(3599);
+      // 3 points earned here. txs take 1s each, and the first point is in the contract for 2hr while the second is in there for 1 hr
+      await deposit.contract.stopDeposits();
+      await expect(
+        deposit.contract.connect(user1).withdrawTokens(user2.address)
+      )
+        .to.emit(deposit.contract, "WithdrawTokens")
+        .withArgs(
+          user2.address,
+          erc20Deployments.map((token) =>
+            [token1.address, token2.address].includes(token.address)
+              ? parseEther("1")
+              : parseEther("0")
+          )
+        );
+      const newDepositBalances = await Promise.all([
+        deposit.contract.tokenBalance(user2.address, token1.address),
+        deposit.contract.tokenBalance(user2.address, token2.address),
+      ]);
+      expect(newDepositBalances).to.eql([parseEther("0"), parseEther("0")]);
+      const userInfo = await deposit.contract.getUserInfo(user2.address);
+      expect(userInfo.pointsPerHour).to.eql(parseEther("0"));
+      expect(userInfo.pointBalance).to.eql(parseEther("3"));
+    });
+    it("Should withdraw when all tokens have a balance", async () => {
+      await deposit.contract.setClaimManager(user2.address);
+      for (const token of erc20Deployments) {
+        await token.contract.transfer(user1.address, parseEther("1"));
+        await addAllowance(token, user1, deposit, parseEther("1"));
+        await depositTokens(deposit, token, parseEther("1"), user1);
+      }
+      await deposit.contract.stopDeposits();
+      await expect(
+        deposit.contract.connect(user2).withdrawTokens(user1.address)
+      )
+        .to.emit(deposit.contract, "WithdrawTokens")
+        .withArgs(
+          user1.address,
+          erc20Deployments.map((token) => parseEther("1"))
+        );
+      const newClaimBalances = await Promise.all(
+        erc20Deployments.map(
+          async (token) => await token.contract.balanceOf(user2.address)
+        )
+      );
+      expect(newClaimBalances).to.eql(
+        erc20Deployments.map((token) => parseEther("1"))
+      );
+    });
+    it("Should not transfer any tokens on double withdraw", async () => {
+      let originalBalances = await Promise.all(
+        erc20Deployments.map(
+          async (token) => await token.contract.balanceOf(user1.address)
+        )
+      );
+      await deposit.contract.setClaimManager(user2.address);
+      await token1.contract.transfer(user1.address, parseEther("1"));
+      await addAllowance(token1, user1, deposit, parseEther("1"));
+      await depositTokens(deposit, token1, parseEther("1"), user1);
+      await deposit.contract.stopDeposits();
+      await expect(
+        deposit.contract.connect(user2).withdrawTokens(user1.address)
+      )
+        .to.emit(deposit.contract, "WithdrawTokens")
+        .withArgs(
+          user1.address,
+          erc20Deployments.map((token) =>
+            [token1.address].includes(token.address)
+              ? parseEther("1")
+              : parseEther("0")
+          )
+        );
+      let newBalances = await Promise.all(
+        erc20Deployments.map(
+          async (token) => await token.contract.balanceOf(user1.address)
+        )
+      );
+      expect(newBalances).to.eql(originalBalances);
+      await expect(
+        deposit.contract.connect(user2).withdrawTokens(user1.address)
+      )
+        .to.emit(deposit.contract, "WithdrawTokens")
+        .withArgs(
+          user1.address,
+          erc20Deployments.map((token) => parseEther("0"))
+        );
+      newBalances = await Promise.all(
+        erc20Deployments.map(
+          async (token) => await token.contract.balanceOf(user1.address)
+        )
+      );
+      expect(newBalances).to.eql(originalBalances);
+    });
+    it("Should reject when not called from claim manager", async () => {
+      await deposit.contract.setClaimManager(user2.address);
+      await expect(
+        deposit.contract.connect(user1).withdrawTokens(user1.address)
+      ).to.be.revertedWithCustomError(deposit.contract, "NotClaimManager");
+    });
+    it("Should reject when called before deposit stop time", async () => {
+      await deposit.contract.setClaimManager(user1.address);
+      await expect(
+        deposit.contract.connect(user1).withdrawTokens(user1.address)
+      ).to.be.revertedWithCustomError(deposit.contract, "DepositsNotStopped");
+    });
+    it("Should reject withdrawal when contract paused", async () => {
+      await deposit.contract.pause();
+      await expect(
+        deposit.contract.connect(user1).withdrawTokens(user1.address)
+      ).to.be.revertedWithCustomError(deposit.contract, "EnforcedPause");
+    });
+    it("Should reject withdrawal for null address", async () => {
+      await deposit.contract.setClaimManager(user1.address);
+      await deposit.contract.stopDeposits();
+      await expect(
+        deposit.contract.connect(user1).withdrawTokens(ZeroAddress)
+      ).to.be.revertedWithCustomError(deposit.contract, "ZeroAddress");
+    });
+  });
+  describe("removeWhitelistedToken", async () => {
+    it("Should remove a token from the whitelist", async () => {
+      const originalLength = (await deposit.contract.getAllWhitelistedTokens())
+        .length;
+      await expect(deposit.contract.removeWhitelistedToken(token1.address))
+        .to.emit(deposit.contract, "WhitelistedTokenRemoved")
+        .withArgs(token1.address);
+      const newLength = (await deposit.contract.getAllWhitelistedTokens())
+        .length;
+      expect(newLength).to.equal(originalLength - 1);
+      expect(await deposit.contract.getAllWhitelistedTokens()).to.not.include(
+        token1.address
+      );
+    });
+    it("Should not allow removal of the null address", async () => {
+      await expect(
+        deposit.contract.removeWhitelistedToken(ZeroAddress)
+      ).to.be.revertedWithCustomError(deposit.contract, "ZeroAddress");
+    });
+    it("Should not allow removal of a token that is not whitelisted", async () => {
+      await expect(
+        deposit.contract.removeWhitelistedToken(nonWhitelistedToken.address)
+      ).to.be.revertedWithCustomError(deposit.contract, "TokenNotWhitelisted");
+    });
+    it("Should cease allowing deposits of a token that is no longer whitelisted", async () => {
+      await token1.contract.transfer(user1.address, parseEther("1"));
+      await addAllowance(token1, user1, deposit, parseEther("1"));
+      await depositTokens(deposit, token1, parseEther("1"), user1);
+      await deposit.contract.removeWhitelistedToken(token1.address);
+      await expect(
+        deposit.contract.deposit(token1.address, parseEther("1"))
+      ).to.be.revertedWithCustomError(deposit.contract, "TokenNotWhitelisted");
+    });
+    it("Should still withdraw a token that is no longer whitelisted", async () => {
+      await token1.contract.transfer(user1.address, parseEther("1"));
+      await addAllowance(token1, user1, deposit, parseEther("1"));
+      await depositTokens(deposit, token1, parseEther("1"), user1);
+      await deposit.contract.setClaimManager(owner.address);
+      await deposit.contract.stopDeposits();
+      await deposit.contract.removeWhitelistedToken(token1.address);
+      const ownerBalance = await token1.contract.balanceOf(owner.address);
+      await deposit.contract.withdrawTokens(user1.address);
+      expect(await token1.contract.balanceOf(owner.address)).to.equal(
+        ownerBalance + parseEther("1")
+      );
+      expect(
+        await deposit.contract.tokenBalance(user1.address, token1.address)
+      ).to.equal(0n);
+    });
+    it("Should restrict access to whitelist managers", async () => {
+      await expect(
+        deposit.contract.connect(user1).removeWhitelistedToken(token1.address)
+      ).to.be.revertedWithCustomError(
+        deposit.contract,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+    it("Should order withdrawn amounts by the accepted tokens, whether or not they are re-added", async () => {
+      await token1.contract.transfer(user1.address, parseEther("2"));
+      await addAllowance(token1, user1, deposit, parseEther("2"));
+      await depositTokens(deposit, token1, parseEther("2"), user1);
+      await deposit.contract.setClaimManager(user2.address);
+      await deposit.contract.stopDeposits();
+      await expect(deposit.contract.removeWhitelistedToken(token1.address))
+        .to.emit(deposit.contract, "WhitelistedTokenRemoved")
+        .withArgs(token1.address);
+      const acceptedTokens = await deposit.contract.getAllAcceptedTokens();
+      expect(acceptedTokens).to.include(token1.address);
+      const expectedAmounts = acceptedTokens.map((token) =>
+        token === token1.address ? parseEther("2") : 0n
+      );
+      await expect(
+        deposit.contract.connect(user2).withdrawTokens(user1.address)
+      )
+        .to.emit(deposit.contract, "WithdrawTokens")
+        .withArgs(user1.address, expectedAmounts);
+      expect(await token1.contract.balanceOf(user2.address)).to.equal(
+        parseEther("2")
+      );
+
+      // Re-adding the token changes the whitelist's order but not the accepted tokens'
+      await deposit.contract.addWhitelistedToken(token1.address);
+      expect(await deposit.contract.getAllAcceptedTokens()).to.eql(
+        acceptedTokens
+      );
+      await expect(
+        deposit.contract.connect(user2).withdrawTokens(user1.address)
+      )
+        .to.emit(deposit.contract, "WithdrawTokens")
+        .withArgs(
+          user1.address,
+          acceptedTokens.map(() => 0n)
+        );
+    });
+    it("Should allow cycles of addition and removal for the same token", async () => {
+      await expect(deposit.contract.removeWhitelistedToken(token1.address))
+        .to.emit(deposit.contract, "WhitelistedTokenRemoved")
+        .withArgs(token1.address);
+      expect(await deposit.contract.getAllWhitelistedTokens()).to.not.include(
+        token1.address
+      );
+      await expect(deposit.contract.addWhitelistedToken(token1.address))
+        .to.emit(deposit.contract, "WhitelistedTokenAdded")
+        .withArgs(token1.address);
+      expect(await deposit.contract.getAllWhitelistedTokens()).to.include(
+        token1.address
+      );
+      await expect(deposit.contract.removeWhitelistedToken(token1.address))
+        .to.emit(deposit.contract, "WhitelistedTokenRemoved")
+        .withArgs(token1.address);
+      expect(await deposit.contract.getAllWhitelistedTokens()).to.not.include(
+        token1.address
+      );
+    });
+  });
+  describe("claim", () => {
+    it("Should correctly claim using mock claim contract", async () => {
+      const mockClaimContract = await deployMockClaimContractFixture(
+        deposit.address
+      );
+      await deposit.contract.setClaimManager(mockClaimContract.address);
+      await token1.contract.transfer(user2.address, parseEther("1"));
+      await addAllowance(token1, user2, deposit, parseEther("2"));
+      await depositTokens(deposit, token1, parseEther("1"), user2);
+      await time.increase(3599);
+      await deposit.contract.stopDeposits();
+      await expect(mockClaimContract.contract.claimPoints(user2.address))
+        .to.emit(mockClaimContract.contract, "PointsClaimed")
+        .withArgs(user2.address, parseEther("1"));
+    });
+    it("Should accept claim and reduce user's point balance to zero", async () => {
+      await deposit.contract.setClaimManager(user1.address);
+      await token1.contract.transfer(user2.address, parseEther("2"));
+      await addAllowance(token1, user2, deposit, parseEther("2"));
+      await depositTokens(deposit, token1, parseEther("1"), user2);
+      await time.increase(3599);
+      await depositTokens(deposit, token1, parseEther("1"), user2);
+      await deposit.contract.stopDeposits();
+      const initialInfo = await deposit.contract.getUserInfo(user2.address);
+      expect(initialInfo.pointBalance).to.equal(parseEther("1"));
+      await deposit.contract.connect(user1).claim(user2.address);
+      const info = await deposit.contract.getUserInfo(user2.address);
+      expect(info.pointBalance).to.equal(parseEther("0"));
+    });
+    it("Should return no points on double claim", async () => {
+      await deposit.contract.setClaimManager(user2.address);
+      await token1.contract.transfer(user1.address, parseEther("1"));
+      await addAllowance(token1, user1, deposit, parseEther("1"));
+      await depositTokens(deposit, token1, parseEther("1"), user1);
+      await time.increase(3599);
+      await deposit.contract.stopDeposits();
+      await expect(deposit.contract.connect(user2).claim(user1.address))
+        .to.emit(deposit.contract, "ClaimPoints")
+        .withArgs(user1.address, parseEther("1"));
+      await expect(deposit.contract.connect(user2).claim(user1.address))
+        .to.emit(deposit.contract, "ClaimPoints")
+        .withArgs(user1.address, parseEther("0"));
+    });
+
+    it("Should correctly handle point accrual and claim process", async () => {
+      await deposit.contract.setClaimManager(user1.address);
+
+      // Transfer and allow tokens for deposit
+      await token1.contract.transfer(user2.address, parseEther("2"));
+      await addAllowance(token1, user2, deposit, parseEther("2"));
+
+      // Initial deposit
+      await depositTokens(deposit, token1, parseEther("1"), user2);
+      // In two hours, the contract will switch to claim mode
+      await time.increase(7199);
+
+      // Make a last-second deposit
+      await depositTokens(deposit, token1, parseEther("1"), user2);
+
+      // Stop deposits
+      await deposit.contract.stopDeposits();
+
+      const additionalPointsFromLastDeposit = parseEther(
+        "0.000555555555555555"
+      );
+
+      // Simulate another hour passing, post-deposit stop time
+      await time.increase(3600);
+
+      // Verify initial point balance before claim
+      const initialInfo = await deposit.contract.getUserInfo(user2.address);
+      expect(initialInfo.pointBalance).to.equal(parseEther("2"));
+
+      // Perform claim and verify event emission
+      await expect(deposit.contract.connect(user1).claim(user2.address))
+        .to.emit(deposit.contract, "ClaimPoints")
+        .withArgs(
+          user2.address,
+          parseEther("2") + additionalPointsFromLastDeposit
+        );
+
+      // Confirm point balance is reset to zero after claim
+      const postClaimInfo = await deposit.contract.getUserInfo(user2.address);
+      expect(postClaimInfo.pointBalance).to.equal(parseEther("0"));
+    });
+
+    it("Should reject when contract paused", async () => {
+      await deposit.contract.setClaimManager(user1.address);
+      await deposit.contract.stopDeposits();
+      await time.increase(1);
+      await deposit.contract.pause();
+      await expect(
+        deposit.contract.connect(user1).claim(user2.address)
+      ).to.be.revertedWithCustomError(deposit.contract, "EnforcedPause");
+    });
+    it("Should reject when claim address is null", async () => {
+      const currentTime = await time.latest();
+      await deposit.contract.stopDeposits();
+      await time.increase(3601);
+      await expect(
+        deposit.contract.claim(user1.address)
+      ).to.be.revertedWithCustomError(deposit.contract, "ClaimManagerNotSet");
+    });
+    it("Should reject claim for null address", async () => {
+      await deposit.contract.setClaimManager(user1.address);
+      const currentTime = await time.latest();
+      await deposit.contract.stopDeposits();
+      await expect(
+        deposit.contract.connect(user1).claim(ZeroAddress)
+      ).to.be.revertedWithCustomError(deposit.contract, "ZeroAddress");
+    });
+    it("Should reject when not claim address", async () => {
+      await deposit.contract.setClaimManager(user2.address);
+      const currentTime = await time.latest();
+      await deposit.contract.stopDeposits();
+      await expect(
+        deposit.contract.connect(user1).claim(user2.address)
+      ).to.be.revertedWithCustomError(deposit.contract, "NotClaimManager");
+    });
+    it("Should reject when before deposit stop time", async () => {
+      await deposit.contract.setClaimManager(user2.address);
+      await expect(
+        deposit.contract.connect(user2).claim(user2.address)
+      ).to.be.revertedWithCustomError(deposit.contract, "DepositsNotStopped");
+    });
+  });
+  describe("claimBatch", () => {
+    beforeEach(async () => {
+      await deposit.contract.setClaimManager(user1.address);
+      await addAllowance(token1, owner, deposit, ethers.MaxUint256);
+    });
+    it("Should claim for every user and skip users without points", async () => {
+      await deposit.contract.depositFor(
+        user2.address,
+        token1.address,
+        parseEther("1"),
+        ZeroAddress
+      );
+      await time.increase(3599);
+      await deposit.contract.stopDeposits();
+      const users = [user2.address, owner.address, user2.address];
+      expect(
+        await deposit.contract.connect(user1).claimBatch.staticCall(users)
+      ).to.eql([parseEther("1"), 0n, 0n]);
+
+      const tx = deposit.contract.connect(user1).claimBatch(users);
+      await expect(tx)
+        .to.emit(deposit.contract, "ClaimPoints")
+        .withArgs(user2.address, parseEther("1"));
+      const receipt = await (await tx).wait();
+      expect(receipt.logs).to.have.lengthOf(1);
+      expect(
+        (await deposit.contract.getUserInfo(user2.address)).pointBalance
+      ).to.equal(0n);
+      // Users without points are left untouched
+      expect(
+        (await deposit.contract.getUserInfo(owner.address)).lastUpdated
+      ).to.equal(0n);
+    });
+    it("Should only allow the claim manager", async () => {
+      await deposit.contract.stopDeposits();
+      await expect(
+        deposit.contract.claimBatch([user2.address])
+      ).to.be.revertedWithCustomError(deposit.contract, "NotClaimManager");
+    });
+    it("Should reject claims before the deposit stop", async () => {
+      await expect(
+        deposit.contract.connect(user1).claimBatch([user2.address])
+      ).to.be.revertedWithCustomError(deposit.contract, "DepositsNotStopped");
+    });
+    it("Should reject empty batches and batches over MAX_BATCH_SIZE", async () => {
+      await deposit.contract.stopDeposits();
+      await expect(
+        deposit.contract.connect(user1).claimBatch([])
+      ).to.be.revertedWithCustomError(deposit.contract, "EmptyBatch");
+      const maxBatchSize = await deposit.contract.MAX_BATCH_SIZE();
+      await expect(
+        deposit.contract
+          .connect(user1)
+          .claimBatch(Array(Number(maxBatchSize) + 1).fill(user2.address))
+      ).to.be.revertedWithCustomError(deposit.contract, "BatchTooLarge");
+    });
+  });
+  describe("withdrawTokensBatch", () => {
+    beforeEach(async () => {
+      await deposit.contract.setClaimManager(user1.address);
+      for (const token of [token1, token2]) {
+        await addAllowance(token, owner, deposit, ethers.MaxUint256);
+      }
+    });
+    it("Should withdraw for every user and skip users without balances", async () => {
+      await deposit.contract.depositFor(
+        user2.address,
+        token1.address,
+        parseEther("1"),
+        ZeroAddress
+      );
+      await deposit.contract.depositFor(
+        owner.address,
+        token2.address,
+        parseEther("2"),
+        ZeroAddress
+      );
+      await deposit.contract.depositFor(
+        owner.address,
+        token1.address,
+        parseEther("3"),
+        ZeroAddress
+      );
+      await deposit.contract.stopDeposits();
+      const users = [user2.address, user1.address, owner.address];
+      const amounts = (balances) =>
+        erc20Deployments.map(
+          (token) => balances[token.address] ?? parseEther("0")
+        );
+      expect(
+        await deposit.contract
+          .connect(user1)
+          .withdrawTokensBatch.staticCall(users)
+      ).to.eql([
+        amounts({ [token1.address]: parseEther("1") }),
+        amounts({}),
+        amounts({
+          [token1.address]: parseEther("3"),
+          [token2.address]: parseEther("2"),
+        }),
+      ]);
+
+      const tx = deposit.contract.connect(user1).withdrawTokensBatch(users);
+      await expect(tx)
+        .to.emit(deposit.contract, "WithdrawTokens")
+        .withArgs(user2.address, amounts({ [token1.address]: parseEther("1") }))
+        .and.to.emit(deposit.contract, "WithdrawTokens")
+        .withArgs(
+          owner.address,
+          amounts({
+            [token1.address]: parseEther("3"),
+            [token2.address]: parseEther("2"),
+          })
+        );
+      await expect(tx).to.changeTokenBalances(
+        token1.contract,
+        [deposit.contract, user1],
+        [-parseEther("4"), parseEther("4")]
+      );
+      // Each token is sent to the claim manager once for the whole batch
+      const receipt = await (await tx).wait();
+      const transfers = receipt.logs.filter(
+        (log) => log.address === token1.address
+      );
+      expect(transfers).to.have.lengthOf(1);
+      for (const user of [user2, owner]) {
+        const info = await deposit.contract.getUserInfo(user.address);
+        expect(info.pointsPerHour).to.equal(0n);
+        expect(
+          await deposit.contract.tokenBalance(user.address, token1.address)
+        ).to.equal(0n);
+      }
+      expect(
+        (await deposit.contract.getUserInfo(user1.address)).lastUpdated
+      ).to.equal(0n);
+    });
+    it("Should only allow the claim manager", async () => {
+      await deposit.contract.stopDeposits();
+      await expect(
+        deposit.contract.withdrawTokensBatch([user2.address])
+      ).to.be.revertedWithCustomError(deposit.contract, "NotClaimManager");
+    });
+    it("Should reject withdrawals before the deposit stop", async () => {
+      await expect(
+        deposit.contract.connect(user1).withdrawTokensBatch([user2.address])
+      ).to.be.revertedWithCustomError(deposit.contract, "DepositsNotStopped");
+    });
+    it("Should reject empty batches and batches over MAX_BATCH_SIZE", async () => {
+      await deposit.contract.stopDeposits();
+      await expect(
+        deposit.contract.connect(user1).withdrawTokensBatch([])
+      ).to.be.revertedWithCustomError(deposit.contract, "EmptyBatch");
+      const maxBatchSize = await deposit.contract.MAX_BATCH_SIZE();
+      await expect(
+        deposit.contract
+          .connect(user1)
+          .withdrawTokensBatch(
+            Array(Number(maxBatchSize) + 1).fill(user2.address)
+          )
+      ).to.be.revertedWithCustomError(deposit.contract, "BatchTooLarge");
+    });
+  });
+  describe("addWhitelistedToken", () => {
+    it("Should reject token at zero address", async () => {
+      await expect(
+        deposit.contract.connect(owner).addWhitelistedToken(ZeroAddress)
+      ).to.be.revertedWithCustomError(deposit.contract, "ZeroAddress");
+    });
+    it("Should reject addWhitelistedToken without the role", async () => {
+      await expect(
+        deposit.contract
+          .connect(user1)
+          .addWhitelistedToken(nonWhitelistedToken.address)
+      ).to.be.revertedWithCustomError(
+        deposit.contract,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+    it("Should accept addWhitelistedToken when owner", async () => {
+      await addTokenToWhitelist(deposit, nonWhitelistedToken, owner);
+    });
+    it("Should reject a token which is already whitelisted", async () => {
+      await addTokenToWhitelist(
+        deposit,
+        token1,
+        owner,
+        true,
+        "TokenAlreadyWhitelisted"
+      );
+      expect(await deposit.contract.getAllWhitelistedTokens()).to.have.lengthOf(
+        erc20Deployments.length
+      );
+    });
+  });
+  describe("setTokenMultiplier", () => {
+    it("Should give whitelisted tokens the default multiplier", async () => {
+      expect(await deposit.contract.tokenMultipliers(token1.address)).to.equal(
+        await deposit.contract.MULTIPLIER_SCALE()
+      );
+      expect(await deposit.contract.tokenDecimals(token1.address)).to.equal(18);
+    });
+    it("Should emit TokenMultiplierSet when a token is whitelisted", async () => {
+      await expect(
+        deposit.contract.addWhitelistedToken(nonWhitelistedToken.address)
+      )
+        .to.emit(deposit.contract, "TokenMultiplierSet")
+        .withArgs(nonWhitelistedToken.address, parseEther("1"));
+    });
+    it("Should set the multiplier when owner", async () => {
+      await expect(
+        deposit.contract.setTokenMultiplier(token1.address, parseEther("1.5"))
+      )
+        .to.emit(deposit.contract, "TokenMultiplierSet")
+        .withArgs(token1.address, parseEther("1.5"));
+      expect(await deposit.contract.tokenMultipliers(token1.address)).to.equal(
+        parseEther("1.5")
+      );
+    });
+    it("Should reject setTokenMultiplier without the role", async () => {
+      await expect(
+        deposit.contract
+          .connect(user1)
+          .setTokenMultiplier(token1.address, parseEther("1.5"))
+      ).to.be.revertedWithCustomError(
+        deposit.contract,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+    it("Should reject a token that is not whitelisted", async () => {
+      await expect(
+        deposit.contract.setTokenMultiplier(
+          nonWhitelistedToken.address,
+          parseEther("1.5")
+        )
+      ).to.be.revertedWithCustomError(deposit.contract, "TokenNotWhitelisted");
+    });
+    it("Should reject a zero multiplier", async () => {
+      await expect(
+        deposit.contract.setTokenMultiplier(token1.address, 0)
+      ).to.be.revertedWithCustomError(deposit.contract, "ZeroMultiplier");
+    });
+    it("Should reject a multiplier above MAX_MULTIPLIER", async () => {
+      const maxMultiplier = await deposit.contract.MAX_MULTIPLIER();
+      await expect(
+        deposit.contract.setTokenMultiplier(token1.address, maxMultiplier + 1n)
+      ).to.be.revertedWithCustomError(deposit.contract, "MultiplierTooHigh");
+      await expect(
+        deposit.contract.setTokenMultiplier(token1.address, maxMultiplier)
+      )
+        .to.emit(deposit.contract, "TokenMultiplierSet")
+        .withArgs(token1.address, maxMultiplier);
+    });
+    it("Should keep the multiplier of a token that is whitelisted again", async () => {
+      await deposit.contract.setTokenMultiplier(
+        token1.address,
+        parseEther("1.5")
+      );
+      await deposit.contract.removeWhitelistedToken(token1.address);
+      await expect(deposit.contract.addWhitelistedToken(token1.address))
+        .to.emit(deposit.contract, "TokenMultiplierSet")
+        .withArgs(token1.address, parseEther("1.5"));
+    });
+    it("Should weight future deposits by the multiplier", async () => {
+      await addAllowance(token1, owner, deposit, parseEther("2"));
+      await deposit.contract.deposit(token1.address, parseEther("1"));
+      await deposit.contract.setTokenMultiplier(
+        token1.address,
+        parseEther("1.5")
+      );
+      expect(
+        (await deposit.contract.getUserInfo(owner.address)).pointsPerHour
+      ).to.equal(parseEther("1"));
+      await deposit.contract.deposit(token1.address, parseEther("1"));
+      expect(
+        (await deposit.contract.getUserInfo(owner.address)).pointsPerHour
+      ).to.equal(parseEther("2.5"));
+      expect(
+        await deposit.contract.tokenBalance(owner.address, token1.address)
+      ).to.equal(parseEther("2"));
+    });
+  });
+  describe("Deposit limits", () => {
+    beforeEach(async () => {
+      await token1.contract.transfer(user1.address, parseEther("10"));
+      for (const user of [owner, user1]) {
+        await addAllowance(token1, user, deposit, parseEther("10"));
+      }
+    });
+
+    it("Should set the deposit limits of a token", async () => {
+      await expect(
+        deposit.contract.setDepositLimits(
+          token1.address,
+          parseEther("10"),
+          parseEther("4"),
+          parseEther("0.5")
+        )
+      )
+        .to.emit(deposit.contract, "DepositLimitsSet")
+        .withArgs(
+          token1.address,
+          parseEther("10"),
+          parseEther("4"),
+          parseEther("0.5")
+        );
+      expect(await deposit.contract.maxTotalDeposits(token1.address)).to.equal(
+        parseEther("10")
+      );
+      expect(await deposit.contract.maxUserDeposits(token1.address)).to.equal(
+        parseEther("4")
+      );
+      expect(await deposit.contract.minDepositAmounts(token1.address)).to.equal(
+        parseEther("0.5")
+      );
+    });
+    it("Should reject limits for a token that is not whitelisted", async () => {
+      await expect(
+        deposit.contract.setDepositLimits(nonWhitelistedToken.address, 0, 0, 0)
+      ).to.be.revertedWithCustomError(deposit.contract, "TokenNotWhitelisted");
+    });
+    it("Should reject a minimum deposit above either cap", async () => {
+      for (const [maxTotal, maxUser] of [
+        [parseEther("1"), 0n],
+        [0n, parseEther("1")],
+      ]) {
+        await expect(
+          deposit.contract.setDepositLimits(
+            token1.address,
+            maxTotal,
+            maxUser,
+            parseEther("2")
+          )
+        ).to.be.revertedWithCustomError(
+          deposit.contract,
+          "InvalidDepositLimits"
+        );
+      }
+    });
+    it("Should reject deposits below the minimum", async () => {
+      await deposit.contract.setDepositLimits(
+        token1.address,
+        0,
+        0,
+        parseEther("1")
+      );
+      await expect(
+        deposit.contract.deposit(token1.address, parseEther("0.99"))
+      ).to.be.revertedWithCustomError(deposit.contract, "DepositBelowMinimum");
+      await expect(deposit.contract.deposit(token1.address, parseEther("1"))).to
+        .not.be.reverted;
+    });
+    it("Should cap the total deposits of a token across users", async () => {
+      await deposit.contract.setDepositLimits(
+        token1.address,
+        parseEther("5"),
+        0,
+        0
+      );
+      await deposit.contract.deposit(token1.address, parseEther("3"));
+      expect(
+        await deposit.contract.remainingDepositCapacity(token1.address)
+      ).to.equal(parseEther("2"));
+      await expect(
+        deposit.contract
+          .connect(user1)
+          .deposit(token1.address, parseEther("2.01"))
+      ).to.be.revertedWithCustomError(
+        deposit.contract,
+        "TotalDepositCapExceeded"
+      );
+      await deposit.contract
+        .connect(user1)
+        .deposit(token1.address, parseEther("2"));
+      expect(
+        await deposit.contract.remainingDepositCapacity(token1.address)
+      ).to.equal(0n);
+      expect(await deposit.contract.totalDeposited(token1.address)).to.equal(
+        parseEther("5")
+      );
+    });
+    it("Should cap each user's balance of a token", async () => {
+      await deposit.contract.setDepositLimits(
+        token1.address,
+        0,
+        parseEther("4"),
+        0
+      );
+      await deposit.contract.deposit(token1.address, parseEther("3"));
+      expect(
+        await deposit.contract.remainingUserDepositCapacity(
+          owner.address,
+          token1.address
+        )
+      ).to.equal(parseEther("1"));
+      await expect(
+        deposit.contract.deposit(token1.address, parseEther("1.01"))
+      ).to.be.revertedWithCustomError(
+        deposit.contract,
+        "UserDepositCapExceeded"
+      );
+      // Other users have their own allowance under the cap
+      await deposit.contract
+        .connect(user1)
+        .deposit(token1.address, parseEther("4"));
+    });
+    it("Should apply the caps to every deposit in a depositMany batch", async () => {
+      await deposit.contract.setDepositLimits(
+        token1.address,
+        0,
+        parseEther("4"),
+        0
+      );
+      await expect(
+        deposit.contract.depositMany(
+          [token1.address, token1.address],
+          [parseEther("3"), parseEther("2")]
+        )
+      ).to.be.revertedWithCustomError(
+        deposit.contract,
+        "UserDepositCapExceeded"
+      );
+    });
+    it("Should limit a user's capacity by whichever cap is lower", async () => {
+      await deposit.contract.setDepositLimits(
+        token1.address,
+        parseEther("5"),
+        parseEther("4"),
+        0
+      );
+      expect(
+        await deposit.contract.remainingUserDepositCapacity(
+          user1.address,
+          token1.address
+        )
+      ).to.equal(parseEther("4"));
+      await deposit.contract.deposit(token1.address, parseEther("3"));
+      expect(
+        await deposit.contract.remainingUserDepositCapacity(
+          user1.address,
+          token1.address
+        )
+      ).to.equal(parseEther("2"));
+    });
+    it("Should report unlimited capacity for uncapped tokens", async () => {
+      expect(
+        await deposit.contract.remainingDepositCapacity(token1.address)
+      ).to.equal(ethers.MaxUint256);
+      expect(
+        await deposit.contract.remainingUserDepositCapacity(
+          owner.address,
+          token1.address
+        )
+      ).to.equal(ethers.MaxUint256);
+    });
+    it("Should keep balances above a lowered cap, but block further deposits", async () => {
+      await deposit.contract.deposit(token1.address, parseEther("3"));
+      await deposit.contract.setDepositLimits(
+        token1.address,
+        parseEther("2"),
+        0,
+        0
+      );
+      expect(
+        await deposit.contract.remainingDepositCapacity(token1.address)
+      ).to.equal(0n);
+      await expect(
+        deposit.contract.deposit(token1.address, 1n)
+      ).to.be.revertedWithCustomError(
+        deposit.contract,
+        "TotalDepositCapExceeded"
+      );
+      expect(
+        await deposit.contract.tokenBalance(owner.address, token1.address)
+      ).to.equal(parseEther("3"));
+    });
+    it("Should free capacity when tokens are withdrawn", async () => {
+      await deposit.contract.setWithdrawalsEnabled(true);
+      await deposit.contract.setDepositLimits(
+        token1.address,
+        parseEther("5"),
+        0,
+        0
+      );
+      await deposit.contract.deposit(token1.address, parseEther("5"));
+      await deposit.contract.withdraw(token1.address, parseEther("2"));
+      expect(await deposit.contract.totalDeposited(token1.address)).to.equal(
+        parseEther("3")
+      );
+      expect(
+        await deposit.contract.remainingDepositCapacity(token1.address)
+      ).to.equal(parseEther("2"));
+    });
+  });
+  describe("getProtocolStats", () => {
+    beforeEach(async () => {
+      for (const token of [token1, token2]) {
+        await token.contract.transfer(user1.address, parseEther("10"));
+        for (const user of [owner, user1]) {
+          await addAllowance(token, user, deposit, parseEther("10"));
+        }
+      }
+    });
+
+    /**
+     * Gets the protocol stats, with the total of each token keyed by its address
+     */
+    const getStats = async () => {
+      const [tokens, totals, depositors, pointsPerHour] =
+        await deposit.contract.getProtocolStats();
+      return {
+        totals: Object.fromEntries(
+          tokens.map((token, i) => [token, totals[i]])
+        ),
+        depositors,
+        pointsPerHour,
+      };
+    };
+
+    it("Should report nothing deposited before the first deposit", async () => {
+      const [tokens, totals, depositors, pointsPerHour] =
+        await deposit.contract.getProtocolStats();
+      expect(tokens).to.eql(await deposit.contract.getAllAcceptedTokens());
+      expect(totals.every((total) => total === 0n)).to.equal(true);
+      expect(depositors).to.equal(0n);
+      expect(pointsPerHour).to.equal(0n);
+    });
+    it("Should total deposits across users and count each depositor once", async () => {
+      await deposit.contract.deposit(token1.address, parseEther("1"));
+      await deposit.contract.depositMany(
+        [token1.address, token2.address],
+        [parseEther("2"), parseEther("3")]
+      );
+      await deposit.contract
+        .connect(user1)
+        .deposit(token2.address, parseEther("4"));
+      const { totals, depositors, pointsPerHour } = await getStats();
+      expect(totals[token1.address]).to.equal(parseEther("3"));
+      expect(totals[token2.address]).to.equal(parseEther("7"));
+      expect(await deposit.contract.totalDeposited(token2.address)).to.equal(
+        parseEther("7")
+      );
+      expect(depositors).to.equal(2n);
+      expect(pointsPerHour).to.equal(parseEther("10"));
+    });
+    it("Should count the beneficiary of depositFor, not the sender", async () => {
+      await deposit.contract.depositFor(
+        user2.address,
+        token1.address,
+        parseEther("1"),
+        ZeroAddress
+      );
+      expect((await getStats()).depositors).to.equal(1n);
+      await deposit.contract.deposit(token1.address, parseEther("1"));
+      expect((await getStats()).depositors).to.equal(2n);
     });
-    it("Should cease allowing deposits of a token that is no longer whitelisted", async () => {
-      await token1.contract.transfer(user1.address, parseEther("1"));
-      await addAllowance(token1, user1, deposit, parseEther("1"));
-      await depositTokens(deposit, token1, parseEther("1"), user1);
-      await deposit.contract.removeWhitelistedToken(token1.address);
-      await expect(
-        deposit.contract.deposit(token1.address, parseEther("1"))
-      ).to.be.revertedWithCustomError(deposit.contract, "TokenNotWhitelisted");
+    it("Should reduce the totals on withdrawal", async () => {
+      await deposit.contract.setWithdrawalsEnabled(true);
+      await deposit.contract.deposit(token1.address, parseEther("3"));
+      await deposit.contract.withdraw(token1.address, parseEther("1"));
+      const { totals, depositors, pointsPerHour } = await getStats();
+      expect(totals[token1.address]).to.equal(parseEther("2"));
+      expect(pointsPerHour).to.equal(parseEther("2"));
+      // Depositors who withdraw are still counted
+      expect(depositors).to.equal(1n);
     });
-    it("Should not do withdrawals of a token that is no longer whitelisted", async () => {
-      await token1.contract.transfer(user1.address, parseEther("1"));
-      await addAllowance(token1, user1, deposit, parseEther("1"));
-      await depositTokens(deposit, token1, parseEther("1"), user1);
+    it("Should clear a user's share of the totals when the claim manager withdraws their tokens", async () => {
+      await deposit.contract.deposit(token1.address, parseEther("3"));
+      await deposit.contract
+        .connect(user1)
+        .deposit(token1.address, parseEther("2"));
       await deposit.contract.setClaimManager(owner.address);
       await deposit.contract.stopDeposits();
-      await deposit.contract.removeWhitelistedToken(token1.address);
+      await deposit.contract.withdrawTokensBatch([owner.address]);
+      let stats = await getStats();
+      expect(stats.totals[token1.address]).to.equal(parseEther("2"));
+      expect(stats.pointsPerHour).to.equal(parseEther("2"));
       await deposit.contract.withdrawTokens(user1.address);
-      expect(await token1.contract.balanceOf(user1.address)).to.equal(
-        parseEther("0")
-      );
+      stats = await getStats();
+      expect(stats.totals[token1.address]).to.equal(0n);
+      expect(stats.pointsPerHour).to.equal(0n);
     });
-    it("Should restrict access to owner", async () => {
-      await expect(
-        deposit.contract.connect(user1).removeWhitelistedToken(token1.address)
-      ).to.be.revertedWithCustomError(
-        deposit.contract,
-        "OwnableUnauthorizedAccount"
+    it("Should clear a user's share of the totals on an emergency withdrawal", async () => {
+      await deposit.contract.deposit(token1.address, parseEther("3"));
+      await deposit.contract
+        .connect(user1)
+        .deposit(token2.address, parseEther("2"));
+      await deposit.contract.enableEmergencyMode();
+      await deposit.contract.emergencyWithdraw();
+      const { totals, pointsPerHour } = await getStats();
+      expect(totals[token1.address]).to.equal(0n);
+      expect(totals[token2.address]).to.equal(parseEther("2"));
+      expect(pointsPerHour).to.equal(parseEther("2"));
+    });
+    it("Should include removed tokens and leave out tokens sent to the contract directly", async () => {
+      await deposit.contract.deposit(token1.address, parseEther("1"));
+      await deposit.contract.removeWhitelistedToken(token1.address);
+      await token1.contract.transfer(deposit.address, parseEther("5"));
+      expect((await getStats()).totals[token1.address]).to.equal(
+        parseEther("1")
       );
     });
-    it("Should allow withdraw if a whitelisted token is re-added", async () => {
-      await token1.contract.transfer(user1.address, parseEther("1"));
-      await addAllowance(token1, user1, deposit, parseEther("1"));
-      await depositTokens(deposit, token1, parseEther("1"), user1);
-      await deposit.contract.setClaimManager(user2.address);
-      await deposit.contract.stopDeposits();
-      await expect(deposit.contract.removeWhitelistedToken(token1.address))
-        .to.emit(deposit.contract, "WhitelistedTokenRemoved")
-        .withArgs(token1.address);
-      expect(await deposit.contract.getAllWhitelistedTokens()).to.not.include(
-        token1.address
+  });
+  describe("rescueTokens", () => {
+    it("Should recover a token which was never whitelisted", async () => {
+      await nonWhitelistedToken.contract.transfer(
+        deposit.address,
+        parseEther("2")
       );
       await expect(
-        deposit.contract.connect(user2).withdrawTokens(user1.address)
+        deposit.contract.rescueTokens(
+          nonWhitelistedToken.address,
+          user2.address,
+          parseEther("2")
+        )
       )
-        .to.emit(deposit.contract, "WithdrawTokens")
-        .withArgs(user1.address, [
-          parseEther("0"),
-          parseEther("0"),
-          parseEther("0"),
-          parseEther("0"),
-        ]);
-      expect(await token1.contract.balanceOf(user1.address)).to.equal(
-        parseEther("0")
-      );
-      await expect(deposit.contract.addWhitelistedToken(token1.address))
-        .to.emit(deposit.contract, "WhitelistedTokenAdded")
-        .withArgs(token1.address);
+        .to.emit(deposit.contract, "TokensRescued")
+        .withArgs(nonWhitelistedToken.address, user2.address, parseEther("2"));
+      expect(
+        await nonWhitelistedToken.contract.balanceOf(user2.address)
+      ).to.equal(parseEther("2"));
+    });
+    it("Should only recover the surplus of a whitelisted token above user deposits", async () => {
+      await addAllowance(token1, owner, deposit, parseEther("3"));
+      await deposit.contract.deposit(token1.address, parseEther("3"));
+      await token1.contract.transfer(deposit.address, parseEther("1"));
       await expect(
-        deposit.contract.connect(user2).withdrawTokens(user1.address)
-      )
-        .to.emit(deposit.contract, "WithdrawTokens")
-        .withArgs(user1.address, [
-          parseEther("0"),
-          parseEther("0"),
-          parseEther("0"),
-          parseEther("0"),
-          parseEther("1"),
-        ]);
-      expect(await token1.contract.balanceOf(user2.address)).to.equal(
+        deposit.contract.rescueTokens(
+          token1.address,
+          user2.address,
+          parseEther("1.01")
+        )
+      ).to.be.revertedWithCustomError(deposit.contract, "InsufficientSurplus");
+      await deposit.contract.rescueTokens(
+        token1.address,
+        user2.address,
         parseEther("1")
       );
-    });
-    it("Should allow cycles of addition and removal for the same token", async () => {
-      await expect(deposit.contract.removeWhitelistedToken(token1.address))
-        .to.emit(deposit.contract, "WhitelistedTokenRemoved")
-        .withArgs(token1.address);
-      expect(await deposit.contract.getAllWhitelistedTokens()).to.not.include(
-        token1.address
+      expect(await token1.contract.balanceOf(deposit.address)).to.equal(
+        parseEther("3")
       );
-      await expect(deposit.contract.addWhitelistedToken(token1.address))
-        .to.emit(deposit.contract, "WhitelistedTokenAdded")
-        .withArgs(token1.address);
-      expect(await deposit.contract.getAllWhitelistedTokens()).to.include(
-        token1.address
+      expect(
+        await deposit.contract.tokenBalance(owner.address, token1.address)
+      ).to.equal(parseEther("3"));
+      await expect(
+        deposit.contract.rescueTokens(token1.address, user2.address, 1n)
+      ).to.be.revertedWithCustomError(deposit.contract, "InsufficientSurplus");
+    });
+    it("Should never let user deposits be recovered after they are withdrawn", async () => {
+      await addAllowance(token1, owner, deposit, parseEther("3"));
+      await deposit.contract.deposit(token1.address, parseEther("3"));
+      await deposit.contract.setClaimManager(owner.address);
+      await deposit.contract.stopDeposits();
+      await token1.contract.transfer(deposit.address, parseEther("1"));
+      await deposit.contract.withdrawTokens(owner.address);
+      // Only the mistaken transfer is left once the deposit has been withdrawn
+      await expect(
+        deposit.contract.rescueTokens(
+          token1.address,
+          user2.address,
+          parseEther("1.01")
+        )
+      ).to.be.revertedWithCustomError(deposit.contract, "InsufficientSurplus");
+      await deposit.contract.rescueTokens(
+        token1.address,
+        user2.address,
+        parseEther("1")
       );
-      await expect(deposit.contract.removeWhitelistedToken(token1.address))
-        .to.emit(deposit.contract, "WhitelistedTokenRemoved")
-        .withArgs(token1.address);
-      expect(await deposit.contract.getAllWhitelistedTokens()).to.not.include(
-        token1.address
+      expect(await token1.contract.balanceOf(deposit.address)).to.equal(0n);
+    });
+    it("Should recover extra of a token removed from the whitelist", async () => {
+      await addAllowance(token1, owner, deposit, parseEther("3"));
+      await deposit.contract.deposit(token1.address, parseEther("3"));
+      await deposit.contract.removeWhitelistedToken(token1.address);
+      await token1.contract.transfer(deposit.address, parseEther("1"));
+      await expect(
+        deposit.contract.rescueTokens(
+          token1.address,
+          user2.address,
+          parseEther("2")
+        )
+      ).to.be.revertedWithCustomError(deposit.contract, "InsufficientSurplus");
+      await deposit.contract.rescueTokens(
+        token1.address,
+        user2.address,
+        parseEther("1")
       );
     });
+    it("Should reject the zero address and zero amounts", async () => {
+      await nonWhitelistedToken.contract.transfer(deposit.address, 1n);
+      await expect(
+        deposit.contract.rescueTokens(
+          nonWhitelistedToken.address,
+          ZeroAddress,
+          1n
+        )
+      ).to.be.revertedWithCustomError(deposit.contract, "ZeroAddress");
+      await expect(
+        deposit.contract.rescueTokens(
+          nonWhitelistedToken.address,
+          user2.address,
+          0n
+        )
+      ).to.be.revertedWithCustomError(deposit.contract, "ZeroAmount");
+    });
   });
-  describe("claim", () => {
-    it("Should correctly claim using mock claim contract", async () => {
-      const mockClaimContract = await deployMockClaimContractFixture(
-        deposit.address
-      );
-      await deposit.contract.setClaimManager(mockClaimContract.address);
-      await token1.contract.transfer(user2.address, parseEther("1"));
-      await addAllowance(token1, user2, deposit, parseEther("2"));
-      await depositTokens(deposit, token1, parseEther("1"), user2);
-      await time.increase(3599);
-      await deposit.contract.stopDeposits();
-      await expect(mockClaimContract.contract.claimPoints(user2.address))
-        .to.emit(mockClaimContract.contract, "PointsClaimed")
-        .withArgs(user2.address, parseEther("1"));
+  describe("Mixed decimal tokens", () => {
+    let mixedDeposit, mixedTokens, decimals;
+    beforeEach(async () => {
+      ({
+        deposit: mixedDeposit,
+        erc20Deployments: mixedTokens,
+        decimals,
+      } = await loadFixture(deployMixedDecimalsFixture));
+      for (const token of mixedTokens) {
+        await addAllowance(token, owner, mixedDeposit, ethers.MaxUint256);
+      }
     });
-    it("Should accept claim and reduce user's point balance to zero", async () => {
-      await deposit.contract.setClaimManager(user1.address);
-      await token1.contract.transfer(user2.address, parseEther("2"));
-      await addAllowance(token1, user2, deposit, parseEther("2"));
-      await depositTokens(deposit, token1, parseEther("1"), user2);
-      await time.increase(3599);
-      await depositTokens(deposit, token1, parseEther("1"), user2);
-      await deposit.contract.stopDeposits();
-      const initialInfo = await deposit.contract.getUserInfo(user2.address);
-      expect(initialInfo.pointBalance).to.equal(parseEther("1"));
-      await deposit.contract.connect(user1).claim(user2.address);
-      const info = await deposit.contract.getUserInfo(user2.address);
-      expect(info.pointBalance).to.equal(parseEther("0"));
+    it("Should record the decimals of each token", async () => {
+      for (const [i, token] of mixedTokens.entries()) {
+        expect(
+          await mixedDeposit.contract.tokenDecimals(token.address)
+        ).to.equal(decimals[i]);
+      }
     });
-    it("Should return no points on double claim", async () => {
-      await deposit.contract.setClaimManager(user2.address);
-      await token1.contract.transfer(user1.address, parseEther("1"));
-      await addAllowance(token1, user1, deposit, parseEther("1"));
-      await depositTokens(deposit, token1, parseEther("1"), user1);
-      await time.increase(3599);
-      await deposit.contract.stopDeposits();
-      await expect(deposit.contract.connect(user2).claim(user1.address))
-        .to.emit(deposit.contract, "ClaimPoints")
-        .withArgs(user1.address, parseEther("1"));
-      await expect(deposit.contract.connect(user2).claim(user1.address))
-        .to.emit(deposit.contract, "ClaimPoints")
-        .withArgs(user1.address, parseEther("0"));
+    it("Should earn the same points per hour for the same amount of each token", async () => {
+      for (const [i, token] of mixedTokens.entries()) {
+        const amount = parseUnits("1.25", decimals[i]);
+        expect(
+          await mixedDeposit.contract.calculatePointsPerHour(
+            token.address,
+            amount
+          )
+        ).to.equal(parseEther("1.25"));
+        await mixedDeposit.contract.deposit(token.address, amount);
+        expect(
+          (await mixedDeposit.contract.getUserInfo(owner.address)).pointsPerHour
+        ).to.equal(parseEther("1.25") * BigInt(i + 1));
+      }
     });
-
-    it("Should correctly handle point accrual and claim process", async () => {
-      await deposit.contract.setClaimManager(user1.address);
-
-      // Transfer and allow tokens for deposit
-      await token1.contract.transfer(user2.address, parseEther("2"));
-      await addAllowance(token1, user2, deposit, parseEther("2"));
-
-      // Initial deposit
-      await depositTokens(deposit, token1, parseEther("1"), user2);
-      // In two hours, the contract will switch to claim mode
-      await time.increase(7199);
-
-      // Make a last-second deposit
-      await depositTokens(deposit, token1, parseEther("1"), user2);
-
-      // Stop deposits
-      await deposit.contract.stopDeposits();
-
-      const additionalPointsFromLastDeposit = parseEther(
-        "0.000555555555555555"
+    it("Should accrue points from normalized amounts", async () => {
+      const [sixDecimals, , , twentyFourDecimals] = mixedTokens;
+      await mixedDeposit.contract.deposit(
+        sixDecimals.address,
+        parseUnits("2", 6)
+      );
+      await mixedDeposit.contract.deposit(
+        twentyFourDecimals.address,
+        parseUnits("1", 24)
       );
-
-      // Simulate another hour passing, post-deposit stop time
       await time.increase(3600);
-
-      // Verify initial point balance before claim
-      const initialInfo = await deposit.contract.getUserInfo(user2.address);
-      expect(initialInfo.pointBalance).to.equal(parseEther("2"));
-
-      // Perform claim and verify event emission
-      await expect(deposit.contract.connect(user1).claim(user2.address))
-        .to.emit(deposit.contract, "ClaimPoints")
-        .withArgs(
-          user2.address,
-          parseEther("2") + additionalPointsFromLastDeposit
-        );
-
-      // Confirm point balance is reset to zero after claim
-      const postClaimInfo = await deposit.contract.getUserInfo(user2.address);
-      expect(postClaimInfo.pointBalance).to.equal(parseEther("0"));
+      // The first deposit has earned points for one second longer than the second
+      expect(
+        await mixedDeposit.contract.calculatePoints(owner.address)
+      ).to.equal(parseEther("3") + parseEther("2") / 3600n);
     });
-
-    it("Should reject when contract paused", async () => {
-      await deposit.contract.setClaimManager(user1.address);
-      await deposit.contract.stopDeposits();
-      await time.increase(1);
-      await deposit.contract.pause();
-      await expect(
-        deposit.contract.connect(user1).claim(user2.address)
-      ).to.be.revertedWithCustomError(deposit.contract, "EnforcedPause");
+    it("Should keep the precision of tokens with more than 18 decimals", async () => {
+      const twentyFourDecimals = mixedTokens[3];
+      await mixedDeposit.contract.setTokenMultiplier(
+        twentyFourDecimals.address,
+        parseEther("2")
+      );
+      // Dividing by 10^6 before applying the multiplier would give 2
+      expect(
+        await mixedDeposit.contract.calculatePointsPerHour(
+          twentyFourDecimals.address,
+          1_500_000n
+        )
+      ).to.equal(3n);
     });
-    it("Should reject when claim address is null", async () => {
-      const currentTime = await time.latest();
-      await deposit.contract.stopDeposits();
-      await time.increase(3601);
-      await expect(
-        deposit.contract.claim(user1.address)
-      ).to.be.revertedWithCustomError(deposit.contract, "ClaimManagerNotSet");
+    it("Should combine normalization with multipliers", async () => {
+      const sixDecimals = mixedTokens[0];
+      await mixedDeposit.contract.setTokenMultiplier(
+        sixDecimals.address,
+        parseEther("1.05")
+      );
+      expect(
+        await mixedDeposit.contract.calculatePointsPerHour(
+          sixDecimals.address,
+          parseUnits("100", 6)
+        )
+      ).to.equal(parseEther("105"));
     });
-    it("Should reject claim for null address", async () => {
-      await deposit.contract.setClaimManager(user1.address);
-      const currentTime = await time.latest();
-      await deposit.contract.stopDeposits();
+  });
+  describe("Boost epochs", () => {
+    const WEEK = 7n * 24n * 3600n;
+    let start;
+    beforeEach(async () => {
+      start = BigInt(await time.latest()) + 3600n;
+    });
+    it("Should schedule boost epochs", async () => {
+      await expect(deposit.contract.addBoostEpoch(start, parseEther("2")))
+        .to.emit(deposit.contract, "BoostEpochAdded")
+        .withArgs(start, parseEther("2"));
+      await deposit.contract.addBoostEpoch(start + WEEK, parseEther("1.5"));
+      expect(
+        (await deposit.contract.getBoostEpochs()).map(
+          ({ startTime, multiplier }) => [startTime, multiplier]
+        )
+      ).to.eql([
+        [start, parseEther("2")],
+        [start + WEEK, parseEther("1.5")],
+      ]);
+    });
+    it("Should reject addBoostEpoch without the role", async () => {
       await expect(
-        deposit.contract.connect(user1).claim(ZeroAddress)
-      ).to.be.revertedWithCustomError(deposit.contract, "ZeroAddress");
+        deposit.contract.connect(user1).addBoostEpoch(start, parseEther("2"))
+      ).to.be.revertedWithCustomError(
+        deposit.contract,
+        "AccessControlUnauthorizedAccount"
+      );
     });
-    it("Should reject when not claim address", async () => {
-      await deposit.contract.setClaimManager(user2.address);
-      const currentTime = await time.latest();
-      await deposit.contract.stopDeposits();
+    it("Should reject a zero multiplier", async () => {
       await expect(
-        deposit.contract.connect(user1).claim(user2.address)
-      ).to.be.revertedWithCustomError(deposit.contract, "NotClaimManager");
+        deposit.contract.addBoostEpoch(start, 0)
+      ).to.be.revertedWithCustomError(deposit.contract, "ZeroMultiplier");
     });
-    it("Should reject when before deposit stop time", async () => {
-      await deposit.contract.setClaimManager(user2.address);
+    it("Should reject a multiplier above MAX_MULTIPLIER", async () => {
+      const maxMultiplier = await deposit.contract.MAX_MULTIPLIER();
       await expect(
-        deposit.contract.connect(user2).claim(user2.address)
-      ).to.be.revertedWithCustomError(deposit.contract, "DepositsNotStopped");
+        deposit.contract.addBoostEpoch(start, maxMultiplier + 1n)
+      ).to.be.revertedWithCustomError(deposit.contract, "MultiplierTooHigh");
+      await expect(deposit.contract.addBoostEpoch(start, maxMultiplier))
+        .to.emit(deposit.contract, "BoostEpochAdded")
+        .withArgs(start, maxMultiplier);
     });
-  });
-  describe("addWhitelistedToken", () => {
-    it("Should reject token at zero address", async () => {
+    it("Should reject epochs which don't start in the future", async () => {
       await expect(
-        deposit.contract.connect(owner).addWhitelistedToken(ZeroAddress)
-      ).to.be.revertedWithCustomError(deposit.contract, "ZeroAddress");
+        deposit.contract.addBoostEpoch(
+          BigInt(await time.latest()) + 1n,
+          parseEther("2")
+        )
+      ).to.be.revertedWithCustomError(
+        deposit.contract,
+        "InvalidBoostEpochStartTime"
+      );
     });
-    it("Should reject addWhitelistedToken when not owner", async () => {
+    it("Should reject epochs which don't start after the last epoch", async () => {
+      await deposit.contract.addBoostEpoch(start, parseEther("2"));
       await expect(
-        deposit.contract
-          .connect(user1)
-          .addWhitelistedToken(nonWhitelistedToken.address)
+        deposit.contract.addBoostEpoch(start, parseEther("1.5"))
       ).to.be.revertedWithCustomError(
         deposit.contract,
-        "OwnableUnauthorizedAccount"
+        "InvalidBoostEpochStartTime"
       );
     });
-    it("Should accept addWhitelistedToken when owner", async () => {
+    it("Should reject more than MAX_BOOST_EPOCHS epochs", async () => {
+      const maxEpochs = await deposit.contract.MAX_BOOST_EPOCHS();
+      for (let i = 0n; i < maxEpochs; i++) {
+        await deposit.contract.addBoostEpoch(start + i, parseEther("2"));
+      }
       await expect(
-        deposit.contract
-          .connect(owner)
-          .addWhitelistedToken(nonWhitelistedToken.address)
-      )
-        .to.emit(deposit.contract, "WhitelistedTokenAdded")
-        .withArgs(nonWhitelistedToken.address);
+        deposit.contract.addBoostEpoch(start + maxEpochs, parseEther("2"))
+      ).to.be.revertedWithCustomError(deposit.contract, "TooManyBoostEpochs");
+    });
+    it("Should reject epochs after deposits are stopped", async () => {
+      await deposit.contract.stopDeposits();
+      await expect(
+        deposit.contract.addBoostEpoch(start, parseEther("2"))
+      ).to.be.revertedWithCustomError(deposit.contract, "DepositsStopped");
+    });
+    it("Should remove the last epoch before it starts", async () => {
+      await deposit.contract.addBoostEpoch(start, parseEther("2"));
+      await deposit.contract.addBoostEpoch(start + WEEK, parseEther("1.5"));
+      await expect(deposit.contract.removeLastBoostEpoch())
+        .to.emit(deposit.contract, "BoostEpochRemoved")
+        .withArgs(start + WEEK);
+      expect(await deposit.contract.getBoostEpochs()).to.have.lengthOf(1);
+    });
+    it("Should not remove an epoch which has started", async () => {
+      await expect(
+        deposit.contract.removeLastBoostEpoch()
+      ).to.be.revertedWithCustomError(deposit.contract, "NoBoostEpochs");
+      await deposit.contract.addBoostEpoch(start, parseEther("2"));
+      await time.increaseTo(start);
+      await expect(
+        deposit.contract.removeLastBoostEpoch()
+      ).to.be.revertedWithCustomError(deposit.contract, "BoostEpochStarted");
+    });
+    describe("accrual", () => {
+      let boostEpochs;
+      beforeEach(async () => {
+        boostEpochs = [
+          { startTime: start, multiplier: parseEther("2") },
+          { startTime: start + WEEK, multiplier: parseEther("1.5") },
+          { startTime: start + 2n * WEEK, multiplier: parseEther("1") },
+        ];
+        for (const { startTime, multiplier } of boostEpochs) {
+          await deposit.contract.addBoostEpoch(startTime, multiplier);
+        }
+        await token1.contract.transfer(user1.address, parseEther("100"));
+        await addAllowance(token1, user1, deposit, parseEther("100"));
+        await addAllowance(token1, owner, deposit, parseEther("100"));
+      });
+      const depositAt = async (timestamp, amount, depositor = owner) => {
+        await time.setNextBlockTimestamp(timestamp);
+        await depositTokens(deposit, token1, amount, depositor);
+      };
+      it("Should accrue points across epoch boundaries", async () => {
+        const depositTime = start - 1800n;
+        await depositAt(depositTime, parseEther("1"));
+        const updates = [
+          { timestamp: depositTime, pointsPerHour: parseEther("1") },
+        ];
+        for (const timestamp of [
+          start + 3600n,
+          start + WEEK + 1n,
+          start + 2n * WEEK + 7200n,
+        ]) {
+          await time.increaseTo(timestamp);
+          expect(
+            await deposit.contract.calculatePoints(owner.address)
+          ).to.equal(referencePoints({ updates, boostEpochs, timestamp }));
+        }
+        // Half an hour at 1x, a week at 2x, a week at 1.5x and two hours at 1x
+        expect(await deposit.contract.calculatePoints(owner.address)).to.equal(
+          parseEther("0.5") +
+            parseEther("168") * 2n +
+            (parseEther("168") * 3n) / 2n +
+            parseEther("2")
+        );
+      });
+      it("Should settle points across epoch boundaries on deposit", async () => {
+        await depositAt(start - 100n, parseEther("1"));
+        await depositAt(start + WEEK + 100n, parseEther("2"));
+        const updates = [
+          { timestamp: start - 100n, pointsPerHour: parseEther("1") },
+          { timestamp: start + WEEK + 100n, pointsPerHour: parseEther("3") },
+        ];
+        const { pointBalance } = await deposit.contract.getUserInfo(
+          owner.address
+        );
+        expect(pointBalance).to.equal(
+          referencePoints({
+            updates,
+            boostEpochs,
+            timestamp: start + WEEK + 100n,
+          })
+        );
+
+        const depositStopTime = start + WEEK + 3700n;
+        await time.setNextBlockTimestamp(depositStopTime);
+        await deposit.contract.stopDeposits();
+        await time.increaseTo(start + 3n * WEEK);
+        expect(await deposit.contract.calculatePoints(owner.address)).to.equal(
+          referencePoints({
+            updates,
+            boostEpochs,
+            depositStopTime,
+            timestamp: start + 3n * WEEK,
+          })
+        );
+      });
+      it("Should match the reference implementation for many deposits", async () => {
+        const updates = { [owner.address]: [], [user1.address]: [] };
+        const pointsPerHour = { [owner.address]: 0n, [user1.address]: 0n };
+        // Deterministic deposit times scattered around and across the epoch boundaries
+        let timestamp = start - 1800n;
+        for (let i = 0n; i < 12n; i++) {
+          timestamp += ((i * 7919n * 97n) % (WEEK / 2n)) + 1n;
+          const depositor = i % 3n === 0n ? user1 : owner;
+          const amount = parseEther("0.1") * (i + 1n) + i;
+          await depositAt(timestamp, amount, depositor);
+          pointsPerHour[depositor.address] += amount;
+          updates[depositor.address].push({
+            timestamp,
+            pointsPerHour: pointsPerHour[depositor.address],
+          });
+        }
+        const end = timestamp + WEEK;
+        await time.increaseTo(end);
+        for (const address of [owner.address, user1.address]) {
+          expect(await deposit.contract.calculatePoints(address)).to.equal(
+            referencePoints({
+              updates: updates[address],
+              boostEpochs,
+              timestamp: end,
+            })
+          );
+        }
+      });
     });
   });
   describe("Points per hour", () => {
@@ -0,0 +1,505 @@
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { expect } from "chai";
+import fs from "fs";
+import hre from "hardhat";
+import os from "os";
+import path from "path";
+import {
+  ROLES,
+  decodeError,
+  getPendingOperations,
+  runAdminAction,
+} from "../helpers/admin.js";
+import {
+  calculateChecksum,
+  isValidChecksum,
+  serializeJSONObject,
+} from "../helpers/safe.js";
+import { deployDepositContractFixture } from "./helpers/fixtures.js";
+import { addAllowance } from "./helpers/interactions.js";
+
+describe("omron tasks", () => {
+  let deposit, token1, nonWhitelistedToken;
+  beforeEach(async () => {
+    let erc20Deployments;
+    ({ deposit, erc20Deployments, nonWhitelistedToken } = await loadFixture(
+      deployDepositContractFixture
+    ));
+    [token1] = erc20Deployments;
+  });
+  describe("decodeError", () => {
+    it("Should decode custom errors into readable messages", async () => {
+      await deposit.contract.stopDeposits();
+      const error = await deposit.contract.stopDeposits
+        .staticCall()
+        .catch((e) => e);
+      expect(decodeError(deposit.contract, error)).to.equal(
+        "DepositsAlreadyStopped: Deposits have already been stopped"
+      );
+    });
+    it("Should include the arguments of custom errors", async () => {
+      const [, user1] = await ethers.getSigners();
+      const error = await deposit.contract
+        .connect(user1)
+        .pause.staticCall()
+        .catch((e) => e);
+      expect(decodeError(deposit.contract, error)).to.equal(
+        `AccessControlUnauthorizedAccount(${
+          user1.address
+        }, ${await deposit.contract.PAUSER_ROLE()}): The sender doesn't have the role needed to call this method`
+      );
+    });
+  });
+  describe("omron:pause", () => {
+    it("Should pause the contract", async () => {
+      await hre.run("omron:pause", { contract: deposit.address });
+      expect(await deposit.contract.paused()).to.equal(true);
+    });
+    it("Should refuse to pause when already paused", async () => {
+      await deposit.contract.pause();
+      await expect(
+        hre.run("omron:pause", { contract: deposit.address })
+      ).to.be.rejectedWith("The contract is already paused");
+    });
+  });
+  describe("omron:stopDeposits", () => {
+    it("Should refuse to stop deposits twice", async () => {
+      await hre.run("omron:stopDeposits", { contract: deposit.address });
+      await expect(
+        hre.run("omron:stopDeposits", { contract: deposit.address })
+      ).to.be.rejectedWith("Deposits have already been stopped");
+    });
+  });
+  describe("omron:enableEmergencyMode", () => {
+    it("Should refuse to enable emergency mode twice", async () => {
+      await hre.run("omron:enableEmergencyMode", { contract: deposit.address });
+      expect(await deposit.contract.emergencyMode()).to.equal(true);
+      await expect(
+        hre.run("omron:enableEmergencyMode", { contract: deposit.address })
+      ).to.be.rejectedWith("Emergency mode is already enabled");
+    });
+  });
+  describe("omron:rescueTokens", () => {
+    it("Should recover tokens sent to the contract by mistake", async () => {
+      const [, user1] = await ethers.getSigners();
+      await nonWhitelistedToken.contract.transfer(deposit.address, 100n);
+      await hre.run("omron:rescueTokens", {
+        contract: deposit.address,
+        token: nonWhitelistedToken.address,
+        to: user1.address,
+        amount: "100",
+      });
+      expect(
+        await nonWhitelistedToken.contract.balanceOf(user1.address)
+      ).to.equal(100n);
+    });
+    it("Should refuse to recover more than the surplus", async () => {
+      const [owner] = await ethers.getSigners();
+      await addAllowance(token1, owner, deposit, 100n);
+      await deposit.contract.deposit(token1.address, 100n);
+      await token1.contract.transfer(deposit.address, 5n);
+      await expect(
+        hre.run("omron:rescueTokens", {
+          contract: deposit.address,
+          token: token1.address,
+          to: owner.address,
+          amount: "6",
+        })
+      ).to.be.rejectedWith(
+        "The amount is more than the contract holds above user deposits of the token, which is 5"
+      );
+    });
+  });
+  describe("omron:addWhitelistedToken", () => {
+    it("Should whitelist a token", async () => {
+      await hre.run("omron:addWhitelistedToken", {
+        contract: deposit.address,
+        token: nonWhitelistedToken.address,
+      });
+      expect(
+        await deposit.contract.whitelistedTokens(nonWhitelistedToken.address)
+      ).to.equal(true);
+    });
+    it("Should refuse to whitelist a token twice", async () => {
+      await expect(
+        hre.run("omron:addWhitelistedToken", {
+          contract: deposit.address,
+          token: token1.address,
+        })
+      ).to.be.rejectedWith(`${token1.address} is already whitelisted`);
+    });
+  });
+  describe("omron:setTokenMultiplier", () => {
+    it("Should parse the multiplier as a decimal", async () => {
+      await hre.run("omron:setTokenMultiplier", {
+        contract: deposit.address,
+        token: token1.address,
+        multiplier: "1.05",
+      });
+      expect(await deposit.contract.tokenMultipliers(token1.address)).to.equal(
+        ethers.parseEther("1.05")
+      );
+    });
+    it("Should refuse tokens which are not whitelisted", async () => {
+      await expect(
+        hre.run("omron:setTokenMultiplier", {
+          contract: deposit.address,
+          token: nonWhitelistedToken.address,
+          multiplier: "2",
+        })
+      ).to.be.rejectedWith("The token is not whitelisted");
+    });
+    it("Should refuse a multiplier above MAX_MULTIPLIER", async () => {
+      await expect(
+        hre.run("omron:setTokenMultiplier", {
+          contract: deposit.address,
+          token: token1.address,
+          multiplier: "101",
+        })
+      ).to.be.rejectedWith("The multiplier is more than MAX_MULTIPLIER");
+    });
+  });
+  describe("omron:setDepositLimits", () => {
+    it("Should set the deposit limits in the token's smallest unit", async () => {
+      await hre.run("omron:setDepositLimits", {
+        contract: deposit.address,
+        token: token1.address,
+        maxTotalDeposits: "1000",
+        maxUserDeposits: "100",
+        minDepositAmount: "10",
+      });
+      expect(await deposit.contract.maxTotalDeposits(token1.address)).to.equal(
+        1000n
+      );
+      expect(await deposit.contract.maxUserDeposits(token1.address)).to.equal(
+        100n
+      );
+      expect(await deposit.contract.minDepositAmounts(token1.address)).to.equal(
+        10n
+      );
+    });
+    it("Should refuse a minimum deposit above a cap", async () => {
+      await expect(
+        hre.run("omron:setDepositLimits", {
+          contract: deposit.address,
+          token: token1.address,
+          maxTotalDeposits: "0",
+          maxUserDeposits: "100",
+          minDepositAmount: "101",
+        })
+      ).to.be.rejectedWith(
+        "The minimum deposit can't be more than either deposit cap"
+      );
+    });
+  });
+  describe("omron:addBoostEpoch", () => {
+    it("Should schedule a boost epoch", async () => {
+      const startTime = (await time.latest()) + 3600;
+      await hre.run("omron:addBoostEpoch", {
+        contract: deposit.address,
+        startTime: startTime.toString(),
+        multiplier: "1.5",
+      });
+      const [epoch] = await deposit.contract.getBoostEpochs();
+      expect(epoch.startTime).to.equal(BigInt(startTime));
+      expect(epoch.multiplier).to.equal(ethers.parseEther("1.5"));
+    });
+    it("Should refuse epochs which don't start in the future", async () => {
+      await expect(
+        hre.run("omron:addBoostEpoch", {
+          contract: deposit.address,
+          startTime: (await time.latest()).toString(),
+          multiplier: "2",
+        })
+      ).to.be.rejectedWith("Boost epochs must start in the future");
+    });
+  });
+  describe("omron:removeLastBoostEpoch", () => {
+    it("Should refuse to remove an epoch which has started", async () => {
+      const startTime = (await time.latest()) + 60;
+      await deposit.contract.addBoostEpoch(startTime, ethers.parseEther("2"));
+      await time.increaseTo(startTime);
+      await expect(
+        hre.run("omron:removeLastBoostEpoch", { contract: deposit.address })
+      ).to.be.rejectedWith("The boost epoch has already started");
+    });
+  });
+  describe("omron:setWithdrawalsEnabled", () => {
+    it("Should enable and disable withdrawals", async () => {
+      await hre.run("omron:setWithdrawalsEnabled", {
+        contract: deposit.address,
+        enabled: true,
+      });
+      expect(await deposit.contract.withdrawalsEnabled()).to.equal(true);
+      await expect(
+        hre.run("omron:setWithdrawalsEnabled", {
+          contract: deposit.address,
+          enabled: true,
+        })
+      ).to.be.rejectedWith("Withdrawals are already enabled");
+      await hre.run("omron:setWithdrawalsEnabled", {
+        contract: deposit.address,
+        enabled: false,
+      });
+      expect(await deposit.contract.withdrawalsEnabled()).to.equal(false);
+    });
+  });
+  describe("omron:grantRole", () => {
+    it("Should grant a role by name", async () => {
+      const [, user1] = await ethers.getSigners();
+      await hre.run("omron:grantRole", {
+        contract: deposit.address,
+        role: "pauser",
+        account: user1.address,
+      });
+      expect(
+        await deposit.contract.hasRole(ROLES.pauser, user1.address)
+      ).to.equal(true);
+      await expect(
+        hre.run("omron:grantRole", {
+          contract: deposit.address,
+          role: "pauser",
+          account: user1.address,
+        })
+      ).to.be.rejectedWith(`${user1.address} already has the pauser role`);
+    });
+    it("Should refuse unknown roles", async () => {
+      const [, user1] = await ethers.getSigners();
+      await expect(
+        hre.run("omron:grantRole", {
+          contract: deposit.address,
+          role: "owner",
+          account: user1.address,
+        })
+      ).to.be.rejectedWith(
+        "Unknown role owner, expected one of admin, pauser, whitelistManager, claimAdmin"
+      );
+    });
+  });
+  describe("omron:renounceRole", () => {
+    it("Should refuse to run when the sender doesn't have the role", async () => {
+      const [owner] = await ethers.getSigners();
+      await hre.run("omron:renounceRole", {
+        contract: deposit.address,
+        role: "admin",
+      });
+      expect(
+        await deposit.contract.hasRole(ROLES.admin, owner.address)
+      ).to.equal(false);
+      await expect(
+        hre.run("omron:unpause", { contract: deposit.address })
+      ).to.be.rejectedWith(
+        `${owner.address} can't call unpause, it needs the admin role`
+      );
+      // The sender still has the pauser role
+      await hre.run("omron:pause", { contract: deposit.address });
+    });
+  });
+  describe("omron:revokeRole", () => {
+    it("Should refuse to revoke a role the account doesn't have", async () => {
+      const [, user1] = await ethers.getSigners();
+      await expect(
+        hre.run("omron:revokeRole", {
+          contract: deposit.address,
+          role: "claimAdmin",
+          account: user1.address,
+        })
+      ).to.be.rejectedWith(`${user1.address} doesn't have the claimAdmin role`);
+    });
+  });
+  describe("Timelocked operations", () => {
+    beforeEach(async () => {
+      await deposit.contract.setTimelockDelay(3600);
+    });
+    it("Should schedule an operation and execute it once ready", async () => {
+      const [, user1] = await ethers.getSigners();
+      const setClaimManager = (options = {}) =>
+        hre.run("omron:setClaimManager", {
+          contract: deposit.address,
+          claimManager: user1.address,
+          ...options,
+        });
+      await expect(setClaimManager()).to.be.rejectedWith(
+        "The operation must be scheduled first"
+      );
+      await setClaimManager({ schedule: true });
+      const [pending] = await getPendingOperations(deposit.contract);
+      expect(pending).to.deep.include({
+        action: "setClaimManager",
+        args: [user1.address],
+        readyTime: BigInt(await time.latest()) + 3600n,
+      });
+      await expect(setClaimManager({ schedule: true })).to.be.rejectedWith(
+        "The operation is already scheduled"
+      );
+      await expect(setClaimManager()).to.be.rejectedWith(
+        "The operation's timelock delay hasn't passed yet"
+      );
+
+      await time.increase(3600);
+      await setClaimManager();
+      expect(await deposit.contract.claimManager()).to.equal(user1.address);
+      expect(await getPendingOperations(deposit.contract)).to.eql([]);
+    });
+    it("Should cancel a scheduled operation", async () => {
+      await hre.run("omron:stopDeposits", {
+        contract: deposit.address,
+        schedule: true,
+      });
+      await hre.run("omron:stopDeposits", {
+        contract: deposit.address,
+        cancel: true,
+      });
+      expect(await getPendingOperations(deposit.contract)).to.eql([]);
+      await expect(
+        hre.run("omron:stopDeposits", {
+          contract: deposit.address,
+          cancel: true,
+        })
+      ).to.be.rejectedWith("The operation isn't scheduled");
+    });
+    it("Should refuse to schedule operations which aren't timelocked", async () => {
+      await expect(
+        runAdminAction(
+          "pause",
+          {},
+          { address: deposit.address, timelock: "schedule" }
+        )
+      ).to.be.rejectedWith("pause isn't timelocked");
+    });
+  });
+  describe("Safe batch export", () => {
+    let batch;
+    beforeEach(() => {
+      batch = path.join(
+        fs.mkdtempSync(path.join(os.tmpdir(), "omron-")),
+        "batch.json"
+      );
+    });
+    it("Should add calls to a batch instead of sending them", async () => {
+      const [, , safe] = await ethers.getSigners();
+      await hre.run("omron:setClaimManager", {
+        contract: deposit.address,
+        claimManager: safe.address,
+        batch,
+        safe: safe.address,
+      });
+      await hre.run("omron:stopDeposits", { contract: deposit.address, batch });
+
+      expect(await deposit.contract.claimManager()).to.equal(
+        ethers.ZeroAddress
+      );
+      expect(await deposit.contract.depositStopTime()).to.equal(0n);
+
+      const { chainId, meta, transactions } = JSON.parse(
+        fs.readFileSync(batch, "utf8")
+      );
+      expect(chainId).to.equal("31337");
+      expect(meta.createdFromSafeAddress).to.equal(safe.address);
+      expect(meta.description).to.equal(
+        [
+          `1. setClaimManager(_newClaimManager: ${safe.address}) on OmronDeposit at ${deposit.address}`,
+          `2. stopDeposits() on OmronDeposit at ${deposit.address}`,
+        ].join("\n")
+      );
+      expect(transactions).to.have.lengthOf(2);
+      expect(transactions[0].to).to.equal(deposit.address);
+      expect(transactions[0].data).to.equal(
+        deposit.contract.interface.encodeFunctionData("setClaimManager", [
+          safe.address,
+        ])
+      );
+      expect(transactions[0].contractInputsValues).to.eql({
+        _newClaimManager: safe.address,
+      });
+      expect(transactions[1].data).to.equal(
+        deposit.contract.interface.encodeFunctionData("stopDeposits")
+      );
+    });
+    it("Should export scheduling a timelocked call", async () => {
+      const [, , safe] = await ethers.getSigners();
+      await hre.run("omron:setClaimManager", {
+        contract: deposit.address,
+        claimManager: safe.address,
+        batch,
+        schedule: true,
+      });
+      const { meta, transactions } = JSON.parse(fs.readFileSync(batch, "utf8"));
+      expect(meta.description).to.equal(
+        `1. scheduleOperation of setClaimManager(_newClaimManager: ${safe.address}) on OmronDeposit at ${deposit.address}`
+      );
+      expect(transactions[0].data).to.equal(
+        deposit.contract.interface.encodeFunctionData("scheduleOperation", [
+          deposit.contract.interface.encodeFunctionData("setClaimManager", [
+            safe.address,
+          ]),
+        ])
+      );
+    });
+    it("Should serialize batches for checksums the way the Transaction Builder does", () => {
+      const safeAddress = "0x1111111111111111111111111111111111111111";
+      const to = "0x2222222222222222222222222222222222222222";
+      const unsigned = {
+        version: "1.0",
+        chainId: "1",
+        createdAt: 1700000000000,
+        meta: {
+          name: "Omron",
+          description: "1. pause",
+          txBuilderVersion: "1.16.5",
+          createdFromSafeAddress: safeAddress,
+          createdFromOwnerAddress: "",
+        },
+        transactions: [
+          {
+            to,
+            value: "0",
+            data: "0x8456cb59",
+            contractMethod: { inputs: [], name: "pause", payable: false },
+            contractInputsValues: {},
+          },
+        ],
+      };
+      // Each object is its sorted keys followed by each value and a comma, and the name is left out of the checksum
+      const serialized =
+        '{["chainId","createdAt","meta","transactions","version"]"1",1700000000000,' +
+        '{["createdFromOwnerAddress","createdFromSafeAddress","description","name","txBuilderVersion"]' +
+        `"","${safeAddress}","1. pause",null,"1.16.5",},` +
+        '[{["contractInputsValues","contractMethod","data","to","value"]{[]},' +
+        '{["inputs","name","payable"][],"pause",false,},' +
+        `"0x8456cb59","${to}","0",}],"1.0",}`;
+      expect(
+        serializeJSONObject({
+          ...unsigned,
+          meta: { ...unsigned.meta, name: null },
+        })
+      ).to.equal(serialized);
+      expect(calculateChecksum(unsigned)).to.equal(
+        ethers.keccak256(ethers.toUtf8Bytes(serialized))
+      );
+      // Renaming a batch in the Transaction Builder doesn't change its checksum
+      expect(
+        calculateChecksum({
+          ...unsigned,
+          meta: { ...unsigned.meta, name: "Renamed" },
+        })
+      ).to.equal(calculateChecksum(unsigned));
+    });
+    it("Should checksum the batch", async () => {
+      await hre.run("omron:pause", { contract: deposit.address, batch });
+      const written = JSON.parse(fs.readFileSync(batch, "utf8"));
+      expect(isValidChecksum(written)).to.equal(true);
+      written.transactions[0].to = ethers.ZeroAddress;
+      expect(isValidChecksum(written)).to.equal(false);
+    });
+    it("Should refuse to add to a batch that has been modified", async () => {
+      await hre.run("omron:pause", { contract: deposit.address, batch });
+      const written = JSON.parse(fs.readFileSync(batch, "utf8"));
+      written.transactions[0].to = ethers.ZeroAddress;
+      fs.writeFileSync(batch, JSON.stringify(written));
+      await expect(
+        hre.run("omron:unpause", { contract: deposit.address, batch })
+      ).to.be.rejectedWith("has been modified since it was written");
+    });
+  });
+});
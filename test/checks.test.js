@@ -0,0 +1,171 @@
+import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+import { expect } from "chai";
+import { ZeroAddress, parseEther } from "ethers";
+import { checkDepositDeployment } from "../helpers/checks.js";
+import { deployDepositContractFixture } from "./helpers/fixtures.js";
+
+describe("Post-deploy checks", () => {
+  let owner, user1;
+  before(async () => {
+    [owner, user1] = await ethers.getSigners();
+  });
+
+  let deposit, erc20Deployments, weth, expected;
+  beforeEach(async () => {
+    ({ deposit, erc20Deployments, weth } = await loadFixture(
+      deployDepositContractFixture
+    ));
+    expected = {
+      roles: {
+        admin: [owner.address],
+        pauser: [owner.address],
+        whitelistManager: [owner.address],
+        claimAdmin: [owner.address],
+      },
+      deployer: owner.address,
+      weth: weth.address,
+      paused: false,
+      tokens: erc20Deployments.map(({ address }) => ({
+        address,
+        symbol: "tstETH",
+        decimals: 18,
+      })),
+    };
+  });
+
+  it("Should pass a deployment which matches what was intended", async () => {
+    expect(await checkDepositDeployment(deposit.contract, expected)).to.eql([]);
+  });
+  it("Should compare addresses whatever their case", async () => {
+    expected.weth = weth.address.toLowerCase();
+    expected.tokens[0].address = expected.tokens[0].address.toLowerCase();
+    expect(await checkDepositDeployment(deposit.contract, expected)).to.eql([]);
+  });
+  it("Should report roles held by the wrong accounts", async () => {
+    expected.roles.pauser = [user1.address];
+    expect(await checkDepositDeployment(deposit.contract, expected)).to.eql([
+      {
+        check: `hasRole(pauser, ${owner.address})`,
+        expected: false,
+        actual: true,
+      },
+      {
+        check: `hasRole(pauser, ${user1.address})`,
+        expected: true,
+        actual: false,
+      },
+    ]);
+  });
+  it("Should report contract settings which differ", async () => {
+    await deposit.contract.pause();
+    await deposit.contract.setClaimManager(user1.address);
+    expected.timelockDelay = 3600;
+    expect(await checkDepositDeployment(deposit.contract, expected)).to.eql([
+      { check: "paused()", expected: false, actual: true },
+      {
+        check: "claimManager()",
+        expected: ZeroAddress,
+        actual: user1.address,
+      },
+      { check: "timelockDelay()", expected: 3600, actual: 0n },
+    ]);
+  });
+  it("Should report missing and unexpected whitelist entries", async () => {
+    const [missing, ...tokens] = expected.tokens;
+    expected.tokens = tokens;
+    const failures = await checkDepositDeployment(deposit.contract, expected);
+    expect(failures).to.eql([
+      {
+        check: `getAllWhitelistedTokens() unexpected entry ${missing.address.toLowerCase()}`,
+        expected: true,
+        actual: false,
+      },
+    ]);
+
+    expected.tokens = [
+      ...expected.tokens,
+      missing,
+      { address: user1.address, symbol: "EOA", decimals: 18 },
+    ];
+    const checks = (
+      await checkDepositDeployment(deposit.contract, expected)
+    ).map(({ check }) => check);
+    expect(checks).to.include(
+      `getAllWhitelistedTokens() includes ${user1.address.toLowerCase()}`
+    );
+    expect(checks).to.include(`whitelistedTokens(${user1.address})`);
+    // Reading an account without code fails, which is reported rather than thrown
+    expect(checks).to.include(`${user1.address}.symbol()`);
+  });
+  it("Should report every whitelist entry as missing if the whitelist can't be read", async () => {
+    // A token contract has none of OmronDeposit's functions, so every read fails
+    const [token] = erc20Deployments;
+    const failures = await checkDepositDeployment(
+      deposit.contract.attach(token.address),
+      expected
+    );
+    const whitelistRead = failures.find(
+      ({ check }) => check === "getAllWhitelistedTokens()"
+    );
+    expect(whitelistRead.expected).to.equal(`${expected.tokens.length} tokens`);
+    expect(whitelistRead.actual).to.match(/^call failed: /);
+    const checks = failures.map(({ check }) => check);
+    for (const { address } of expected.tokens) {
+      expect(checks).to.include(
+        `getAllWhitelistedTokens() includes ${address.toLowerCase()}`
+      );
+    }
+  });
+  it("Should report token metadata, multipliers and deposit limits which differ", async () => {
+    const [token] = erc20Deployments;
+    await deposit.contract.setTokenMultiplier(token.address, parseEther("2"));
+    Object.assign(expected.tokens[0], {
+      symbol: "WETH",
+      maxUserDeposits: "100",
+    });
+    expect(await checkDepositDeployment(deposit.contract, expected)).to.eql([
+      {
+        check: `tokenMultipliers(${token.address})`,
+        expected: parseEther("1"),
+        actual: parseEther("2"),
+      },
+      {
+        check: `maxUserDeposits(${token.address})`,
+        expected: parseEther("100"),
+        actual: 0n,
+      },
+      {
+        check: `${token.address}.symbol()`,
+        expected: "WETH",
+        actual: "tstETH",
+      },
+    ]);
+  });
+  it("Should report boost epochs which differ", async () => {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const startTime = timestamp + 3600;
+    await deposit.contract.addBoostEpoch(startTime, parseEther("2"));
+    expected.boostEpochs = [
+      { startTime, multiplier: "1.5" },
+      { startTime: startTime + 3600, multiplier: "1" },
+    ];
+    expect(await checkDepositDeployment(deposit.contract, expected)).to.eql([
+      { check: "getBoostEpochs().length", expected: 2, actual: 1 },
+      {
+        check: "getBoostEpochs()[0].multiplier",
+        expected: parseEther("1.5"),
+        actual: parseEther("2"),
+      },
+      {
+        check: "getBoostEpochs()[1].startTime",
+        expected: startTime + 3600,
+        actual: undefined,
+      },
+      {
+        check: "getBoostEpochs()[1].multiplier",
+        expected: parseEther("1"),
+        actual: undefined,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,173 @@
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { expect } from "chai";
+import { ZeroAddress } from "ethers";
+import {
+  claimPointsInBatches,
+  withdrawTokensInBatches,
+} from "../helpers/claims.js";
+import {
+  deployDepositContractFixture,
+  deployMockClaimContractFixture,
+} from "./helpers/fixtures.js";
+import { addAllowance } from "./helpers/interactions.js";
+
+describe("Batch claims", () => {
+  /**
+   * Deposits for 200 users, every third of which also deposits a second token, and adds 10 users who never deposited.
+   * Deposits are then stopped with MockClaim as the claim manager.
+   */
+  const manyUsersFixture = async () => {
+    const [owner] = await ethers.getSigners();
+    const { deposit, erc20Deployments } = await deployDepositContractFixture();
+    const [token1, token2] = erc20Deployments;
+    const claimManager = await deployMockClaimContractFixture(deposit.address);
+    await deposit.contract.setClaimManager(claimManager.address);
+    for (const token of [token1, token2]) {
+      await addAllowance(token, owner, deposit, ethers.MaxUint256);
+    }
+
+    const depositors = Array.from(
+      { length: 200 },
+      () => ethers.Wallet.createRandom().address
+    );
+    const balances = {};
+    for (const [i, user] of depositors.entries()) {
+      const amount = ethers.parseEther(String(i + 1));
+      await deposit.contract.depositFor(
+        user,
+        token1.address,
+        amount,
+        ZeroAddress
+      );
+      balances[user] = { [token1.address]: amount };
+      if (i % 3 === 0) {
+        await deposit.contract.depositFor(
+          user,
+          token2.address,
+          ethers.parseEther("1"),
+          ZeroAddress
+        );
+        balances[user][token2.address] = ethers.parseEther("1");
+      }
+    }
+    const nonDepositors = Array.from(
+      { length: 10 },
+      () => ethers.Wallet.createRandom().address
+    );
+    for (const user of nonDepositors) {
+      balances[user] = {};
+    }
+
+    await time.increase(3600);
+    await deposit.contract.stopDeposits();
+    const users = [...depositors, ...nonDepositors];
+    const points = {};
+    for (const user of users) {
+      points[user] = await deposit.contract.calculatePoints(user);
+    }
+    return { deposit, claimManager, token1, token2, users, balances, points };
+  };
+
+  let deposit, claimManager, token1, token2, users, balances, points;
+  beforeEach(async () => {
+    ({ deposit, claimManager, token1, token2, users, balances, points } =
+      await loadFixture(manyUsersFixture));
+  });
+
+  it("Should claim every user's points in bounded batches", async () => {
+    const gasUsed = [];
+    const claimed = await claimPointsInBatches(
+      claimManager.contract,
+      deposit.contract,
+      users,
+      { onBatch: (_batch, receipt) => gasUsed.push(receipt.gasUsed) }
+    );
+    expect(claimed).to.eql(points);
+    expect(gasUsed).to.have.lengthOf(3);
+    const { gasLimit } = await ethers.provider.getBlock("latest");
+    for (const gas of gasUsed) {
+      expect(gas).to.be.lessThan(gasLimit / 2n);
+    }
+    for (const user of users) {
+      expect((await deposit.contract.getUserInfo(user)).pointBalance).to.equal(
+        0n
+      );
+    }
+
+    // A second pass finds nothing left to claim
+    expect(
+      Object.values(
+        await claimPointsInBatches(
+          claimManager.contract,
+          deposit.contract,
+          users,
+          { batchSize: 50 }
+        )
+      ).every((points) => points === 0n)
+    ).to.equal(true);
+  });
+  it("Should emit PointsClaimed from MockClaim only for users with points", async () => {
+    const batch = users.slice(-20);
+    const receipt = await (
+      await claimManager.contract.claimPointsBatch(batch)
+    ).wait();
+    const claims = receipt.logs
+      .filter((log) => log.address === claimManager.address)
+      .map((log) => claimManager.contract.interface.parseLog(log).args);
+    expect(claims.map(([user]) => user)).to.eql(batch.slice(0, 10));
+    for (const [user, claimedPoints] of claims) {
+      expect(claimedPoints).to.equal(points[user]);
+    }
+  });
+  it("Should withdraw every user's tokens to the claim manager", async () => {
+    const gasUsed = [];
+    const withdrawn = await withdrawTokensInBatches(
+      claimManager.contract,
+      deposit.contract,
+      users,
+      {
+        batchSize: 80,
+        onBatch: (_batch, receipt) => gasUsed.push(receipt.gasUsed),
+      }
+    );
+    expect(withdrawn).to.eql(balances);
+    expect(gasUsed).to.have.lengthOf(3);
+
+    for (const token of [token1, token2]) {
+      const total = Object.values(balances).reduce(
+        (sum, userBalances) => sum + (userBalances[token.address] ?? 0n),
+        0n
+      );
+      expect(await token.contract.balanceOf(claimManager.address)).to.equal(
+        total
+      );
+      expect(await token.contract.balanceOf(deposit.address)).to.equal(0n);
+    }
+    for (const user of users.slice(0, 10)) {
+      expect(
+        await deposit.contract.tokenBalance(user, token1.address)
+      ).to.equal(0n);
+      expect((await deposit.contract.getUserInfo(user)).pointsPerHour).to.equal(
+        0n
+      );
+    }
+  });
+  it("Should key results by checksummed address when given lowercase addresses", async () => {
+    const batch = users.slice(0, 10);
+    const lowercase = batch.map((user) => user.toLowerCase());
+    expect(
+      await claimPointsInBatches(
+        claimManager.contract,
+        deposit.contract,
+        lowercase
+      )
+    ).to.eql(Object.fromEntries(batch.map((user) => [user, points[user]])));
+    expect(
+      await withdrawTokensInBatches(
+        claimManager.contract,
+        deposit.contract,
+        lowercase
+      )
+    ).to.eql(Object.fromEntries(batch.map((user) => [user, balances[user]])));
+  });
+});
@@ -0,0 +1,151 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { getRoleHolders, loadDeployConfig } from "../helpers/config.js";
+
+describe("Deployment config", () => {
+  const weth = "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2";
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "omron-config-"));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const writeConfig = (config) => {
+    const configPath = path.join(dir, "deploy.config.json");
+    fs.writeFileSync(configPath, JSON.stringify(config));
+    return configPath;
+  };
+
+  it("Should apply the schema's defaults", () => {
+    const config = loadDeployConfig(
+      "sepolia",
+      writeConfig({
+        sepolia: { tokens: [{ address: weth, symbol: "WETH", decimals: 18 }] },
+      })
+    );
+    expect(config).to.eql({
+      tokens: [
+        {
+          address: weth,
+          symbol: "WETH",
+          decimals: 18,
+          multiplier: "1",
+          maxTotalDeposits: "0",
+          maxUserDeposits: "0",
+          minDepositAmount: "0",
+        },
+      ],
+      roles: {},
+      boostEpochs: [],
+      mockTokens: 0,
+      pause: true,
+      timelockDelay: 0,
+    });
+  });
+  it("Should use the defaults for networks without a config", () => {
+    expect(
+      loadDeployConfig("localhost", path.join(dir, "missing.json"))
+    ).to.include({ mockTokens: 0, pause: true, timelockDelay: 0 });
+    expect(
+      loadDeployConfig("localhost", writeConfig({ sepolia: {} }))
+    ).to.include({ pause: true });
+  });
+  it("Should list every validation error", () => {
+    const configPath = writeConfig({
+      sepolia: {
+        weth: "0x1234",
+        tokens: [
+          {
+            address: weth,
+            symbol: "WETH",
+            decimals: 18,
+            multiplier: "0",
+          },
+        ],
+        pauser: [weth],
+      },
+    });
+    for (const message of [
+      `Invalid deployment config ${configPath}`,
+      "/sepolia/weth must match pattern",
+      "/sepolia/tokens/0/multiplier must NOT be valid",
+      "/sepolia must NOT have additional properties (pauser)",
+    ]) {
+      expect(() => loadDeployConfig("sepolia", configPath)).to.throw(message);
+    }
+  });
+  it("Should reject the zero address", () => {
+    expect(() =>
+      loadDeployConfig(
+        "sepolia",
+        writeConfig({ sepolia: { weth: ethers.ZeroAddress } })
+      )
+    ).to.throw("/sepolia/weth must NOT be valid");
+  });
+  it("Should refuse to deploy to mainnet without a config file", () => {
+    const configPath = path.join(dir, "missing.json");
+    expect(() => loadDeployConfig("mainnet", configPath)).to.throw(
+      `Refusing to deploy to mainnet without a deployment config, ${configPath} does not exist`
+    );
+  });
+  it("Should refuse to deploy to mainnet without a config for it", () => {
+    const configPath = writeConfig({ sepolia: {} });
+    expect(() => loadDeployConfig("mainnet", configPath)).to.throw(
+      `Refusing to deploy to mainnet, ${configPath} has no config for it`
+    );
+  });
+  it("Should require WETH on mainnet", () => {
+    expect(() =>
+      loadDeployConfig(
+        "mainnet",
+        writeConfig({ mainnet: { timelockDelay: 1 } })
+      )
+    ).to.throw("/mainnet must have required property 'weth'");
+  });
+  it("Should require a timelock delay on mainnet", () => {
+    expect(() =>
+      loadDeployConfig("mainnet", writeConfig({ mainnet: { weth } }))
+    ).to.throw("/mainnet/timelockDelay must be >= 1");
+    expect(() =>
+      loadDeployConfig(
+        "mainnet",
+        writeConfig({ mainnet: { weth, timelockDelay: 0 } })
+      )
+    ).to.throw("/mainnet/timelockDelay must be >= 1");
+  });
+  it("Should load the mainnet config with a timelock delay", () => {
+    const config = loadDeployConfig(
+      "mainnet",
+      writeConfig({ mainnet: { weth, timelockDelay: 172800 } })
+    );
+    expect(config.timelockDelay).to.equal(172800);
+    expect(config.pause).to.equal(true);
+  });
+  it("Should load the repo's mainnet config", () => {
+    expect(
+      loadDeployConfig("mainnet", "deploy.config.json").timelockDelay
+    ).to.be.greaterThan(0);
+  });
+  it("Should default the roles to the deployer and the admins", () => {
+    const [deployer, admin, pauser] = [1, 2, 3].map(
+      (i) => `0x${String(i).repeat(40)}`
+    );
+    expect(getRoleHolders({}, deployer)).to.eql({
+      admin: [deployer],
+      pauser: [deployer],
+      whitelistManager: [deployer],
+      claimAdmin: [deployer],
+    });
+    expect(
+      getRoleHolders({ roles: { admin: [admin], pauser: [pauser] } }, deployer)
+    ).to.eql({
+      admin: [admin],
+      pauser: [pauser],
+      whitelistManager: [admin],
+      claimAdmin: [admin],
+    });
+  });
+});
@@ -1,4 +1,7 @@
+import { setCode, time } from "@nomicfoundation/hardhat-network-helpers";
 import { deployContract } from "../../helpers/deployment.js";
+import { PERMIT2_ADDRESS } from "../../helpers/utils.js";
+import { addAllowance, depositTokens } from "./interactions.js";
 
 const deployDepositContractFixture = async (numberOfERC20 = 5) => {
   const [owner] = await ethers.getSigners();
@@ -19,9 +22,13 @@ const deployDepositContractFixture = async (numberOfERC20 = 5) => {
     ethers.parseEther("1000000"),
   ]);
 
+  // WETH isn't whitelisted, so ETH deposits are rejected until a test whitelists it
+  const weth = await deployContract("WETH9", []);
+
   const contract = await deployContract("OmronDeposit", [
     owner.address,
     erc20Deployments.map((deployment) => deployment.address),
+    weth.address,
   ]);
 
   return {
@@ -29,12 +36,106 @@ const deployDepositContractFixture = async (numberOfERC20 = 5) => {
     erc20Deployments,
     nonWhitelistedToken,
     brokenERC20,
+    weth,
   };
 };
 
+/**
+ * Deploys the deposit contract whitelisting tstETH tokens with 6, 8, 18 and 24 decimals
+ */
+const deployMixedDecimalsFixture = async () => {
+  const [owner] = await ethers.getSigners();
+  const decimals = [6, 8, 18, 24];
+  const erc20Deployments = [];
+  for (const tokenDecimals of decimals) {
+    erc20Deployments.push(
+      await deployContract("tstETH", [
+        ethers.parseUnits("1000000", tokenDecimals),
+        tokenDecimals,
+      ])
+    );
+  }
+
+  const weth = await deployContract("WETH9", []);
+
+  const contract = await deployContract("OmronDeposit", [
+    owner.address,
+    erc20Deployments.map((deployment) => deployment.address),
+    weth.address,
+  ]);
+
+  return { deposit: contract, erc20Deployments, decimals };
+};
+
+/**
+ * Deploys the deposit contract with a whitelisted EIP-2612 permit token, and places MockPermit2 at the canonical Permit2 address
+ */
+const deployPermitFixture = async () => {
+  const fixture = await deployDepositContractFixture();
+  const permitToken = await deployContract("tstETHPermit", [
+    ethers.parseEther("1000000"),
+  ]);
+  await fixture.deposit.contract.addWhitelistedToken(permitToken.address);
+
+  const mockPermit2 = await deployContract("MockPermit2", []);
+  await setCode(
+    PERMIT2_ADDRESS,
+    await ethers.provider.getCode(mockPermit2.address)
+  );
+  const permit2 = await ethers.getContractAt("MockPermit2", PERMIT2_ADDRESS);
+
+  return { ...fixture, permitToken, permit2 };
+};
+
 const deployMockClaimContractFixture = async (depositContractAddress) => {
   const contract = await deployContract("MockClaim", [depositContractAddress]);
   return contract;
 };
 
-export { deployDepositContractFixture, deployMockClaimContractFixture };
+/**
+ * Deploys the deposit contract and runs a history of deposits, a whitelist removal, a deposit stop, withdrawals and a claim across three users.
+ * The owner is set as the claim manager.
+ */
+const depositActivityFixture = async () => {
+  const [owner, user1, user2, user3] = await ethers.getSigners();
+  const fixture = await deployDepositContractFixture();
+  const { deposit, erc20Deployments } = fixture;
+  const [token1, token2, token3] = erc20Deployments;
+  const startBlock = (await ethers.provider.getTransactionReceipt(deposit.hash))
+    .blockNumber;
+
+  for (const user of [user1, user2, user3]) {
+    for (const token of [token1, token2, token3]) {
+      await token.contract.transfer(user.address, ethers.parseEther("100"));
+      await addAllowance(token, user, deposit, ethers.parseEther("100"));
+    }
+  }
+
+  await depositTokens(deposit, token1, ethers.parseEther("10"), user1);
+  await time.increase(3599);
+  await depositTokens(deposit, token2, ethers.parseEther("3"), user2);
+  await depositTokens(deposit, token3, ethers.parseEther("7"), user2);
+  await time.increase(1800);
+  await depositTokens(deposit, token2, ethers.parseEther("1.5"), user1);
+  const midBlock = await ethers.provider.getBlockNumber();
+  // Removing the first token swaps the last token into its place in the whitelist, but WithdrawTokens amounts keep the order of the accepted tokens
+  await deposit.contract.removeWhitelistedToken(token1.address);
+  await depositTokens(deposit, token3, ethers.parseEther("20"), user3);
+  await time.increase(7200);
+  await deposit.contract.stopDeposits();
+  await time.increase(3600);
+  await deposit.contract.setClaimManager(owner.address);
+  await deposit.contract.withdrawTokens(user1.address);
+  await deposit.contract.claim(user2.address);
+  await deposit.contract.withdrawTokens(user2.address);
+
+  return { ...fixture, startBlock, midBlock };
+};
+
+export {
+  deployDepositContractFixture,
+  deployMixedDecimalsFixture,
+  deployMockClaimContractFixture,
+  deployPermitFixture,
+  depositActivityFixture,
+};
@@ -9,7 +9,7 @@ export const depositTokens = async (
   deposit,
   token,
   amount,
-  depositor = owner,
+  depositor,
   shouldRevert = false,
   revertMessage = ""
 ) => {
@@ -32,7 +32,7 @@ export const withdrawTokens = async (
   deposit,
   token,
   amount,
-  withdrawer = owner,
+  withdrawer,
   shouldRevert = false,
   revertMessage = ""
 ) => {
@@ -52,8 +52,9 @@ export const withdrawTokens = async (
 };
 
 export const enableWithdrawals = async (
+  deposit,
+  sender,
   enabled = true,
-  sender = owner,
   shouldRevert = false,
   revertMessage = ""
 ) => {
@@ -73,10 +74,12 @@ export const enableWithdrawals = async (
 };
 
 export const pauseContract = async (
+  deposit,
+  sender,
   shouldRevert = false,
   revertMessage = ""
 ) => {
-  const action = deposit.contract.connect(owner).pause();
+  const action = deposit.contract.connect(sender).pause();
   if (shouldRevert) {
     await expect(action).to.be.revertedWithCustomError(
       deposit.contract,
@@ -85,15 +88,17 @@ export const pauseContract = async (
   } else {
     await expect(action)
       .to.emit(deposit.contract, "Paused")
-      .withArgs(owner.address);
+      .withArgs(sender.address);
   }
 };
 
 export const unpauseContract = async (
+  deposit,
+  sender,
   shouldRevert = false,
   revertMessage = ""
 ) => {
-  const action = deposit.contract.connect(owner).unpause();
+  const action = deposit.contract.connect(sender).unpause();
   if (shouldRevert) {
     await expect(action).to.be.revertedWithCustomError(
       deposit.contract,
@@ -102,17 +107,19 @@ export const unpauseContract = async (
   } else {
     await expect(action)
       .to.emit(deposit.contract, "Unpaused")
-      .withArgs(owner.address);
+      .withArgs(sender.address);
   }
 };
 
 export const addTokenToWhitelist = async (
+  deposit,
   token,
+  sender,
   shouldRevert = false,
   revertMessage = ""
 ) => {
   const action = deposit.contract
-    .connect(owner)
+    .connect(sender)
     .addWhitelistedToken(token.address);
   if (shouldRevert) {
     await expect(action).to.be.revertedWithCustomError(
@@ -127,6 +134,7 @@ export const addTokenToWhitelist = async (
 };
 
 export const verifyUserInfo = async (
+  deposit,
   user,
   expectedPointBalance = null,
   expectedPointsPerHour = null,
@@ -0,0 +1,81 @@
+/**
+ * A reference implementation of boosted point accrual, used to cross-check OmronDeposit.
+ * It is deliberately written differently from the contract: rather than walking the epochs with a cursor,
+ * it splits each accrual period at every epoch start inside it, and looks up the multiplier in effect for each piece.
+ */
+
+const MULTIPLIER_SCALE = 10n ** 18n;
+const ONE_HOUR = 3600n;
+
+/**
+ * Gets the multiplier in effect at a timestamp
+ * @param {bigint} timestamp The timestamp
+ * @param {{startTime: bigint, multiplier: bigint}[]} boostEpochs The boost epochs
+ * @returns {bigint} The multiplier of the latest epoch to start at or before the timestamp, or MULTIPLIER_SCALE if none has
+ */
+export const multiplierAt = (timestamp, boostEpochs) =>
+  boostEpochs
+    .filter(({ startTime }) => startTime <= timestamp)
+    .reduce(
+      (latest, epoch) =>
+        latest && latest.startTime > epoch.startTime ? latest : epoch,
+      undefined
+    )?.multiplier ?? MULTIPLIER_SCALE;
+
+/**
+ * Calculates the points a constant rate earns over a period
+ * @param {bigint} from The start of the period
+ * @param {bigint} to The end of the period
+ * @param {bigint} pointsPerHour The rate
+ * @param {{startTime: bigint, multiplier: bigint}[]} boostEpochs The boost epochs
+ * @returns {bigint} The points earned, rounded down
+ */
+export const pointsBetween = (from, to, pointsPerHour, boostEpochs) => {
+  if (to <= from) return 0n;
+  const boundaries = [
+    from,
+    ...boostEpochs
+      .map(({ startTime }) => startTime)
+      .filter((startTime) => startTime > from && startTime < to),
+    to,
+  ].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  let scaledPointSeconds = 0n;
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    scaledPointSeconds +=
+      (boundaries[i + 1] - boundaries[i]) *
+      multiplierAt(boundaries[i], boostEpochs);
+  }
+  return (scaledPointSeconds * pointsPerHour) / (ONE_HOUR * MULTIPLIER_SCALE);
+};
+
+/**
+ * Calculates a user's points from the history of their deposits.
+ * Points are settled, and rounded down, at every update, just as the contract settles them on every deposit.
+ * @param {Object} options
+ * @param {{timestamp: bigint, pointsPerHour: bigint}[]} options.updates The times the user's points were updated, and their points per hour after each update
+ * @param {{startTime: bigint, multiplier: bigint}[]} [options.boostEpochs] The boost epochs
+ * @param {bigint} [options.depositStopTime] The deposit stop time, or zero if deposits haven't been stopped
+ * @param {bigint} options.timestamp The time to calculate points at
+ * @returns {bigint} The user's points
+ */
+export const referencePoints = ({
+  updates,
+  boostEpochs = [],
+  depositStopTime = 0n,
+  timestamp,
+}) => {
+  const clamp = (time) =>
+    depositStopTime !== 0n && time > depositStopTime ? depositStopTime : time;
+  return updates.reduce((points, update, i) => {
+    const end = i + 1 < updates.length ? updates[i + 1].timestamp : timestamp;
+    return (
+      points +
+      pointsBetween(
+        clamp(update.timestamp),
+        clamp(end),
+        update.pointsPerHour,
+        boostEpochs
+      )
+    );
+  }, 0n);
+};
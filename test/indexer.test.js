@@ -0,0 +1,295 @@
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { deployContract } from "../helpers/deployment.js";
+import {
+  createIndexerState,
+  getLeaderboard,
+  indexEvents,
+  loadIndexerState,
+  saveIndexerState,
+} from "../helpers/indexer.js";
+import { calculatePoints } from "../helpers/points.js";
+import {
+  deployMixedDecimalsFixture,
+  depositActivityFixture,
+} from "./helpers/fixtures.js";
+import { addAllowance } from "./helpers/interactions.js";
+
+describe("Points indexer", () => {
+  let user1, user2, user3;
+  before(async () => {
+    [, user1, user2, user3] = await ethers.getSigners();
+  });
+
+  let deposit, erc20Deployments, startBlock, midBlock;
+  beforeEach(async () => {
+    ({ deposit, erc20Deployments, startBlock, midBlock } = await loadFixture(
+      depositActivityFixture
+    ));
+  });
+
+  /**
+   * Asserts that every indexed user matches the contract's view of them at the latest block
+   */
+  const expectStateToMatchContract = async (state) => {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    expect(Object.keys(state.users)).to.have.members([
+      user1.address,
+      user2.address,
+      user3.address,
+    ]);
+    expect(state.depositStopTime).to.equal(
+      await deposit.contract.depositStopTime()
+    );
+    expect(state.whitelist).to.eql([
+      ...(await deposit.contract.getAllWhitelistedTokens()),
+    ]);
+    expect(state.acceptedTokens).to.eql([
+      ...(await deposit.contract.getAllAcceptedTokens()),
+    ]);
+    for (const [address, user] of Object.entries(state.users)) {
+      const [pointsPerHour, lastUpdated, pointBalance] =
+        await deposit.contract.getUserInfo(address);
+      expect(user.pointsPerHour).to.equal(pointsPerHour);
+      expect(user.lastUpdated).to.equal(lastUpdated);
+      expect(user.pointBalance).to.equal(pointBalance);
+      expect(calculatePoints(user, BigInt(timestamp), state)).to.equal(
+        await deposit.contract.calculatePoints(address)
+      );
+      for (const token of erc20Deployments) {
+        expect(user.tokenBalances[token.address] ?? 0n).to.equal(
+          await deposit.contract.tokenBalance(address, token.address)
+        );
+      }
+    }
+  };
+
+  it("Should rebuild every user's state from events", async () => {
+    const state = createIndexerState({
+      address: deposit.address,
+      chainId: 31337,
+      startBlock,
+    });
+    await indexEvents(deposit.contract, state, { batchSize: 7 });
+    expect(state.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+    await expectStateToMatchContract(state);
+  });
+  it("Should continue incrementally from saved state", async () => {
+    const statePath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "omron-")),
+      "points.json"
+    );
+    const state = createIndexerState({
+      address: deposit.address,
+      chainId: 31337,
+      startBlock,
+    });
+    await indexEvents(deposit.contract, state, { toBlock: midBlock });
+    saveIndexerState(statePath, state);
+
+    const loaded = loadIndexerState(statePath);
+    expect(loaded).to.eql(state);
+    expect(loaded.lastBlock).to.equal(midBlock);
+    await indexEvents(deposit.contract, loaded);
+    await expectStateToMatchContract(loaded);
+  });
+  it("Should apply emergency withdrawals, including of removed tokens", async () => {
+    const state = createIndexerState({
+      address: deposit.address,
+      chainId: 31337,
+      startBlock,
+    });
+    await indexEvents(deposit.contract, state);
+    // withdrawTokens returned user1's balance of the removed token1
+    expect(
+      state.users[user1.address].tokenBalances[erc20Deployments[0].address]
+    ).to.equal(0n);
+    const token3 = erc20Deployments[2].address;
+    await deposit.contract.removeWhitelistedToken(token3);
+    await deposit.contract.enableEmergencyMode();
+    await deposit.contract.connect(user3).emergencyWithdraw();
+    await indexEvents(deposit.contract, state);
+    await expectStateToMatchContract(state);
+    expect(state.users[user3.address].tokenBalances[token3]).to.equal(0n);
+    expect(state.users[user3.address].pointsPerHour).to.equal(0n);
+  });
+  it("Should forfeit points which overflow in an emergency withdrawal", async () => {
+    const { deposit } = await loadFixture(deployMixedDecimalsFixture);
+    const startBlock = (
+      await ethers.provider.getTransactionReceipt(deposit.hash)
+    ).blockNumber;
+    const [owner] = await ethers.getSigners();
+    // A deposit so large that its points overflow after an hour
+    const amount = 10n ** 58n;
+    const hugeToken = await deployContract("tstETH", [amount, 18]);
+    await deposit.contract.addWhitelistedToken(hugeToken.address);
+    await addAllowance(hugeToken, owner, deposit, amount);
+    await deposit.contract.deposit(hugeToken.address, amount);
+    await time.increase(3600);
+    await deposit.contract.enableEmergencyMode();
+    await deposit.contract.emergencyWithdraw();
+
+    const state = createIndexerState({
+      address: deposit.address,
+      chainId: 31337,
+      startBlock,
+    });
+    await indexEvents(deposit.contract, state);
+    const [pointsPerHour, lastUpdated, pointBalance] =
+      await deposit.contract.getUserInfo(owner.address);
+    const user = state.users[owner.address];
+    expect(user.pointsPerHour).to.equal(pointsPerHour);
+    expect(user.lastUpdated).to.equal(lastUpdated);
+    expect(user.pointBalance).to.equal(pointBalance);
+    expect(user.tokenBalances[hugeToken.address]).to.equal(0n);
+  });
+  it("Should normalize deposits by token decimals and multipliers", async () => {
+    const { deposit, erc20Deployments, decimals } = await loadFixture(
+      deployMixedDecimalsFixture
+    );
+    const startBlock = (
+      await ethers.provider.getTransactionReceipt(deposit.hash)
+    ).blockNumber;
+    const [owner] = await ethers.getSigners();
+    for (const [i, token] of erc20Deployments.entries()) {
+      await addAllowance(token, owner, deposit, ethers.MaxUint256);
+      await deposit.contract.deposit(
+        token.address,
+        ethers.parseUnits("3", decimals[i])
+      );
+    }
+    await deposit.contract.setTokenMultiplier(
+      erc20Deployments[0].address,
+      ethers.parseEther("1.25")
+    );
+    await deposit.contract.deposit(
+      erc20Deployments[0].address,
+      ethers.parseUnits("2", decimals[0])
+    );
+
+    const state = await indexEvents(
+      deposit.contract,
+      createIndexerState({
+        address: deposit.address,
+        chainId: 31337,
+        startBlock,
+      })
+    );
+    expect(state.tokens[erc20Deployments[0].address]).to.eql({
+      decimals: 6,
+      multiplier: ethers.parseEther("1.25"),
+    });
+    const [pointsPerHour, lastUpdated, pointBalance] =
+      await deposit.contract.getUserInfo(owner.address);
+    expect(state.users[owner.address]).to.deep.include({
+      pointsPerHour,
+      lastUpdated,
+      pointBalance,
+    });
+    expect(pointsPerHour).to.equal(ethers.parseEther("14.5"));
+  });
+  it("Should apply boost epochs to points", async () => {
+    const { deposit, erc20Deployments } = await loadFixture(
+      deployMixedDecimalsFixture
+    );
+    const startBlock = (
+      await ethers.provider.getTransactionReceipt(deposit.hash)
+    ).blockNumber;
+    const [owner] = await ethers.getSigners();
+    const [token] = erc20Deployments;
+    const start = BigInt(await time.latest()) + 3600n;
+    await deposit.contract.addBoostEpoch(start, ethers.parseEther("3"));
+    await deposit.contract.addBoostEpoch(start + 3600n, ethers.parseEther("4"));
+    await deposit.contract.addBoostEpoch(start + 7200n, ethers.parseEther("2"));
+    await deposit.contract.removeLastBoostEpoch();
+    await addAllowance(token, owner, deposit, ethers.MaxUint256);
+    await deposit.contract.deposit(token.address, 1_000_000n);
+    await time.increaseTo(start + 5400n);
+    await deposit.contract.deposit(token.address, 1_000_000n);
+    await time.increaseTo(start + 9000n);
+    await deposit.contract.stopDeposits();
+
+    const state = await indexEvents(
+      deposit.contract,
+      createIndexerState({
+        address: deposit.address,
+        chainId: 31337,
+        startBlock,
+      })
+    );
+    expect(state.boostEpochs).to.eql([
+      { startTime: start, multiplier: ethers.parseEther("3") },
+      { startTime: start + 3600n, multiplier: ethers.parseEther("4") },
+    ]);
+    const user = state.users[owner.address];
+    expect(user.pointBalance).to.equal(
+      (await deposit.contract.getUserInfo(owner.address)).pointBalance
+    );
+    expect(calculatePoints(user, state.lastBlockTimestamp, state)).to.equal(
+      await deposit.contract.calculatePoints(owner.address)
+    );
+  });
+  it("Should apply partial withdrawals", async () => {
+    const { deposit, erc20Deployments } = await loadFixture(
+      deployMixedDecimalsFixture
+    );
+    const startBlock = (
+      await ethers.provider.getTransactionReceipt(deposit.hash)
+    ).blockNumber;
+    const [owner] = await ethers.getSigners();
+    const [sixDecimals, , , twentyFourDecimals] = erc20Deployments;
+    await deposit.contract.setWithdrawalsEnabled(true);
+    for (const token of [sixDecimals, twentyFourDecimals]) {
+      await addAllowance(token, owner, deposit, ethers.MaxUint256);
+    }
+    await deposit.contract.deposit(sixDecimals.address, 3_000_000n);
+    await deposit.contract.setTokenMultiplier(
+      sixDecimals.address,
+      ethers.parseEther("1.5")
+    );
+    await deposit.contract.deposit(sixDecimals.address, 1_000_000n);
+    await deposit.contract.deposit(twentyFourDecimals.address, 3_000_000n);
+    await time.increase(3600);
+    await deposit.contract.withdraw(sixDecimals.address, 1_000_001n);
+    await deposit.contract.withdraw(twentyFourDecimals.address, 1n);
+
+    const state = await indexEvents(
+      deposit.contract,
+      createIndexerState({
+        address: deposit.address,
+        chainId: 31337,
+        startBlock,
+      })
+    );
+    const user = state.users[owner.address];
+    const [pointsPerHour, lastUpdated, pointBalance] =
+      await deposit.contract.getUserInfo(owner.address);
+    expect(user).to.deep.include({ pointsPerHour, lastUpdated, pointBalance });
+    for (const token of [sixDecimals, twentyFourDecimals]) {
+      expect(user.tokenBalances[token.address]).to.equal(
+        await deposit.contract.tokenBalance(owner.address, token.address)
+      );
+      expect(user.tokenPointsPerHour[token.address]).to.equal(
+        await deposit.contract.tokenPointsPerHour(owner.address, token.address)
+      );
+    }
+  });
+  it("Should rank users by points", async () => {
+    const state = createIndexerState({
+      address: deposit.address,
+      chainId: 31337,
+      startBlock,
+    });
+    await indexEvents(deposit.contract, state);
+    const leaderboard = getLeaderboard(state);
+    expect(leaderboard.map(({ address }) => address)).to.eql([
+      user3.address,
+      user1.address,
+      user2.address,
+    ]);
+    expect(leaderboard[2].points).to.equal(0n);
+  });
+});
@@ -0,0 +1,209 @@
+import { expect } from "chai";
+import fs from "fs";
+import hre from "hardhat";
+import path from "path";
+import { deployContract } from "../helpers/deployment.js";
+import {
+  MANIFEST_VERSION,
+  checkReusableDeployment,
+  getDeployment,
+  getManifestPath,
+  isPersistentNetwork,
+  loadDeployments,
+  recordDeployment,
+  saveDeployments,
+} from "../helpers/manifest.js";
+
+describe("Deployment manifest", () => {
+  // Manifests are written under deployments/, so use a network name no real deployment has
+  const network = "manifest-test";
+  const manifestPath = getManifestPath(network);
+  let createdDirectory;
+  before(() => {
+    createdDirectory = !fs.existsSync(path.dirname(manifestPath));
+  });
+  afterEach(() => {
+    fs.rmSync(manifestPath, { force: true });
+    if (createdDirectory) {
+      fs.rmSync(path.dirname(manifestPath), { recursive: true, force: true });
+    }
+  });
+
+  /**
+   * Deploys a tstETH token on the in-process network and records it in the test manifest
+   */
+  const deployAndRecord = async (id = "tstETH") => {
+    const args = [hre.ethers.parseEther("1000"), 18];
+    const { address, hash } = await deployContract("tstETH", args);
+    const receipt = await hre.ethers.provider.getTransactionReceipt(hash);
+    const entry = await recordDeployment(
+      id,
+      {
+        contractName: "tstETH",
+        address,
+        transactionHash: hash,
+        args,
+        blockNumber: receipt.blockNumber,
+        deployer: receipt.from,
+      },
+      network
+    );
+    return { args, address, hash, receipt, entry };
+  };
+
+  it("Should return an empty manifest for a network without one", () => {
+    expect(loadDeployments(network)).to.eql({
+      version: MANIFEST_VERSION,
+      network,
+      chainId: null,
+      contracts: {},
+    });
+    expect(getDeployment("tstETH", network)).to.equal(undefined);
+  });
+  it("Should record deployments and read them back", async () => {
+    const { address, hash, receipt, entry } = await deployAndRecord();
+    expect(entry).to.include({
+      contractName: "tstETH",
+      address,
+      transactionHash: hash,
+      blockNumber: receipt.blockNumber,
+      deployer: receipt.from,
+    });
+    // Bigint constructor args are stored as decimal strings
+    expect(entry.args).to.eql([hre.ethers.parseEther("1000").toString(), 18]);
+    expect(entry.bytecodeHash).to.equal(
+      hre.ethers.keccak256(
+        (await hre.artifacts.readArtifact("tstETH")).bytecode
+      )
+    );
+    expect(entry.compiler.version).to.match(/^0\.8\.21/);
+
+    const manifest = loadDeployments(network);
+    expect(manifest.version).to.equal(MANIFEST_VERSION);
+    expect(manifest.chainId).to.equal(31337);
+    expect(manifest.contracts.tstETH).to.eql(entry);
+    expect(getDeployment("tstETH", network)).to.eql(entry);
+    expect(fs.readFileSync(manifestPath, "utf8")).to.match(/\n$/);
+  });
+  it("Should keep earlier deployments when recording another", async () => {
+    const { entry: first } = await deployAndRecord("first");
+    const { entry: second } = await deployAndRecord("second");
+    expect(loadDeployments(network).contracts).to.eql({ first, second });
+  });
+  it("Should not record deployments on the in-process network", async () => {
+    expect(isPersistentNetwork("hardhat")).to.equal(false);
+    expect(isPersistentNetwork(network)).to.equal(true);
+    expect(
+      await recordDeployment(
+        "tstETH",
+        {
+          contractName: "tstETH",
+          address: hre.ethers.ZeroAddress,
+          transactionHash: hre.ethers.ZeroHash,
+          args: [],
+          blockNumber: 0,
+          deployer: hre.ethers.ZeroAddress,
+        },
+        "hardhat"
+      )
+    ).to.equal(undefined);
+    expect(fs.existsSync(getManifestPath("hardhat"))).to.equal(false);
+  });
+  it("Should refuse manifests of another version", () => {
+    saveDeployments(
+      {
+        version: MANIFEST_VERSION + 1,
+        network,
+        chainId: 31337,
+        contracts: {},
+      },
+      network
+    );
+    expect(() => loadDeployments(network)).to.throw(
+      `Unsupported deployment manifest version ${MANIFEST_VERSION + 1}`
+    );
+  });
+  describe("checkReusableDeployment", () => {
+    let args, entry;
+    beforeEach(async () => {
+      ({ args, entry } = await deployAndRecord());
+    });
+    /**
+     * Edits the test manifest and writes it back
+     */
+    const editManifest = (edit) => {
+      const manifest = loadDeployments(network);
+      edit(manifest);
+      saveDeployments(manifest, network);
+    };
+
+    it("Should reuse a deployment with the same chain, bytecode and args", async () => {
+      expect(
+        await checkReusableDeployment("tstETH", "tstETH", args, network)
+      ).to.eql({ reusable: true, entry });
+    });
+    it("Should not reuse anything on the in-process network", async () => {
+      expect(
+        await checkReusableDeployment("tstETH", "tstETH", args, "hardhat")
+      ).to.eql({ reusable: false });
+    });
+    it("Should not reuse a contract which hasn't been recorded", async () => {
+      expect(
+        await checkReusableDeployment("other", "tstETH", args, network)
+      ).to.eql({ reusable: false });
+    });
+    it("Should not reuse a deployment from another chain", async () => {
+      editManifest((manifest) => {
+        manifest.chainId = 1;
+      });
+      expect(
+        await checkReusableDeployment("tstETH", "tstETH", args, network)
+      ).to.eql({
+        reusable: false,
+        reason: "manifest was written for chain 1, not 31337",
+        entry,
+      });
+    });
+    it("Should not reuse a deployment of another contract", async () => {
+      expect(
+        await checkReusableDeployment("tstETH", "WETH9", [], network)
+      ).to.include({
+        reusable: false,
+        reason: "recorded as tstETH",
+      });
+    });
+    it("Should not reuse a deployment whose bytecode has changed", async () => {
+      editManifest((manifest) => {
+        manifest.contracts.tstETH.bytecodeHash = hre.ethers.ZeroHash;
+      });
+      expect(
+        await checkReusableDeployment("tstETH", "tstETH", args, network)
+      ).to.include({ reusable: false, reason: "bytecode has changed" });
+    });
+    it("Should not reuse a deployment with other constructor args", async () => {
+      expect(
+        await checkReusableDeployment(
+          "tstETH",
+          "tstETH",
+          [hre.ethers.parseEther("1001"), 18],
+          network
+        )
+      ).to.include({
+        reusable: false,
+        reason: "constructor args have changed",
+      });
+    });
+    it("Should not reuse a deployment with no code on chain", async () => {
+      const address = hre.ethers.Wallet.createRandom().address;
+      editManifest((manifest) => {
+        manifest.contracts.tstETH.address = address;
+      });
+      expect(
+        await checkReusableDeployment("tstETH", "tstETH", args, network)
+      ).to.include({
+        reusable: false,
+        reason: `no code found at ${address}`,
+      });
+    });
+  });
+});
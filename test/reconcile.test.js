@@ -0,0 +1,125 @@
+import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+import { expect } from "chai";
+import { parseEther } from "ethers";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  createIndexerState,
+  getStateAtBlock,
+  indexEvents,
+} from "../helpers/indexer.js";
+import {
+  reconcilePoints,
+  writeReconciliationReport,
+} from "../helpers/reconcile.js";
+import { depositActivityFixture } from "./helpers/fixtures.js";
+
+describe("Points reconciliation", () => {
+  let user3, user4;
+  before(async () => {
+    [, , , user3, user4] = await ethers.getSigners();
+  });
+
+  let deposit, erc20Deployments, startBlock, midBlock, state;
+  beforeEach(async () => {
+    ({ deposit, erc20Deployments, startBlock, midBlock } = await loadFixture(
+      depositActivityFixture
+    ));
+    state = await indexEvents(
+      deposit.contract,
+      createIndexerState({
+        address: deposit.address,
+        chainId: 31337,
+        startBlock,
+      })
+    );
+  });
+
+  it("Should find no mismatches when the model matches the contract", async () => {
+    expect(await reconcilePoints(deposit.contract, state)).to.eql([]);
+  });
+  it("Should reconcile at an earlier block", async () => {
+    const model = await getStateAtBlock(deposit.contract, state, midBlock);
+    expect(model.lastBlock).to.equal(midBlock);
+    expect(state.lastBlock).to.be.greaterThan(midBlock);
+    expect(await reconcilePoints(deposit.contract, model)).to.eql([]);
+  });
+  it("Should reconcile users who were never seen in events", async () => {
+    expect(
+      await reconcilePoints(deposit.contract, state, {
+        users: [user4.address],
+      })
+    ).to.eql([]);
+  });
+  it("Should report users whose model differs from the contract", async () => {
+    const [, , token3] = erc20Deployments;
+    state.users[user3.address].pointBalance += 1n;
+    state.users[user3.address].tokenBalances[token3.address] = 0n;
+    const mismatches = await reconcilePoints(deposit.contract, state);
+    expect(mismatches).to.deep.include.members([
+      {
+        check: "pointBalance",
+        user: user3.address,
+        token: "",
+        expected: 1n,
+        actual: 0n,
+      },
+      {
+        check: "tokenBalance",
+        user: user3.address,
+        token: token3.address,
+        expected: 0n,
+        actual: parseEther("20"),
+      },
+    ]);
+    expect(mismatches.map(({ check }) => check)).to.include("calculatePoints");
+  });
+  it("Should report holdings which don't match user balances", async () => {
+    const [, token2] = erc20Deployments;
+    await token2.contract.transfer(deposit.address, 1n);
+    const model = await getStateAtBlock(
+      deposit.contract,
+      state,
+      await ethers.provider.getBlockNumber()
+    );
+    const held = await token2.contract.balanceOf(deposit.address);
+    expect(await reconcilePoints(deposit.contract, model)).to.eql([
+      {
+        check: "balanceOf",
+        user: deposit.address,
+        token: token2.address,
+        expected: held - 1n,
+        actual: held,
+      },
+    ]);
+  });
+  it("Should write mismatches as JSON and CSV", async () => {
+    const reportPath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "omron-")),
+      "report"
+    );
+    const mismatches = [
+      {
+        check: "pointBalance",
+        user: user3.address,
+        token: "",
+        expected: 1n,
+        actual: 0n,
+      },
+    ];
+    const { json, csv } = writeReconciliationReport(reportPath, {
+      address: deposit.address,
+      blockNumber: state.lastBlock,
+      mismatches,
+    });
+    expect(JSON.parse(fs.readFileSync(json, "utf8"))).to.eql({
+      address: deposit.address,
+      blockNumber: state.lastBlock,
+      mismatches: [{ ...mismatches[0], expected: "1", actual: "0" }],
+    });
+    expect(fs.readFileSync(csv, "utf8")).to.equal(
+      `check,user,token,expected,actual\npointBalance,${user3.address},,1,0\n`
+    );
+  });
+});
@@ -0,0 +1,215 @@
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { expect } from "chai";
+import { ZeroAddress } from "ethers";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  createIndexerState,
+  indexEvents,
+  loadIndexerState,
+  saveIndexerState,
+} from "../helpers/indexer.js";
+import { calculatePoints } from "../helpers/points.js";
+import {
+  getReferralReport,
+  writeReferralReport,
+} from "../helpers/referrals.js";
+import { deployMixedDecimalsFixture } from "./helpers/fixtures.js";
+import { addAllowance } from "./helpers/interactions.js";
+import { referencePoints } from "./helpers/points.js";
+
+describe("Referral report", () => {
+  let owner, user1, user2, user3;
+  before(async () => {
+    [owner, user1, user2, user3] = await ethers.getSigners();
+  });
+
+  /**
+   * Deposits for two users referred by user3 and one referred by user2, then has user1 withdraw half their deposits.
+   * user1 also has an unreferred deposit, so only part of their withdrawal comes out of user3's referrals.
+   */
+  const referralActivityFixture = async () => {
+    const { deposit, erc20Deployments } = await deployMixedDecimalsFixture();
+    const startBlock = (
+      await ethers.provider.getTransactionReceipt(deposit.hash)
+    ).blockNumber;
+    const [sixDecimals, , eighteenDecimals] = erc20Deployments;
+    await deposit.contract.setWithdrawalsEnabled(true);
+    for (const token of [sixDecimals, eighteenDecimals]) {
+      await addAllowance(token, owner, deposit, ethers.MaxUint256);
+    }
+    const referredDeposit = await deposit.contract.depositFor(
+      user1.address,
+      sixDecimals.address,
+      3_000_000n,
+      user3.address
+    );
+    await deposit.contract.depositFor(
+      user1.address,
+      sixDecimals.address,
+      1_000_000n,
+      ZeroAddress
+    );
+    await deposit.contract.depositFor(
+      user2.address,
+      eighteenDecimals.address,
+      ethers.parseEther("2"),
+      user3.address
+    );
+    await deposit.contract.depositFor(
+      owner.address,
+      sixDecimals.address,
+      1_000_000n,
+      user2.address
+    );
+    await time.increase(3600);
+    const withdrawal = await deposit.contract
+      .connect(user1)
+      .withdraw(sixDecimals.address, 2_000_000n);
+    await time.increase(3600);
+    await ethers.provider.send("evm_mine", []);
+
+    const state = await indexEvents(
+      deposit.contract,
+      createIndexerState({
+        address: deposit.address,
+        chainId: 31337,
+        startBlock,
+      })
+    );
+    const timestampOf = async (tx) => BigInt((await tx.getBlock()).timestamp);
+    return {
+      deposit,
+      sixDecimals,
+      eighteenDecimals,
+      state,
+      referredAt: await timestampOf(referredDeposit),
+      withdrawnAt: await timestampOf(withdrawal),
+    };
+  };
+
+  it("Should sum each referrer's referred TVL and points", async () => {
+    const {
+      deposit,
+      sixDecimals,
+      eighteenDecimals,
+      state,
+      referredAt,
+      withdrawnAt,
+    } = await loadFixture(referralActivityFixture);
+    const report = getReferralReport(state);
+    expect(report.map(({ referrer }) => referrer)).to.eql([
+      user3.address,
+      user2.address,
+    ]);
+    const [user3Referrals, user2Referrals] = report;
+
+    // Half of user1's balance was withdrawn, so half of the referred 3 tokens remain
+    expect(user3Referrals).to.deep.include({
+      users: 2,
+      pointsPerHour: ethers.parseEther("3.5"),
+      normalizedTvl: ethers.parseEther("3.5"),
+      tvl: {
+        [sixDecimals.address]: 1_500_000n,
+        [eighteenDecimals.address]: ethers.parseEther("2"),
+      },
+    });
+    expect(user3Referrals.points).to.equal(
+      referencePoints({
+        updates: [
+          { timestamp: referredAt, pointsPerHour: ethers.parseEther("3") },
+          { timestamp: withdrawnAt, pointsPerHour: ethers.parseEther("1.5") },
+        ],
+        timestamp: state.lastBlockTimestamp,
+      }) + (await deposit.contract.calculatePoints(user2.address))
+    );
+
+    // Referred deposits made to the depositor themselves are attributed like any other
+    expect(user2Referrals).to.deep.include({
+      users: 1,
+      pointsPerHour: ethers.parseEther("1"),
+      tvl: { [sixDecimals.address]: 1_000_000n },
+    });
+    expect(user2Referrals.points).to.equal(
+      await deposit.contract.calculatePoints(owner.address)
+    );
+    expect(
+      calculatePoints(
+        state.users[owner.address],
+        state.lastBlockTimestamp,
+        state
+      )
+    ).to.equal(user2Referrals.points);
+  });
+  it("Should stop crediting referrers once the claim manager withdraws the tokens", async () => {
+    const fixture = await loadFixture(referralActivityFixture);
+    const { deposit, eighteenDecimals } = fixture;
+    // The fixture's state is shared between tests, so index on from a copy
+    const state = structuredClone(fixture.state);
+    const [beforeWithdrawal] = getReferralReport(state);
+    await deposit.contract.setClaimManager(owner.address);
+    await deposit.contract.stopDeposits();
+    await deposit.contract.withdrawTokens(user2.address);
+    await time.increase(3600);
+    await ethers.provider.send("evm_mine", []);
+    await indexEvents(deposit.contract, state);
+
+    const [afterWithdrawal] = getReferralReport(state);
+    expect(afterWithdrawal.tvl[eighteenDecimals.address]).to.equal(0n);
+    expect(afterWithdrawal.pointsPerHour).to.equal(ethers.parseEther("1.5"));
+    expect(afterWithdrawal.points).to.be.greaterThan(beforeWithdrawal.points);
+  });
+  it("Should keep referrals across saved state", async () => {
+    const { state } = await loadFixture(referralActivityFixture);
+    const statePath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "omron-")),
+      "points.json"
+    );
+    saveIndexerState(statePath, state);
+    expect(loadIndexerState(statePath).referrals).to.eql(state.referrals);
+  });
+  it("Should write the report as JSON and CSV", async () => {
+    const { deposit, sixDecimals, eighteenDecimals, state } = await loadFixture(
+      referralActivityFixture
+    );
+    const referrers = getReferralReport(state);
+    const reportPath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "omron-")),
+      "referrals"
+    );
+    const { json, csv } = writeReferralReport(reportPath, {
+      address: deposit.address,
+      blockNumber: state.lastBlock,
+      referrers,
+    });
+    const [user3Referrals, user2Referrals] = referrers;
+    expect(JSON.parse(fs.readFileSync(json, "utf8")).referrers[1]).to.eql({
+      referrer: user2.address,
+      users: 1,
+      points: String(user2Referrals.points),
+      pointsPerHour: String(ethers.parseEther("1")),
+      normalizedTvl: String(ethers.parseEther("1")),
+      tvl: { [sixDecimals.address]: "1000000" },
+    });
+    const tokens = [sixDecimals.address, eighteenDecimals.address].sort();
+    const tvlColumn = (referral, token) => String(referral.tvl[token] ?? 0n);
+    expect(fs.readFileSync(csv, "utf8")).to.equal(
+      [
+        ["referrer,users,points,pointsPerHour,normalizedTvl", ...tokens].join(
+          ","
+        ),
+        ...[user3Referrals, user2Referrals].map((referral) =>
+          [
+            referral.referrer,
+            referral.users,
+            referral.points,
+            referral.pointsPerHour,
+            referral.normalizedTvl,
+            ...tokens.map((token) => tvlColumn(referral, token)),
+          ].join(",")
+        ),
+      ].join("\n") + "\n"
+    );
+  });
+});
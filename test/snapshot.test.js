@@ -0,0 +1,120 @@
+import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+import { expect } from "chai";
+import { AbiCoder, keccak256 } from "ethers";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  buildPointsTree,
+  getPointsDistribution,
+  savePointsDistribution,
+  snapshotPoints,
+  verifyPointsClaim,
+  verifyPointsDistribution,
+} from "../helpers/snapshot.js";
+import {
+  deployDepositContractFixture,
+  depositActivityFixture,
+} from "./helpers/fixtures.js";
+
+describe("Points snapshot", () => {
+  let user1, user2, user3;
+  before(async () => {
+    [, user1, user2, user3] = await ethers.getSigners();
+  });
+
+  let deposit, blockNumber, snapshot;
+  beforeEach(async () => {
+    ({ deposit } = await loadFixture(depositActivityFixture));
+    blockNumber = await ethers.provider.getBlockNumber();
+    snapshot = await snapshotPoints(
+      deposit.contract,
+      [user1.address, user2.address, user3.address],
+      blockNumber
+    );
+  });
+
+  it("Should snapshot each user's final points", async () => {
+    expect(snapshot.depositStopTime).to.equal(
+      await deposit.contract.depositStopTime()
+    );
+    expect(snapshot.points).to.eql({
+      [user1.address]: await deposit.contract.calculatePoints(user1.address),
+      [user3.address]: await deposit.contract.calculatePoints(user3.address),
+    });
+  });
+  it("Should refuse to snapshot before deposits are stopped", async () => {
+    const { deposit } = await loadFixture(deployDepositContractFixture);
+    await expect(
+      snapshotPoints(
+        deposit.contract,
+        [user1.address],
+        await ethers.provider.getBlockNumber()
+      )
+    ).to.be.rejectedWith("so points are not final");
+  });
+  it("Should hash leaves the way OpenZeppelin's MerkleProof expects", async () => {
+    const tree = buildPointsTree(snapshot.points);
+    const points = snapshot.points[user1.address];
+    const encoded = AbiCoder.defaultAbiCoder().encode(
+      ["address", "uint256"],
+      [user1.address, points]
+    );
+    expect(tree.leafHash([user1.address, points.toString()])).to.equal(
+      keccak256(keccak256(encoded))
+    );
+  });
+  it("Should verify the proof of every user", async () => {
+    const tree = buildPointsTree(snapshot.points);
+    const { root, claims } = getPointsDistribution(tree, {});
+    for (const [user, points] of Object.entries(snapshot.points)) {
+      expect(claims[user].points).to.equal(points.toString());
+      expect(
+        verifyPointsClaim(root, user, points, claims[user].proof)
+      ).to.equal(true);
+    }
+  });
+  it("Should reject proofs for the wrong points or user", async () => {
+    const tree = buildPointsTree(snapshot.points);
+    const { root, claims } = getPointsDistribution(tree, {});
+    const { points, proof } = claims[user1.address];
+    expect(
+      verifyPointsClaim(root, user1.address, BigInt(points) + 1n, proof)
+    ).to.equal(false);
+    expect(verifyPointsClaim(root, user2.address, points, proof)).to.equal(
+      false
+    );
+  });
+  it("Should write a distribution which can be verified", async () => {
+    const distributionPath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "omron-")),
+      "distribution.json"
+    );
+    const tree = buildPointsTree(snapshot.points);
+    savePointsDistribution(
+      distributionPath,
+      getPointsDistribution(tree, {
+        address: deposit.address,
+        blockNumber,
+        depositStopTime: snapshot.depositStopTime,
+      })
+    );
+    const distribution = JSON.parse(fs.readFileSync(distributionPath, "utf8"));
+    expect(distribution.root).to.equal(tree.root);
+    expect(distribution.depositStopTime).to.equal(
+      snapshot.depositStopTime.toString()
+    );
+    expect(BigInt(distribution.totalPoints)).to.equal(
+      snapshot.points[user1.address] + snapshot.points[user3.address]
+    );
+    expect(verifyPointsDistribution(distribution)).to.eql([]);
+
+    distribution.claims[user3.address].points = "1";
+    expect(verifyPointsDistribution(distribution)).to.eql([
+      `The proof for ${user3.address} is invalid`,
+      `totalPoints is ${distribution.totalPoints}, but the claims sum to ${
+        snapshot.points[user1.address] + 1n
+      }`,
+    ]);
+  });
+});